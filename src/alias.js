@@ -11,6 +11,7 @@
  */
 import aws4 from 'aws4';
 import { Response } from '@adobe/fetch';
+import { resolveCredentials } from './credentials.js';
 import { fetchContext } from './utils.js';
 
 /**
@@ -22,39 +23,31 @@ export const ALIAS_CACHE = new Map();
  * Fetch aliases from AWS.
  *
  * @param {UniversalContext} context universal context
- * @param {String} funcName function name
- * @param {String} funcVersion function version
+ * @param {String} funcName function name or ARN
+ * @param {String} [funcVersion] function version, if not given only the first alias
+ * of any version is listed
+ * @param {String} [owner] account id owning the function, defaults to our own
  * @returns {Promise<Response>} HTTP answer
- * @throws {Promise<Error>} if AWS credentials are not available
+ * @throws {Promise<Error>} if the region or AWS credentials are not available
  */
-async function fetchAliases(context, funcName, funcVersion) {
-  const { env } = context;
+async function fetchAliases(context, funcName, funcVersion, owner) {
+  const { env: { AWS_REGION: region } } = context;
 
-  const awsConfig = {
-    region: env.AWS_REGION,
-    accessKeyId: env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
-    sessionToken: env.AWS_SESSION_TOKEN,
-  };
-
-  if (!awsConfig.region || !awsConfig.accessKeyId || !awsConfig.secretAccessKey) {
-    throw new Error('Missing AWS configuration (aws_region, aws_access_key_id or aws_secret_access_key)');
+  if (!region) {
+    throw new Error('Missing AWS configuration (aws_region)');
   }
+  const credentials = await resolveCredentials(context, owner);
 
   try {
     const { fetch } = fetchContext;
     const opts = {
-      host: `lambda.${awsConfig.region}.amazonaws.com`,
+      host: `lambda.${region}.amazonaws.com`,
       service: 'lambda',
-      region: awsConfig.region,
+      region,
       method: 'GET',
-      path: `/2015-03-31/functions/${funcName}/aliases?FunctionVersion=${funcVersion}`,
+      path: `/2015-03-31/functions/${encodeURIComponent(funcName)}/aliases?${funcVersion ? `FunctionVersion=${funcVersion}` : 'MaxItems=1'}`,
     };
-    const req = aws4.sign(opts, {
-      accessKeyId: awsConfig.accessKeyId,
-      secretAccessKey: awsConfig.secretAccessKey,
-      sessionToken: awsConfig.sessionToken,
-    });
+    const req = aws4.sign(opts, credentials);
     const resp = await fetch(`https://${req.host}${req.path}`, {
       method: req.method,
       headers: req.headers,
@@ -93,21 +86,26 @@ function cleanAlias(alias) {
 }
 
 /**
- * Resolve an alias for a function.
+ * Resolve an alias for a function. Aliases of a function in another account are
+ * listed by its ARN, with the credentials of the role configured for that account.
  *
  * @param {UniversalContext} context universal context
  * @param {String} funcName function name
  * @param {String} funcVersion function version
+ * @param {String} [owner] account id owning the function, defaults to our own
  * @returns {Promise<Alias|null>} alias
  */
-export async function resolve(context, funcName, funcVersion) {
-  const { log } = context;
+export async function resolve(context, funcName, funcVersion, owner) {
+  const { env, log, runtime } = context;
 
-  let alias = ALIAS_CACHE.get(funcName)?.[funcVersion];
+  const key = owner && owner !== runtime?.accountId
+    ? `arn:aws:lambda:${env.AWS_REGION}:${owner}:function:${funcName}`
+    : funcName;
+  let alias = ALIAS_CACHE.get(key)?.[funcVersion];
   if (alias && alias.expiry > Date.now()) {
     return cleanAlias(alias);
   }
-  const resp = await fetchAliases(context, funcName, funcVersion);
+  const resp = await fetchAliases(context, key, funcVersion, owner);
   if (!resp.ok) {
     const msg = `Failed to retrieve aliases for ${funcName}: ${resp.status}\n${await resp.text()}`;
     log.warn(msg);
@@ -129,9 +127,25 @@ export async function resolve(context, funcName, funcVersion) {
   });
   alias.expiry = Date.now() + (!!alias.major && !!alias.full ? 60_000 : 2_000);
 
-  const parent = ALIAS_CACHE.get(funcName) || {};
+  const parent = ALIAS_CACHE.get(key) || {};
   parent[funcVersion] = alias;
-  ALIAS_CACHE.set(funcName, parent);
+  ALIAS_CACHE.set(key, parent);
 
   return cleanAlias(alias);
 }
+
+/**
+ * Probe whether aliases can be listed, i.e. whether AWS credentials and permissions
+ * needed to resolve aliases are in place.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {String} funcName function name
+ * @returns {Promise<void>}
+ * @throws {Promise<Error>} if aliases can not be listed
+ */
+export async function probeAliases(context, funcName) {
+  const resp = await fetchAliases(context, funcName);
+  if (!resp.ok) {
+    throw new Error(`Failed to list aliases for ${funcName}: ${resp.status}\n${await resp.text()}`);
+  }
+}
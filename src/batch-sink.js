@@ -0,0 +1,174 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { LOG_LEVELS } from './datadog.js';
+import { extractFields } from './extract-fields.js';
+import { correlateInvocations } from './invocations.js';
+import { CONTINUATION_PATTERNS, mergeContinuations } from './multiline.js';
+
+/**
+ * @typedef SinkResult
+ * @property {LogEvent[]} rejected log events that could not be converted
+ * @property {number} sent number of entries sent
+ * @property {ChunkOutcome[]} chunks outcome of every chunk sent
+ * @property {number} redactions number of values redacted
+ */
+
+/**
+ * @typedef Sink
+ * @property {string} name name, used to route DLQ messages back to this sink
+ * @property {function(LogEvent[]): Promise<SinkResult>} sendEntries sends log events
+ */
+
+/**
+ * @typedef SinkConfig
+ * @property {string} type sink type, either `datadog`, `http`, `otlp` or `s3`
+ * @property {string} [name] name, defaults to the type
+ * @property {Array<string|RegExp>} [logGroups] log groups routed to this sink,
+ * strings may contain `*` wildcards; defaults to all log groups
+ * @property {string} [level='info'] log level threshold
+ */
+
+/**
+ * @typedef SinkEntry
+ * @property {number} timestamp timestamp
+ * @property {string} level log level
+ * @property {string} message message
+ * @property {string} [requestId] request id
+ * @property {import('./extract-fields.js').ErrorFields} [error] error reported in the message
+ * @property {import('./failures.js').Failure} [failure] failure reported by the log event
+ * @property {import('./invocations.js').InvocationAttributes} [invocation] attributes of
+ * the invocation
+ * @property {string} logGroup log group name
+ * @property {string} logStream log stream name
+ */
+
+/**
+ * Base class for sinks that send all entries of a batch in one go, as a generic
+ * JSON representation.
+ *
+ * @implements {Sink}
+ */
+export class BatchSink {
+  /**
+   * Creates an instance of BatchSink.
+   *
+   * @param {SinkConfig} config sink configuration
+   * @param {Object} opts options
+   * @param {string} opts.logGroup log group name
+   * @param {string} opts.logStream log stream name
+   * @param {Console} [opts.log=console] logger
+   * @param {import('./redactor.js').Redactor} [opts.redactor] redactor applied to messages
+   * @param {RegExp[]} [opts.continuations] patterns of continuation lines merged into the
+   * preceding event, defaults to `CONTINUATION_PATTERNS`
+   */
+  constructor(config, {
+    logGroup, logStream, log = console, redactor, continuations = CONTINUATION_PATTERNS,
+  }) {
+    const { name, type, level = 'info' } = config;
+
+    this._name = name ?? type;
+    this._logGroup = logGroup;
+    this._logStream = logStream;
+    this._log = log;
+    this._redactor = redactor;
+    this._continuations = continuations;
+
+    const minLevel = LOG_LEVELS.indexOf(level.toUpperCase());
+    this._minLevel = minLevel !== -1 ? minLevel : LOG_LEVELS.indexOf('INFO');
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  /**
+   * Send entries to this sink.
+   *
+   * @param {LogEvent[]} logEvents log events
+   * @returns {Promise<SinkResult>} result
+   */
+  async sendEntries(logEvents) {
+    const rejected = [];
+    const accepted = [];
+    const entries = [];
+    let redactions = 0;
+    let dropped = 0;
+
+    const events = mergeContinuations(logEvents, this._continuations, this._logGroup);
+    const fieldsList = correlateInvocations(
+      events.map((logEvent) => extractFields(logEvent, this._logGroup)),
+    );
+    for (const [index, logEvent] of events.entries()) {
+      const fields = fieldsList[index];
+      if (!fields) {
+        rejected.push(logEvent);
+      } else {
+        const level = LOG_LEVELS.indexOf(fields.level) !== -1 ? fields.level : 'INFO';
+        const redaction = LOG_LEVELS.indexOf(level) >= this._minLevel
+          && (this._redactor?.redact(fields.message) ?? { message: fields.message, count: 0 });
+        redactions += redaction ? redaction.count : 0;
+        if (redaction?.drop) {
+          dropped += 1;
+        } else if (redaction) {
+          accepted.push(logEvent);
+          entries.push({
+            timestamp: logEvent.timestamp,
+            level,
+            message: redaction.message.trimEnd(),
+            requestId: fields.requestId,
+            error: fields.error && (this._redactor?.redactError(fields.error) ?? fields.error),
+            failure: fields.failure,
+            invocation: fields.invocation,
+            logGroup: this._logGroup,
+            logStream: this._logStream,
+          });
+        }
+      }
+    }
+    if (redactions) {
+      this._log.info(`Redacted ${redactions} value(s) for ${this.name}, dropped ${dropped} entries`);
+    }
+    if (!entries.length) {
+      return {
+        rejected, sent: 0, chunks: [], redactions,
+      };
+    }
+    const outcome = { logEvents: accepted };
+    try {
+      const resp = await this.send(entries, accepted);
+      outcome.ok = true;
+      outcome.status = resp.status;
+    } catch (e) {
+      this._log.warn(`Failed to send ${entries.length} entries to ${this.name}: ${e.message}`);
+      outcome.ok = false;
+      outcome.status = e.status;
+      outcome.error = e;
+    }
+    return {
+      rejected, sent: outcome.ok ? entries.length : 0, chunks: [outcome], redactions,
+    };
+  }
+
+  /**
+   * Throw an error for a response that is not ok.
+   *
+   * @param {Response} resp response
+   * @throws {Promise<Error>} error with a `status` property
+   */
+  async checkResponse(resp) {
+    if (!resp.ok) {
+      const err = new Error(`Failed to send logs to ${this.name} with status ${resp.status}: ${await resp.text()}`);
+      err.status = resp.status;
+      throw err;
+    }
+  }
+}
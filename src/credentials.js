@@ -0,0 +1,299 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { readFile } from 'node:fs/promises';
+import aws4 from 'aws4';
+import { fetchContext } from './utils.js';
+
+/**
+ * @typedef Credentials
+ * @property {string} accessKeyId access key id
+ * @property {string} secretAccessKey secret access key
+ * @property {string} [sessionToken] session token of temporary credentials
+ * @property {number} [expiration] time the credentials expire, in milliseconds since epoch
+ */
+
+/**
+ * Credential cache, by role ARN or `default` for the credentials of our own account,
+ * kept across warm invocations.
+ */
+export const CREDENTIAL_CACHE = new Map();
+
+/**
+ * Time in milliseconds before their expiration cached credentials are renewed.
+ */
+const EXPIRY_MARGIN = 5 * 60_000;
+
+/**
+ * Time in milliseconds the instance metadata service may take to answer.
+ */
+const IMDS_TIMEOUT = 1000;
+
+/**
+ * Session name used when assuming roles.
+ */
+const SESSION_NAME = 'helix-datadog-feeder';
+
+/**
+ * Convert the credentials returned by STS or a metadata endpoint.
+ *
+ * @param {Object} credentials credentials in AWS notation
+ * @returns {Credentials} credentials
+ */
+function toCredentials({
+  AccessKeyId, SecretAccessKey, SessionToken, Token, Expiration,
+}) {
+  return {
+    accessKeyId: AccessKeyId,
+    secretAccessKey: SecretAccessKey,
+    sessionToken: SessionToken ?? Token,
+    expiration: Expiration ? Date.parse(Expiration) : undefined,
+  };
+}
+
+/**
+ * Invoke an STS action. Actions assuming a role with a web identity are not signed.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {Object} params action and its parameters
+ * @param {Credentials} [credentials] credentials to sign the request with
+ * @returns {Promise<Credentials>} temporary credentials returned
+ * @throws {Promise<Error>} if something goes wrong
+ */
+async function invokeSTS(context, params, credentials) {
+  const region = context.env.AWS_REGION ?? context.runtime?.region ?? 'us-east-1';
+
+  const { fetch } = fetchContext;
+  const opts = {
+    host: `sts.${region}.amazonaws.com`,
+    service: 'sts',
+    region,
+    method: 'POST',
+    path: '/',
+    headers: {
+      'content-type': 'application/x-www-form-urlencoded; charset=utf-8',
+    },
+    body: new URLSearchParams({ Version: '2011-06-15', ...params }).toString(),
+  };
+  const req = credentials ? aws4.sign(opts, credentials) : opts;
+  const resp = await fetch(`https://${req.host}${req.path}`, {
+    method: req.method,
+    headers: req.headers,
+    body: req.body,
+  });
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw Error(`Failed to invoke ${params.Action} with status: ${resp.status}\n${text}`);
+  }
+  const values = Object.fromEntries(['AccessKeyId', 'SecretAccessKey', 'SessionToken', 'Expiration']
+    .map((name) => [name, text.match(new RegExp(`<${name}>([^<]*)</${name}>`))?.[1]]));
+  if (!values.AccessKeyId || !values.SecretAccessKey) {
+    throw Error(`No credentials returned by ${params.Action}`);
+  }
+  return toCredentials(values);
+}
+
+/**
+ * Return the credentials in the environment, e.g. the ones of the Lambda execution role.
+ *
+ * @param {UniversalContext} context universal context
+ * @returns {Promise<Credentials|null>} credentials or `null` if there are none
+ */
+async function fromEnvironment({ env }) {
+  if (!env.AWS_ACCESS_KEY_ID || !env.AWS_SECRET_ACCESS_KEY) {
+    return null;
+  }
+  return {
+    accessKeyId: env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: env.AWS_SESSION_TOKEN,
+  };
+}
+
+/**
+ * Assume the role in `AWS_ROLE_ARN` with the web identity token in
+ * `AWS_WEB_IDENTITY_TOKEN_FILE`, e.g. in EKS.
+ *
+ * @param {UniversalContext} context universal context
+ * @returns {Promise<Credentials|null>} credentials or `null` if not configured
+ * @throws {Promise<Error>} if the role can not be assumed
+ */
+async function fromWebIdentity(context) {
+  const { env } = context;
+  if (!env.AWS_WEB_IDENTITY_TOKEN_FILE || !env.AWS_ROLE_ARN) {
+    return null;
+  }
+  const token = await readFile(env.AWS_WEB_IDENTITY_TOKEN_FILE, 'utf-8');
+  return invokeSTS(context, {
+    Action: 'AssumeRoleWithWebIdentity',
+    RoleArn: env.AWS_ROLE_ARN,
+    RoleSessionName: env.AWS_ROLE_SESSION_NAME ?? SESSION_NAME,
+    WebIdentityToken: token.trim(),
+  });
+}
+
+/**
+ * Fetch the credentials from the container credentials endpoint, e.g. in ECS.
+ *
+ * @param {UniversalContext} context universal context
+ * @returns {Promise<Credentials|null>} credentials or `null` if not configured
+ * @throws {Promise<Error>} if the credentials can not be fetched
+ */
+async function fromContainer({ env }) {
+  const {
+    AWS_CONTAINER_CREDENTIALS_RELATIVE_URI: relativeUri,
+    AWS_CONTAINER_CREDENTIALS_FULL_URI: fullUri,
+    AWS_CONTAINER_AUTHORIZATION_TOKEN: token,
+    AWS_CONTAINER_AUTHORIZATION_TOKEN_FILE: tokenFile,
+  } = env;
+  if (!relativeUri && !fullUri) {
+    return null;
+  }
+  const headers = {};
+  if (token || tokenFile) {
+    headers.authorization = token ?? (await readFile(tokenFile, 'utf-8')).trim();
+  }
+  const { fetch } = fetchContext;
+  const resp = await fetch(relativeUri ? `http://169.254.170.2${relativeUri}` : fullUri, { headers });
+  if (!resp.ok) {
+    throw Error(`Failed to fetch container credentials with status: ${resp.status}\n${await resp.text()}`);
+  }
+  return toCredentials(await resp.json());
+}
+
+/**
+ * Fetch the credentials of the instance profile from the instance metadata service,
+ * using IMDSv2.
+ *
+ * @param {AbortSignal} signal signal aborting the requests
+ * @returns {Promise<Credentials|null>} credentials or `null` if not available
+ * @throws {Promise<Error>} if the service can not be reached
+ */
+async function fetchInstanceCredentials(signal) {
+  const { fetch } = fetchContext;
+  const base = 'http://169.254.169.254/latest';
+  const resp = await fetch(`${base}/api/token`, {
+    method: 'PUT',
+    headers: { 'x-aws-ec2-metadata-token-ttl-seconds': '21600' },
+    signal,
+  });
+  if (!resp.ok) {
+    return null;
+  }
+  const headers = { 'x-aws-ec2-metadata-token': await resp.text() };
+  const path = `${base}/meta-data/iam/security-credentials/`;
+  const roles = await fetch(path, { headers, signal });
+  if (!roles.ok) {
+    return null;
+  }
+  const [role] = (await roles.text()).split('\n');
+  const creds = await fetch(`${path}${role}`, { headers, signal });
+  return creds.ok ? toCredentials(await creds.json()) : null;
+}
+
+/**
+ * Return the credentials of the instance profile. Unless disabled with
+ * `AWS_EC2_METADATA_DISABLED`, this is the last source tried, so an unreachable
+ * instance metadata service just means there are no credentials.
+ *
+ * @param {UniversalContext} context universal context
+ * @returns {Promise<Credentials|null>} credentials or `null` if not available
+ */
+async function fromInstanceMetadata({ env }) {
+  if (env.AWS_EC2_METADATA_DISABLED === 'true') {
+    return null;
+  }
+  const signal = fetchContext.timeoutSignal(IMDS_TIMEOUT);
+  let credentials = null;
+  try {
+    credentials = await fetchInstanceCredentials(signal);
+  } catch (e) {
+    // not running on EC2
+  }
+  signal.clear();
+  return credentials;
+}
+
+/**
+ * Sources of the credentials of our own account, in the order they are tried.
+ */
+const CREDENTIAL_SOURCES = [fromWebIdentity, fromContainer, fromInstanceMetadata];
+
+/**
+ * Return credentials from the cache, or load and cache them until they expire.
+ *
+ * @param {string} key cache key
+ * @param {function(): Promise<Credentials>} load function loading the credentials
+ * @returns {Promise<Credentials>} credentials
+ */
+async function cached(key, load) {
+  const entry = CREDENTIAL_CACHE.get(key);
+  if (entry && (!entry.expiration || entry.expiration - EXPIRY_MARGIN > Date.now())) {
+    return entry;
+  }
+  const credentials = await load();
+  CREDENTIAL_CACHE.set(key, credentials);
+  return credentials;
+}
+
+/**
+ * Parse the roles to assume for log groups of other accounts.
+ *
+ * @param {string} [config] JSON object of role ARNs, by account id
+ * @returns {Object<string, string>} role ARNs, by account id
+ * @throws {Error} if the configuration is invalid
+ */
+export function parseRoles(config) {
+  if (!config) {
+    return {};
+  }
+  const roles = JSON.parse(config);
+  if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+    throw new Error('Cross-account roles must be an object');
+  }
+  return roles;
+}
+
+/**
+ * Resolve AWS credentials. The credentials of our own account come from the environment,
+ * a web identity, the container credentials endpoint or the instance metadata service,
+ * in that order. For another account, the role configured in `AWS_ACCOUNT_ROLES` is
+ * assumed with them. Temporary credentials are cached until shortly before they expire.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {string} [owner] account id owning the resource accessed, defaults to our own
+ * @returns {Promise<Credentials>} credentials
+ * @throws {Promise<Error>} if no credentials are available or a role can not be assumed
+ */
+export async function resolveCredentials(context, owner) {
+  const roleArn = owner && parseRoles(context.env.AWS_ACCOUNT_ROLES)[owner];
+  if (roleArn) {
+    return cached(roleArn, async () => invokeSTS(context, {
+      Action: 'AssumeRole',
+      RoleArn: roleArn,
+      RoleSessionName: SESSION_NAME,
+    }, await resolveCredentials(context)));
+  }
+  const credentials = await fromEnvironment(context);
+  if (credentials) {
+    return credentials;
+  }
+  return cached('default', async () => {
+    for (const source of CREDENTIAL_SOURCES) {
+      // eslint-disable-next-line no-await-in-loop
+      const found = await source(context);
+      if (found) {
+        return found;
+      }
+    }
+    throw new Error('Missing AWS configuration (no credentials in environment, web identity, container or instance metadata)');
+  });
+}
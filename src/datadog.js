@@ -16,7 +16,14 @@ import { promisify } from 'node:util';
 import { gzip } from 'node:zlib';
 import wrapFetch from 'fetch-retry';
 import { FetchError, Request } from '@adobe/fetch';
+import { dedupeEvents } from './dedupe.js';
 import { extractFields } from './extract-fields.js';
+import { createFailureEvent } from './failures.js';
+import { correlateInvocations } from './invocations.js';
+import { createSeries } from './metrics.js';
+import { CONTINUATION_PATTERNS, mergeContinuations } from './multiline.js';
+import { createSummaryEvent } from './sampling.js';
+import { mergeTags } from './tags.js';
 import { fetchContext } from './utils.js';
 
 const gzipAsync = promisify(gzip);
@@ -33,11 +40,49 @@ const gzipAsync = promisify(gzip);
 /**
  * @typedef DataDogLogEntry
  * @property {number} timestamp timestamp
- * @property {string} message JSON stringified object, containing various fields
+ * @property {string} message JSON stringified object, containing various fields, or
+ * the message text in structured format
  * @property {string} level log level
  */
 
-const LOG_LEVELS = [
+/**
+ * @typedef IntakeLimits
+ * @property {number} maxEntries maximum number of entries in a single payload
+ * @property {number} maxPayloadSize maximum size of an uncompressed payload in bytes
+ * @property {number} maxEntrySize maximum size of a single entry in bytes
+ */
+
+/**
+ * @typedef ChunkOutcome
+ * @property {LogEvent[]} logEvents log events contained in this chunk
+ * @property {boolean} ok whether the chunk was accepted
+ * @property {number} [status] HTTP status returned, if any
+ * @property {Error} [error] error that occurred, if not accepted
+ */
+
+/**
+ * Limits imposed by DataDog's `/api/v2/logs` intake.
+ *
+ * @type {IntakeLimits}
+ */
+export const INTAKE_LIMITS = {
+  maxEntries: 1000,
+  maxPayloadSize: 5 * 1024 * 1024,
+  maxEntrySize: 1024 * 1024,
+};
+
+/**
+ * Attributes in a structured entry that may not be overwritten by a JSON message.
+ */
+const RESERVED_ATTRIBUTES = [
+  'timestamp', 'level', 'message', 'inv', 'logStream',
+  'service', 'ddsource', 'ddtags', 'hostname',
+];
+
+/**
+ * Log levels, in ascending order of severity.
+ */
+export const LOG_LEVELS = [
   'TRACE', 'SILLY', 'DEBUG', 'VERBOSE', 'INFO', 'WARN', 'ERROR',
 ];
 
@@ -46,33 +91,123 @@ const { fetch } = fetchContext;
 const MOCHA_ENV = (process.env.HELIX_FETCH_FORCE_HTTP1 === 'true');
 
 /**
- * Wrapped fetch that retries on certain conditions.
- */
-const fetchRetry = wrapFetch(fetch, {
-  retryDelay: (attempt) => {
-    if (MOCHA_ENV) {
-      return 1;
-    }
-    /* c8 ignore next */
-    return (2 ** attempt * 1000); // 1000, 2000, 4000
-  },
-  retryOn: async (attempt, error, response) => {
-    const retries = MOCHA_ENV ? 1 /* c8 ignore next */ : 2;
-    if (error) {
-      if (error instanceof FetchError) {
-        return attempt < retries;
-      }
-      throw error;
-    }
-    if (!response.ok) {
-      throw new Error(`Failed to send logs with status ${response.status}: ${await response.text()}`);
+ * Default number of retries and base delay in milliseconds for exponential backoff.
+ */
+const DEFAULT_RETRIES = MOCHA_ENV ? 1 /* c8 ignore next */ : 2;
+const DEFAULT_RETRY_DELAY = MOCHA_ENV ? 1 /* c8 ignore next */ : 1000;
+
+/**
+ * Time in milliseconds we keep in reserve before the invocation deadline, so
+ * we are still able to hand over failed entries to the DLQ.
+ */
+const DEADLINE_RESERVE = 5000;
+
+/**
+ * Check whether a response status is worth retrying: server errors and throttling
+ * are transient, any other client error is permanent.
+ *
+ * @param {number} status HTTP status
+ * @returns {boolean} true if the request should be retried
+ */
+function isRetryable(status) {
+  return status >= 500 || status === 429;
+}
+
+/**
+ * Parse a `Retry-After` header, which either contains a number of seconds or an HTTP date.
+ *
+ * @param {string|null} value header value
+ * @returns {number|null} delay in milliseconds or `null`
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(date - Date.now(), 0);
+  }
+  return null;
+}
+
+/**
+ * Parse a message as JSON object.
+ *
+ * @param {string} text message text
+ * @returns {Object|null} parsed object or `null` if the message is not a JSON object
+ */
+function parseJSONObject(text) {
+  if (!text.startsWith('{')) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split log entries into chunks that respect the intake limits for entry count
+ * and payload size. The size of a payload is the size of its JSON array representation.
+ *
+ * @param {{logEvent: LogEvent, entry: DataDogLogEntry, size: number}[]} items items to split
+ * @param {IntakeLimits} limits intake limits
+ * @returns {{logEvent: LogEvent, entry: DataDogLogEntry, size: number}[][]} chunks
+ */
+function splitIntoChunks(items, limits) {
+  const chunks = [];
+  let chunk = [];
+  let size = 2;
+
+  for (const item of items) {
+    if (chunk.length && (chunk.length >= limits.maxEntries
+      || size + 1 + item.size > limits.maxPayloadSize)) {
+      chunks.push(chunk);
+      chunk = [];
+      size = 2;
     }
-    return false;
-  },
-});
+    size += item.size + (chunk.length ? 1 : 0);
+    chunk.push(item);
+  }
+  if (chunk.length) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+/**
+ * Count an entry of an invocation and check whether it is within the maximum number
+ * of entries per invocation. Entries without request id are not capped.
+ *
+ * @param {Map<string, {total: number, timestamp: number, invocation: Object}>} counts
+ * number of entries per request id, with timestamp and attributes of the last entry
+ * @param {number|undefined} maxEntries maximum number of entries per invocation, if any
+ * @param {ExtractedFields} fields fields extracted from the log event
+ * @param {LogEvent} logEvent log event
+ * @returns {boolean} whether the entry is within the cap
+ */
+function withinCap(counts, maxEntries, fields, logEvent) {
+  const { requestId, invocation } = fields;
+  if (!maxEntries || !requestId) {
+    return true;
+  }
+  const count = counts.get(requestId) ?? { total: 0 };
+  count.total += 1;
+  count.timestamp = logEvent.timestamp;
+  count.invocation = invocation;
+  counts.set(requestId, count);
+  return count.total <= maxEntries;
+}
 
 /**
  * DataDog logger.
+ *
+ * @implements {Sink}
  */
 export class DataDogLogger {
   /**
@@ -80,31 +215,106 @@ export class DataDogLogger {
    *
    * @param {Object} opts options for configuring the DataDogLogger
    * @param {string} opts.apiKey API key
+   * @param {function(): Promise<string>} [opts.refreshApiKey] function obtaining the
+   * current API key, called once if DataDog rejects the API key
    * @param {string} opts.funcName lambda function name, e.g. `/services/func/v1`
    * @param {string} opts.service service arn
    * @param {string} [opts.version] function version, e.g. `1.2.3`
+   * @param {import('./alias.js').Alias} [opts.alias] function alias
+   * @param {string} [opts.logGroup] log group name
    * @param {string} [opts.logStream] log stream name
    * @param {Console} [opts.log=console] logger object; defaults to console
    * @param {string} [opts.apiUrl='https://http-intake.logs.datadoghq.com'] dataDog API endpoint URL
    * @param {string} [opts.level='info'] log level threshold
+   * @param {string} [opts.format='text'] output format, either `text`, which sends a JSON
+   * stringified object as message, or `structured`, which sends first-class attributes
+   * @param {Partial<IntakeLimits>} [opts.limits] intake limits, defaults to `INTAKE_LIMITS`
+   * @param {number} [opts.retries] number of retries for transient failures
+   * @param {number} [opts.retryDelay] base delay for exponential backoff in milliseconds
+   * @param {number} [opts.deadline] invocation deadline as epoch milliseconds, retries
+   * are not attempted past that point
+   * @param {string} [opts.metricsUrl='https://api.datadoghq.com'] dataDog API endpoint URL
+   * for metrics and events
+   * @param {boolean} [opts.reportMetrics=false] whether to submit REPORT lines as metrics
+   * @param {boolean} [opts.failureEvents=false] whether to post an event for every failure
+   * @param {boolean} [opts.reportLogs=true] whether to send REPORT lines as log entries
+   * @param {import('./redactor.js').Redactor} [opts.redactor] redactor applied to messages
+   * @param {string[]} [opts.tags] additional tags for all entries and metrics, replacing
+   * tags with the same key derived from version and alias
+   * @param {RegExp[]} [opts.continuations] patterns of continuation lines merged into the
+   * preceding event, defaults to `CONTINUATION_PATTERNS`
+   * @param {import('./sampling.js').Sampler} [opts.sampler] sampler applied to entries
+   * passing the log level threshold
+   * @param {string} [opts.dedupe] dedupe mode, one of `DEDUPE_MODES`, deduping is
+   * disabled if not set
    */
   constructor(opts) {
     const {
       apiKey,
+      refreshApiKey,
       funcName,
       service,
       version,
+      alias,
+      logGroup,
       logStream,
       log = console,
       apiUrl = 'https://http-intake.logs.datadoghq.com',
       level = 'info',
+      format = 'text',
+      limits,
+      retries,
+      retryDelay,
+      deadline,
+      metricsUrl = 'https://api.datadoghq.com',
+      reportMetrics = false,
+      failureEvents = false,
+      reportLogs = true,
+      redactor,
+      tags = [],
+      continuations = CONTINUATION_PATTERNS,
+      sampler,
+      dedupe,
     } = opts;
 
     this._apiKey = apiKey;
+    this._refreshApiKey = refreshApiKey;
     this._functionName = funcName;
+    this._logGroup = logGroup;
     this._logStream = logStream;
     this._log = log;
     this._apiUrl = apiUrl;
+    this._structured = format === 'structured';
+    this._limits = { ...INTAKE_LIMITS, ...limits };
+    this._retries = Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_RETRIES;
+    this._retryDelay = Number.isInteger(retryDelay) && retryDelay >= 0
+      ? retryDelay : DEFAULT_RETRY_DELAY;
+    this._deadline = deadline;
+    this._metricsUrl = metricsUrl;
+    this._reportMetrics = reportMetrics;
+    this._failureEvents = failureEvents;
+    this._reportLogs = reportLogs;
+    this._redactor = redactor;
+    this._continuations = continuations;
+    this._sampler = sampler;
+    this._dedupe = dedupe;
+
+    const aliasTags = [];
+    if (alias?.major) {
+      aliasTags.push(`major_version:${alias.major}`);
+    }
+    if (alias?.major ?? alias?.full) {
+      aliasTags.push(`alias:${alias.major ?? alias.full}`);
+    }
+
+    this._metricTags = [`function_name:${service.split(':').pop()}`];
+    if (alias?.major) {
+      this._metricTags.push(`major_version:${alias.major}`);
+    }
+    if (alias?.full) {
+      this._metricTags.push(`version:${alias.full}`);
+    }
+    this._metricTags = mergeTags(this._metricTags, aliasTags, tags);
 
     const minLevel = LOG_LEVELS.indexOf(level.toUpperCase());
     this._minLevel = minLevel !== -1 ? minLevel : LOG_LEVELS.indexOf('INFO');
@@ -114,8 +324,9 @@ export class DataDogLogger {
       ddsource: 'aws-lambda',
       hostname: 'lambda',
     };
-    if (version) {
-      this._baseEntry.ddtags = `version:${version}`;
+    const ddtags = mergeTags(version ? [`version:${version}`] : [], aliasTags, tags);
+    if (ddtags.length) {
+      this._baseEntry.ddtags = ddtags.join(',');
     }
   }
 
@@ -130,16 +341,67 @@ export class DataDogLogger {
   }
 
   /**
-   * Send payload to DataDog.
+   * Check if an entry should be sent based on the sampler, if any.
    *
-   * @param {DataDogLogEntry[]} payload payload
+   * @param {string} level log level of the entry
+   * @param {string} [requestId] request id of the entry
+   * @returns {boolean} whether to send this entry
+   */
+  shouldSample(level, requestId) {
+    return !this._sampler || this._sampler.keep(level, requestId);
+  }
+
+  /**
+   * Compute the delay before the next attempt. Honors a `Retry-After` header
+   * if present, otherwise uses exponential backoff with jitter.
+   *
+   * @param {number} attempt attempt number, starting at 0
+   * @param {Response} [response] response received, if any
+   * @returns {number} delay in milliseconds
+   */
+  computeDelay(attempt, response) {
+    const retryAfter = parseRetryAfter(response?.headers.get('retry-after'));
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+    const backoff = 2 ** attempt * this._retryDelay;
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Fetch with retries. Network errors, server errors and throttling are retried,
+   * any other client error is considered permanent.
+   *
+   * @param {string} url URL to post to
+   * @param {Buffer} body compressed body
    * @returns {Promise<Response>} HTTP answer
-   * @throws {Promise<Error>} if an error occurs
+   * @throws {Promise<Error>} if an error other than a network error occurs
    */
-  async sendPayload(payload) {
-    const url = `${this._apiUrl}/api/v2/logs`;
-    const body = await gzipAsync(JSON.stringify(payload));
-    const resp = await fetchRetry(new Request(url, {
+  async fetchWithRetry(url, body) {
+    const { log } = this;
+
+    let delay;
+    const fetchRetry = wrapFetch(fetch, {
+      retryOn: (attempt, error, response) => {
+        if (error && !(error instanceof FetchError)) {
+          throw error;
+        }
+        if (!error && !isRetryable(response.status)) {
+          return false;
+        }
+        if (attempt >= this._retries) {
+          return false;
+        }
+        delay = this.computeDelay(attempt, response);
+        if (this._deadline && Date.now() + delay > this._deadline - DEADLINE_RESERVE) {
+          log.warn(`Not retrying after ${attempt + 1} attempt(s), invocation deadline is near`);
+          return false;
+        }
+        return true;
+      },
+      retryDelay: () => delay,
+    });
+    return fetchRetry(new Request(url, {
       method: 'POST',
       headers: {
         'content-type': 'application/json',
@@ -148,33 +410,133 @@ export class DataDogLogger {
       },
       body,
     }));
+  }
+
+  /**
+   * Refresh the API key, once per logger, e.g. after it has been rotated.
+   *
+   * @returns {Promise<boolean>} whether a different API key was obtained
+   */
+  async refreshApiKey() {
+    const { log } = this;
+
+    if (!this._refreshApiKey || this._refreshed) {
+      return false;
+    }
+    this._refreshed = true;
+    try {
+      const apiKey = await this._refreshApiKey();
+      if (!apiKey || apiKey === this._apiKey) {
+        return false;
+      }
+      this._apiKey = apiKey;
+      log.info('Refreshed API key after it was rejected');
+      return true;
+    } catch (e) {
+      log.warn(`Unable to refresh API key: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Post a payload to DataDog. Network errors, server errors and throttling are
+   * retried, any other client error is considered permanent. If the API key is
+   * rejected, it is refreshed and the payload posted once more.
+   *
+   * @param {string} url URL to post to
+   * @param {any} payload payload
+   * @param {string} what what is being sent, used in error messages
+   * @returns {Promise<Response>} HTTP answer
+   * @throws {Promise<Error>} if an error occurs, with a `status` property
+   * if DataDog responded
+   */
+  async post(url, payload, what) {
+    const body = await gzipAsync(JSON.stringify(payload));
+
+    let resp = await this.fetchWithRetry(url, body);
+    if (resp.status === 403 && await this.refreshApiKey()) {
+      resp = await this.fetchWithRetry(url, body);
+    }
+    if (!resp.ok) {
+      const err = new Error(`Failed to send ${what} with status ${resp.status}: ${await resp.text()}`);
+      err.status = resp.status;
+      throw err;
+    }
     return resp;
   }
 
+  /**
+   * Send payload to DataDog.
+   *
+   * @param {DataDogLogEntry[]} payload payload
+   * @returns {Promise<Response>} HTTP answer
+   * @throws {Promise<Error>} if an error occurs
+   */
+  async sendPayload(payload) {
+    return this.post(`${this._apiUrl}/api/v2/logs`, payload, 'logs');
+  }
+
+  /**
+   * Send metric series to DataDog.
+   *
+   * @param {import('./metrics.js').MetricSeries[]} series series
+   * @returns {Promise<Response>} HTTP answer
+   * @throws {Promise<Error>} if an error occurs
+   */
+  async sendMetrics(series) {
+    return this.post(`${this._metricsUrl}/api/v2/series`, { series }, 'metrics');
+  }
+
+  /**
+   * Send an event to DataDog.
+   *
+   * @param {import('./failures.js').DataDogEvent} event event
+   * @returns {Promise<Response>} HTTP answer
+   * @throws {Promise<Error>} if an error occurs
+   */
+  async sendEvent(event) {
+    return this.post(`${this._metricsUrl}/api/v1/events`, event, 'event');
+  }
+
   /**
    * Create a log entry for DataDog from a log event. Returns `null` if we cannot
    * make up individual fields in the log event.
    *
    * @param {LogEvent} logEvent log event
+   * @param {ExtractedFields|null} [fields] fields already extracted from the log event
    * @returns {DataDogLogEntry|null} transformed log entry
    */
-  createLogEntry(logEvent) {
+  createLogEntry(logEvent, fields = extractFields(logEvent, this._logGroup)) {
     const { timestamp } = logEvent;
     const { log } = this;
 
-    const fields = extractFields(logEvent);
     if (!fields) {
       log.warn(`Unable to extract fields from: ${JSON.stringify(logEvent, 0, 2)}`);
       return null;
     }
-    const { message, requestId } = fields;
+    const {
+      message, requestId, error, failure, repeat,
+    } = fields;
     const level = LOG_LEVELS.indexOf(fields.level) !== -1 ? fields.level : 'INFO';
+    const attributes = Object.fromEntries(Object.entries({ error, failure })
+      .filter(([, value]) => value));
+    if (repeat) {
+      attributes.repeat_count = repeat.count;
+      attributes.first_timestamp = repeat.firstTimestamp;
+      attributes.last_timestamp = repeat.lastTimestamp;
+    }
+
+    const inv = {
+      invocationId: requestId || 'n/a',
+      functionName: this._functionName,
+      ...fields.invocation,
+    };
+    if (this._structured) {
+      return this.createStructuredEntry(timestamp, level, inv, message.trimEnd(), attributes);
+    }
 
     const text = {
-      inv: {
-        invocationId: requestId || 'n/a',
-        functionName: this._functionName,
-      },
+      inv,
       message: message.trimEnd(),
       level: fields.level.toLowerCase(),
       timestamp: fields.timestamp,
@@ -184,40 +546,195 @@ export class DataDogLogger {
     }
     return {
       timestamp,
-      message: JSON.stringify(text),
+      message: JSON.stringify({ ...text, ...attributes }),
+      level,
+    };
+  }
+
+  /**
+   * Create a structured log entry, where invocation, log stream and level are
+   * first-class attributes. If the message is a JSON object, its keys are added
+   * as attributes as well.
+   *
+   * @param {number} timestamp timestamp
+   * @param {string} level log level
+   * @param {Object} inv invocation information
+   * @param {string} message message text
+   * @param {Object} [extracted] attributes extracted from the log event, i.e. `error`,
+   * `failure` and those of repeated messages, taking precedence over the keys of a JSON
+   * message
+   * @returns {DataDogLogEntry} structured log entry
+   */
+  createStructuredEntry(timestamp, level, inv, message, extracted = {}) {
+    const entry = {
+      timestamp,
       level,
+      inv,
+      message,
     };
+    if (this._logStream) {
+      entry.logStream = this._logStream;
+    }
+    const attributes = parseJSONObject(message);
+    if (attributes) {
+      Object.entries(attributes)
+        .filter(([key]) => !RESERVED_ATTRIBUTES.includes(key))
+        .forEach(([key, value]) => {
+          entry[key] = value;
+        });
+      if (typeof attributes.message === 'string') {
+        entry.message = attributes.message;
+      }
+    }
+    return Object.assign(entry, extracted);
   }
 
   /**
-   * Send entries to DataDog
+   * Send entries to DataDog. Entries are split into chunks that respect the intake
+   * limits, and every chunk is sent on its own, so a failing chunk does not affect
+   * the others. Entries that exceed the maximum entry size are rejected. If enabled,
+   * REPORT lines are submitted as metrics and failures as events, one per invocation.
+   * Messages are redacted before entries are created, entries matching a `drop` rule
+   * are not sent at all. Entries passing the level threshold are sampled, and if the
+   * number of entries of an invocation in this batch is capped, the entries exceeding
+   * the cap are replaced with a summary entry. If deduping is enabled, duplicate messages
+   * of an invocation are folded into one entry before.
    *
    * @param {LogEvent[]} logEvents log events
-   * @returns {Promise<{rejected: LogEvent[], sent: number}>}
-   * result with rejected entries and count sent
+   * @returns {Promise<SinkResult>} result with rejected entries, count sent, outcome of
+   * every chunk and number of values redacted
    */
   async sendEntries(logEvents) {
+    const { log } = this;
     const rejected = [];
-    const logEntries = [];
+    const items = [];
+    const series = [];
+    const failureEvents = new Map();
+    const perInvocation = new Map();
+    let redactions = 0;
+    let dropped = 0;
+    let sampled = 0;
 
-    for (const logEvent of logEvents) {
-      const logEntry = this.createLogEntry(logEvent);
-      if (!logEntry) {
+    let events = mergeContinuations(logEvents, this._continuations, this._logGroup);
+    let fieldsList = correlateInvocations(
+      events.map((logEvent) => extractFields(logEvent, this._logGroup)),
+    );
+    let duplicates = new Map();
+    if (this._dedupe) {
+      ({ events, fieldsList, duplicates } = dedupeEvents(events, fieldsList, this._dedupe));
+    }
+    for (const [index, logEvent] of events.entries()) {
+      const fields = fieldsList[index];
+      if (fields?.metrics && this._reportMetrics) {
+        series.push(...createSeries(fields.metrics, logEvent.timestamp, this._metricTags));
+      }
+      const redaction = fields && this._redactor?.redact(fields.message);
+      redactions += redaction?.count ?? 0;
+      const logEntry = !redaction?.drop && this.createLogEntry(
+        logEvent,
+        redaction ? {
+          ...fields,
+          message: redaction.message,
+          error: fields.error && this._redactor.redactError(fields.error),
+        } : fields,
+      );
+      if (logEntry && fields.failure && this._failureEvents) {
+        const event = createFailureEvent(
+          { ...fields, message: redaction?.message ?? fields.message },
+          logEvent.timestamp,
+          this._functionName,
+          this._metricTags,
+        );
+        if (!failureEvents.has(event.aggregation_key)) {
+          failureEvents.set(event.aggregation_key, event);
+        }
+      }
+      if (redaction?.drop) {
+        dropped += 1;
+      } else if (!logEntry) {
         rejected.push(logEvent);
-      } else if (this.shouldSendLevel(logEntry.level.toUpperCase())) {
-        logEntries.push(logEntry);
+      } else if ((!fields.metrics || this._reportLogs)
+        && this.shouldSendLevel(logEntry.level.toUpperCase())) {
+        if (!this.shouldSample(logEntry.level.toUpperCase(), fields.requestId)) {
+          sampled += 1;
+        } else if (withinCap(perInvocation, this._sampler?.maxEntries, fields, logEvent)) {
+          const entry = { ...logEntry, ...this._baseEntry };
+          const size = Buffer.byteLength(JSON.stringify(entry));
+          if (size > this._limits.maxEntrySize) {
+            log.warn(`Log entry of ${size} bytes exceeds maximum entry size of ${this._limits.maxEntrySize} bytes`);
+            rejected.push(logEvent, ...duplicates.get(logEvent) ?? []);
+          } else {
+            items.push({ logEvent, entry, size });
+          }
+        }
+      }
+    }
+
+    if (redactions) {
+      log.info(`Redacted ${redactions} value(s), dropped ${dropped} entries`);
+    }
+    let capped = 0;
+    perInvocation.forEach(({ total, timestamp, invocation }, requestId) => {
+      const { maxEntries } = this._sampler;
+      if (total > maxEntries) {
+        capped += total - maxEntries;
+        const logEvent = createSummaryEvent(requestId, timestamp, total, maxEntries);
+        const entry = {
+          ...this.createLogEntry(logEvent, { ...extractFields(logEvent), invocation }),
+          ...this._baseEntry,
+        };
+        items.push({ logEvent, entry, size: Buffer.byteLength(JSON.stringify(entry)) });
+      }
+    });
+    if (sampled || capped) {
+      log.info(`Sampled out ${sampled} entries, capped ${capped} entries`);
+    }
+
+    let sent = 0;
+    const chunks = [];
+    for (const chunk of splitIntoChunks(items, this._limits)) {
+      const outcome = {
+        logEvents: chunk.flatMap(({ logEvent }) => [logEvent, ...duplicates.get(logEvent) ?? []]),
+      };
+      try {
+        const resp = await this.sendPayload(chunk.map(({ entry }) => entry));
+        outcome.ok = true;
+        outcome.status = resp.status;
+        sent += chunk.length;
+      } catch (e) {
+        log.warn(`Failed to send chunk of ${chunk.length} entries: ${e.message}`);
+        outcome.ok = false;
+        outcome.status = e.status;
+        outcome.error = e;
+      }
+      chunks.push(outcome);
+    }
+
+    if (series.length) {
+      try {
+        await this.sendMetrics(series);
+      } catch (e) {
+        log.warn(`Failed to send ${series.length} metric series: ${e.message}`);
       }
     }
-    if (logEntries.length) {
-      await this.sendPayload(logEntries.map((logEntry) => ({
-        ...logEntry,
-        ...this._baseEntry,
-      })));
+    for (const event of failureEvents.values()) {
+      try {
+        await this.sendEvent(event);
+      } catch (e) {
+        log.warn(`Failed to send event for ${event.aggregation_key}: ${e.message}`);
+      }
     }
-    return { rejected, sent: logEntries.length };
+    return {
+      rejected, sent, chunks, redactions,
+    };
   }
 
   get log() {
     return this._log;
   }
+
+  // eslint-disable-next-line class-methods-use-this
+  get name() {
+    return 'datadog';
+  }
 }
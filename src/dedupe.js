@@ -0,0 +1,122 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * @typedef Repeat
+ * @property {number} count number of identical messages folded into one
+ * @property {number} firstTimestamp timestamp of the first message
+ * @property {number} lastTimestamp timestamp of the last message
+ */
+
+/**
+ * @typedef DedupeResult
+ * @property {LogEvent[]} events log events, without the duplicates folded
+ * @property {Array<ExtractedFields|null>} fieldsList fields of the log events, including
+ * `repeat` where duplicates were folded
+ * @property {Map<LogEvent, LogEvent[]>} duplicates log events folded into every log event
+ */
+
+/**
+ * Dedupe modes: `exact` folds identical messages, `normalized` folds messages that are
+ * identical after normalization.
+ */
+export const DEDUPE_MODES = ['exact', 'normalized'];
+
+/**
+ * Variable parts of a message and their placeholders, applied in order.
+ *
+ * @type {[RegExp, string][]}
+ */
+const NORMALIZERS = [
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?/g, '<time>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b(0x[0-9a-f]+|[0-9a-f]{8,})\b/gi, '<hex>'],
+  [/\d+(\.\d+)?/g, '<num>'],
+];
+
+/**
+ * Parse the dedupe mode.
+ *
+ * @param {string} [config] dedupe mode
+ * @returns {string|null} dedupe mode or `null` if deduping is disabled
+ * @throws {Error} if the mode is unknown
+ */
+export function parseDedupeMode(config) {
+  if (!config) {
+    return null;
+  }
+  if (!DEDUPE_MODES.includes(config)) {
+    throw new Error(`Unknown dedupe mode: ${config}`);
+  }
+  return config;
+}
+
+/**
+ * Normalize a message by replacing timestamps, UUIDs, hexadecimal values and numbers
+ * with placeholders.
+ *
+ * @param {string} message message
+ * @returns {string} normalized message
+ */
+export function normalizeMessage(message) {
+  return NORMALIZERS.reduce((text, [re, placeholder]) => text.replace(re, placeholder), message);
+}
+
+/**
+ * Fold duplicate log events within a batch. Events are duplicates if they have the same
+ * request id, level and message, optionally normalized. The first event is kept and carries
+ * the number of events folded and the timestamps of the first and the last. Events that
+ * could not be extracted and lifecycle lines are never folded.
+ *
+ * @param {LogEvent[]} logEvents log events
+ * @param {Array<ExtractedFields|null>} fieldsList fields extracted from the log events
+ * @param {string} mode dedupe mode, one of `DEDUPE_MODES`
+ * @returns {DedupeResult} result
+ */
+export function dedupeEvents(logEvents, fieldsList, mode) {
+  const result = { events: [], fieldsList: [], duplicates: new Map() };
+  const seen = new Map();
+
+  logEvents.forEach((logEvent, index) => {
+    const fields = fieldsList[index];
+    if (!fields || fields.phase) {
+      result.events.push(logEvent);
+      result.fieldsList.push(fields);
+      return;
+    }
+    const message = fields.message.trimEnd();
+    const key = JSON.stringify([
+      fields.requestId,
+      fields.level,
+      mode === 'normalized' ? normalizeMessage(message) : message,
+    ]);
+    const kept = seen.get(key);
+    if (kept === undefined) {
+      seen.set(key, result.events.length);
+      result.events.push(logEvent);
+      result.fieldsList.push(fields);
+      return;
+    }
+    const head = result.events[kept];
+    const { repeat = { count: 1, firstTimestamp: head.timestamp } } = result.fieldsList[kept];
+    result.fieldsList[kept] = {
+      ...result.fieldsList[kept],
+      repeat: {
+        count: repeat.count + 1,
+        firstTimestamp: Math.min(repeat.firstTimestamp, logEvent.timestamp),
+        lastTimestamp: Math.max(repeat.lastTimestamp ?? head.timestamp, logEvent.timestamp),
+      },
+    };
+    result.duplicates.set(head, [...(result.duplicates.get(head) ?? []), logEvent]);
+  });
+  return result;
+}
@@ -10,19 +10,77 @@
  * governing permissions and limitations under the License.
  */
 import aws4 from 'aws4';
+import { resolveCredentials } from './credentials.js';
 import { fetchContext } from './utils.js';
 
 /**
- * Send a message to our DLQ.
+ * @typedef DLQMessage
+ * @property {string} MessageId message id
+ * @property {string} ReceiptHandle receipt handle, needed to delete the message
+ * @property {string} Body message body
+ */
+
+/**
+ * @typedef DLQFailure
+ * @property {string} logGroup log group name
+ * @property {string} logStream log stream name
+ * @property {LogEvent[]} logEvents log events that were not accepted
+ * @property {string} [sink] name of the sink that did not accept them
+ * @property {string} reason failure reason
+ * @property {number} [status] HTTP status returned by the sink, if any
+ * @property {number} attempt attempt number, starting at 1
+ * @property {string} timestamp time of failure
+ */
+
+/**
+ * Create the DLQ messages for the events of an input that were not accepted: for
+ * every sink, one message per failed chunk and one for all rejected events.
+ *
+ * @param {CloudWatchInput} input input
+ * @param {FeedResult[]} results result of every sink
+ * @param {number} attempt attempt number
+ * @returns {DLQFailure[]} DLQ messages
+ */
+export function createDLQMessages({ logGroup, logStream }, results, attempt) {
+  const timestamp = new Date().toISOString();
+  return results.flatMap(({ sink, rejected, chunks }) => {
+    const messages = chunks
+      .filter(({ ok }) => !ok)
+      .map(({ logEvents, status, error }) => ({
+        logGroup,
+        logStream,
+        logEvents,
+        sink,
+        reason: error.message,
+        status,
+        attempt,
+        timestamp,
+      }));
+    if (rejected.length) {
+      messages.push({
+        logGroup,
+        logStream,
+        logEvents: rejected,
+        sink,
+        reason: 'Rejected: no known pattern or entry too large',
+        attempt,
+        timestamp,
+      });
+    }
+    return messages;
+  });
+}
+
+/**
+ * Return the AWS credentials and the URL of our DLQ.
  *
  * @param {UniversalContext} context universal context
- * @param {any} message message to send
- * @returns {Promise<void>}
- * @throws {Promise<Error>} if something goes wrong
+ * @returns {Promise<{region: string, queueUrl: string, credentials: Object}>} queue
+ * information
+ * @throws {Promise<Error>} if AWS credentials are not available
  */
-export async function sendToDLQ(context, message) {
+async function getQueue(context) {
   const {
-    env,
     runtime: {
       region,
       accountId,
@@ -32,23 +90,74 @@ export async function sendToDLQ(context, message) {
     },
   } = context;
 
-  const awsConfig = {
-    accessKeyId: env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
-    sessionToken: env.AWS_SESSION_TOKEN,
+  return {
+    region,
+    queueUrl: `https://sqs.${region}.amazonaws.com/${accountId}/helix-${name}-dlq`,
+    credentials: await resolveCredentials(context),
   };
+}
+
+/**
+ * Invoke an SQS action on our DLQ using the JSON protocol, which spares us
+ * parsing XML responses.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {string} action action, e.g. `ReceiveMessage`
+ * @param {Object} params parameters besides the queue URL
+ * @returns {Promise<Object>} parsed response, empty if there is none
+ * @throws {Promise<Error>} if something goes wrong
+ */
+async function invokeDLQ(context, action, params) {
+  const { region, queueUrl, credentials } = await getQueue(context);
 
-  if (!awsConfig.accessKeyId || !awsConfig.secretAccessKey) {
-    throw new Error('Missing AWS configuration (aws_access_key_id or aws_secret_access_key)');
+  const { fetch } = fetchContext;
+  const opts = {
+    host: `sqs.${region}.amazonaws.com`,
+    service: 'sqs',
+    region,
+    method: 'POST',
+    path: '/',
+    headers: {
+      'content-type': 'application/x-amz-json-1.0',
+      'x-amz-target': `AmazonSQS.${action}`,
+    },
+    body: JSON.stringify({ QueueUrl: queueUrl, ...params }),
+  };
+  const req = aws4.sign(opts, credentials);
+  const resp = await fetch(`https://${req.host}${req.path}`, {
+    method: req.method,
+    headers: req.headers,
+    body: req.body,
+  });
+  if (!resp.ok) {
+    throw Error(`Failed to invoke ${action} with status: ${resp.status}\n${await resp.text()}`);
   }
+  const text = await resp.text();
+  return text ? JSON.parse(text) : {};
+}
+
+/**
+ * Send a message to our DLQ.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {any} message message to send
+ * @param {number} [delaySeconds] time in seconds the message stays invisible, at most 900
+ * @returns {Promise<void>}
+ * @throws {Promise<Error>} if something goes wrong
+ */
+export async function sendToDLQ(context, message, delaySeconds) {
+  const { region, queueUrl, credentials } = await getQueue(context);
 
   const { fetch } = fetchContext;
   const body = {
     Action: 'SendMessage',
     Version: '2012-11-05',
-    QueueUrl: `https://sqs.${region}.amazonaws.com/${accountId}/helix-${name}-dlq`,
+    QueueUrl: queueUrl,
     MessageBody: JSON.stringify(message),
   };
+  if (delaySeconds) {
+    body.DelaySeconds = String(delaySeconds);
+  }
   const opts = {
     host: `sqs.${region}.amazonaws.com`,
     service: 'sqs',
@@ -57,11 +166,7 @@ export async function sendToDLQ(context, message) {
     path: '/',
     body: new URLSearchParams(body).toString(),
   };
-  const req = aws4.sign(opts, {
-    accessKeyId: awsConfig.accessKeyId,
-    secretAccessKey: awsConfig.secretAccessKey,
-    sessionToken: awsConfig.sessionToken,
-  });
+  const req = aws4.sign(opts, credentials);
   const resp = await fetch(`https://${req.host}${req.path}`, {
     method: req.method,
     headers: req.headers,
@@ -71,3 +176,48 @@ export async function sendToDLQ(context, message) {
     throw Error(`Failed to send logs with status: ${resp.status}\n${await resp.text()}`);
   }
 }
+
+/**
+ * Receive messages from our DLQ. Received messages are invisible to other consumers
+ * until their visibility timeout expires, unless they are deleted before.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {number} [maxMessages=10] maximum number of messages, at most 10
+ * @param {number} [visibilityTimeout=60] visibility timeout in seconds
+ * @returns {Promise<DLQMessage[]>} messages received
+ * @throws {Promise<Error>} if something goes wrong
+ */
+export async function receiveFromDLQ(context, maxMessages = 10, visibilityTimeout = 60) {
+  const { Messages: messages = [] } = await invokeDLQ(context, 'ReceiveMessage', {
+    MaxNumberOfMessages: maxMessages,
+    VisibilityTimeout: visibilityTimeout,
+  });
+  return messages;
+}
+
+/**
+ * Delete a message from our DLQ.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {string} receiptHandle receipt handle of a message received
+ * @returns {Promise<void>}
+ * @throws {Promise<Error>} if something goes wrong
+ */
+export async function deleteFromDLQ(context, receiptHandle) {
+  await invokeDLQ(context, 'DeleteMessage', { ReceiptHandle: receiptHandle });
+}
+
+/**
+ * Return the approximate number of messages in our DLQ. This also verifies that the
+ * queue exists and may be accessed.
+ *
+ * @param {UniversalContext} context universal context
+ * @returns {Promise<number>} approximate number of messages
+ * @throws {Promise<Error>} if something goes wrong
+ */
+export async function countDLQMessages(context) {
+  const { Attributes: attributes } = await invokeDLQ(context, 'GetQueueAttributes', {
+    AttributeNames: ['ApproximateNumberOfMessages'],
+  });
+  return Number(attributes.ApproximateNumberOfMessages);
+}
@@ -12,56 +12,419 @@
 
 /* eslint-disable no-await-in-loop */
 
+import { classifyFailure } from './failures.js';
+import { matchesPattern } from './utils.js';
+
 /**
  * @typedef ExtractedFields
  * @property {string} level log level (see LOG_LEVEL_MAPPING)
  * @property {string} message message extracted
  * @property {string} requestId optional request id
  * @property {string} timestamp optional timestamp
+ * @property {string} phase optional lifecycle phase, i.e. `INIT_START`, `INIT_REPORT`,
+ * `START`, `END` or `REPORT`, only present for the platform lines
+ * @property {ReportMetrics} metrics optional metrics, only present for REPORT lines
+ * @property {string} status optional invocation or initialization status, e.g. `success`
+ * or `timeout`, only present for REPORT and INIT_REPORT lines
+ * @property {ErrorFields} error optional error, only present if the message reports one
+ * @property {import('./failures.js').Failure} failure optional failure, only present if
+ * the log event reports a timeout, out-of-memory kill, runtime exit or failed initialization
+ * @property {import('./invocations.js').InvocationAttributes} invocation optional attributes
+ * of the invocation, added by `correlateInvocations`
+ * @property {import('./dedupe.js').Repeat} repeat optional number and timestamps of
+ * duplicate messages, added by `dedupeEvents`
+ */
+
+/**
+ * @typedef ErrorFields
+ * @property {string} kind error type, e.g. `TypeError` or `java.lang.IllegalStateException`
+ * @property {string} message error message
+ * @property {string} [stack] stack trace
+ */
+
+/**
+ * @typedef ReportMetrics
+ * @property {number} duration duration in milliseconds
+ * @property {number} billedDuration billed duration in milliseconds
+ * @property {number} memorySize memory size in megabytes
+ * @property {number} maxMemoryUsed max memory used in megabytes
+ * @property {number} [initDuration] init duration in milliseconds, only present on cold start
+ */
+
+/**
+ * Numeric segments in a REPORT line and their metric names.
+ */
+const REPORT_SEGMENTS = {
+  Duration: 'duration',
+  'Billed Duration': 'billedDuration',
+  'Memory Size': 'memorySize',
+  'Max Memory Used': 'maxMemoryUsed',
+  'Init Duration': 'initDuration',
+};
+
+/**
+ * Parse the numeric segments of a REPORT line.
+ *
+ * @param {string[]} segments segments, e.g. `Duration: 26.25 ms`
+ * @returns {ReportMetrics} metrics
+ */
+function parseReportMetrics(segments) {
+  const metrics = {};
+  segments.forEach((segment) => {
+    const match = segment.match(/^(?<name>[\w ]+): (?<value>\d+(\.\d+)?) (ms|MB)$/);
+    const name = REPORT_SEGMENTS[match?.groups.name];
+    if (name) {
+      metrics[name] = Number(match.groups.value);
+    }
+  });
+  return metrics;
+}
+
+/**
+ * Parse the status of a REPORT or INIT_REPORT line, which only has a `Status`
+ * segment if the invocation or initialization failed.
+ *
+ * @param {string[]} segments segments, e.g. `Status: timeout`
+ * @returns {string} status, `success` if there is no status segment
+ */
+function parseStatus(segments) {
+  const segment = segments.find((s) => s.startsWith('Status: '));
+  return segment ? segment.substring('Status: '.length) : 'success';
+}
+
+/**
+ * Format a REPORT line from the metrics of a `platform.report` record, the same
+ * way Lambda does in its text format.
+ *
+ * @param {Object} record platform record
+ * @returns {string[]} segments
+ */
+function formatReportSegments({ metrics, status, errorType }) {
+  const segments = [
+    `Duration: ${metrics.durationMs.toFixed(2)} ms`,
+    `Billed Duration: ${metrics.billedDurationMs} ms`,
+    `Memory Size: ${metrics.memorySizeMB} MB`,
+    `Max Memory Used: ${metrics.maxMemoryUsedMB} MB`,
+  ];
+  if (metrics.initDurationMs !== undefined) {
+    segments.push(`Init Duration: ${metrics.initDurationMs.toFixed(2)} ms`);
+  }
+  if (status && status !== 'success') {
+    segments.push(`Status: ${status}`);
+  }
+  if (errorType) {
+    segments.push(`Error Type: ${errorType}`);
+  }
+  return segments;
+}
+
+/**
+ * Extractors for platform records in Lambda's JSON log format, producing the same
+ * fields as their text counterparts.
+ */
+const PLATFORM_EXTRACTORS = {
+  'platform.initStart': ({ runtimeVersion, runtimeVersionArn }) => ({
+    message: `INIT_START Runtime Version: ${runtimeVersion}\tRuntime Version ARN: ${runtimeVersionArn}`,
+    phase: 'INIT_START',
+    level: 'DEBUG',
+  }),
+  'platform.initReport': ({
+    phase, status = 'success', errorType, metrics,
+  }) => {
+    const segments = [`Init Duration: ${metrics.durationMs.toFixed(2)} ms`, `Phase: ${phase}`];
+    if (status !== 'success') {
+      segments.push(`Status: ${status}`);
+    }
+    if (errorType) {
+      segments.push(`Error Type: ${errorType}`);
+    }
+    return {
+      message: `INIT_REPORT ${segments.join('\t')}`,
+      phase: 'INIT_REPORT',
+      level: status !== 'success' ? 'ERROR' : 'DEBUG',
+      status,
+    };
+  },
+  'platform.start': ({ requestId, version }) => ({
+    message: version ? `START Version: ${version}` : 'START',
+    requestId,
+    phase: 'START',
+    level: 'DEBUG',
+  }),
+  'platform.runtimeDone': ({ requestId }) => ({
+    message: 'END',
+    requestId,
+    phase: 'END',
+    level: 'DEBUG',
+  }),
+  'platform.report': (record) => {
+    const segments = formatReportSegments(record);
+    const { status = 'success' } = record;
+    return {
+      message: `REPORT ${segments.join('\t')}`,
+      requestId: record.requestId,
+      phase: 'REPORT',
+      level: status !== 'success' ? 'ERROR' : 'DEBUG',
+      metrics: parseReportMetrics(segments),
+      status,
+    };
+  },
+};
+
+/**
+ * Create error fields from an error object as logged by the Lambda runtimes, e.g.
+ * `{"errorType":"TypeError","errorMessage":"x is not a function","stack":[...]}`.
+ * Node.js calls the stack trace `stack`, the other runtimes `stackTrace`.
+ *
+ * @param {Object} obj error object
+ * @returns {ErrorFields|null} error fields or `null` if this is no error object
+ */
+function fromErrorObject({
+  errorType, errorMessage = '', stack, stackTrace = stack,
+}) {
+  if (typeof errorType !== 'string') {
+    return null;
+  }
+  return {
+    kind: errorType,
+    message: String(errorMessage),
+    stack: Array.isArray(stackTrace)
+      ? stackTrace.map((line) => String(line).trimEnd()).join('\n')
+      : stackTrace,
+  };
+}
+
+/**
+ * Parse an error object in JSON.
+ *
+ * @param {string} text JSON text
+ * @returns {ErrorFields|null} error fields or `null`
+ */
+function parseErrorObject(text) {
+  try {
+    return fromErrorObject(JSON.parse(text));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create error fields from a match with the named groups `kind`, `text` and `stack`.
+ *
+ * @param {RegExpMatchArray} match match
+ * @returns {ErrorFields} error fields
+ */
+function fromErrorMatch({ groups: { kind, text = '', stack } }) {
+  return { kind, message: text, stack: stack.trimEnd() };
+}
+
+/**
+ * Extractors for errors reported in a message, tried in order.
+ */
+const ERROR_EXTRACTORS = [
+  {
+    name: 'node-runtime-error',
+    /* Node.js runtime reporting an error thrown by the handler or outside of it */
+    pattern: /^(?:Invoke Error|Uncaught Exception|Unhandled Promise Rejection)\s*\t(?<json>\{[\s\S]*\})\s*$/,
+    extract: ({ groups: { json } }) => parseErrorObject(json),
+  },
+  {
+    name: 'error-object',
+    /* error object logged by the Python and Java runtimes */
+    pattern: /^\{[\s\S]*\}\s*$/,
+    extract: ([text]) => parseErrorObject(text),
+  },
+  {
+    name: 'python-runtime-error',
+    /* Python runtime reporting an error, followed by its traceback */
+    pattern: /^\[ERROR\] (?<kind>[A-Za-z_][\w.]*): (?<text>[^\n]*)\n(?<stack>Traceback \(most recent call last\):[\s\S]*)$/,
+    extract: fromErrorMatch,
+  },
+  {
+    name: 'python-traceback',
+    /* traceback ending with the exception, e.g. as logged by `logging.exception` */
+    pattern: /(?:^|\n)(?<stack>Traceback \(most recent call last\):\n[\s\S]*?\n(?<kind>[A-Za-z_][\w.]*)(?:: (?<text>[^\n]*))?)\s*$/,
+    extract: fromErrorMatch,
+  },
+  {
+    name: 'java-exception',
+    /* exception class including its package, followed by stack frames */
+    pattern: /(?:^|\n)(?:Exception in thread "[^"]*" )?(?<stack>(?<kind>(?:[a-zA-Z_$][\w$]*\.)+[A-Z][\w$]*)(?:: (?<text>[^\n]*))?\n\s+at [\s\S]*)$/,
+    extract: fromErrorMatch,
+  },
+  {
+    name: 'node-stack',
+    /* Node.js error printed with its stack, e.g. by `console.error(err)` */
+    pattern: /(?:^|\n)(?<stack>(?<kind>(?:[A-Z]\w*)?(?:Error|Exception))(?:: (?<text>[^\n]*))?\n\s+at [\s\S]*)$/,
+    extract: fromErrorMatch,
+  },
+];
+
+/**
+ * Extract an error reported in a message: Node.js runtime errors, error objects
+ * logged by the other runtimes, Python tracebacks, Java exceptions and Node.js
+ * stack traces.
+ *
+ * @param {string} message message text
+ * @returns {ErrorFields|null} error fields or `null`
+ */
+export function extractError(message) {
+  for (const { pattern, extract } of ERROR_EXTRACTORS) {
+    const match = message.match(pattern);
+    const error = match && extract(match);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Add the error reported in the message to extracted fields, forcing level `ERROR`.
+ *
+ * @param {ExtractedFields} fields extracted fields
+ * @returns {ExtractedFields} fields, including the error if one was found
+ */
+function withError(fields) {
+  const error = fields.error ?? extractError(fields.message);
+  return error ? { ...fields, level: 'ERROR', error } : fields;
+}
+
+/**
+ * Add the failure reported by a log event to extracted fields, forcing level `ERROR`.
+ *
+ * @param {ExtractedFields} fields extracted fields
+ * @returns {ExtractedFields} fields, including the failure if one was found
+ */
+function withFailure(fields) {
+  const failure = classifyFailure(fields);
+  return failure ? { ...fields, level: 'ERROR', failure } : fields;
+}
+
+/**
+ * Extract fields from a message in Lambda's JSON log format, which is either an
+ * application log or a platform record.
+ *
+ * @param {string} text message text
+ * @returns {ExtractedFields|null} extracted fields or `null`
+ */
+function extractJSON(text) {
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  const { type, time, record = {} } = obj;
+  if (typeof type === 'string' && type.startsWith('platform.')) {
+    const extract = PLATFORM_EXTRACTORS[type];
+    const fields = extract ? extract(record) : {
+      message: `${type} ${JSON.stringify(record)}`,
+      level: 'DEBUG',
+    };
+    return { ...fields, timestamp: time };
+  }
+  const {
+    level, message, requestId, timestamp,
+  } = obj;
+  if (typeof level !== 'string' || message === undefined) {
+    return null;
+  }
+  const fields = {
+    level: level === 'FATAL' ? 'ERROR' : level,
+    message: typeof message === 'string' ? message : JSON.stringify(message),
+    requestId,
+    timestamp,
+  };
+  const error = fromErrorObject(obj);
+  return error ? { ...fields, error } : fields;
+}
+
+/**
+ * Python log levels that differ from ours.
+ */
+const PYTHON_LEVELS = {
+  WARNING: 'WARN',
+  CRITICAL: 'ERROR',
+};
+
+/**
+ * @typedef Extractor
+ * @property {string} [name] name, registering an extractor with the same name replaces it
+ * @property {RegExp} [pattern] pattern the message must match
+ * @property {function(LogEvent): any} [test] predicate used instead of a pattern,
+ * a truthy result is passed to `extract`
+ * @property {function(any, LogEvent): ExtractedFields|null} extract function extracting
+ * fields from the match, returning `null` lets the next extractor try
+ * @property {number} [priority=0] extractors with higher priority are tried first
+ * @property {Array<string|RegExp>} [logGroups] log groups this extractor is restricted to,
+ * strings may contain `*` wildcards
  */
 
 /**
  * Message extractors for AWS messages.
+ *
+ * @type {Extractor[]}
  */
 const MESSAGE_EXTRACTORS = [
   {
+    name: 'init-start',
     pattern: /^INIT_START (?<text>[\s\S]+)\n$/,
     extract: ({ groups: { text } }) => ({
       message: `INIT_START ${text}`,
+      phase: 'INIT_START',
       level: 'DEBUG',
     }),
   },
   {
+    name: 'start-end',
     pattern: /^(?<phase>START|END) RequestId: (?<requestId>[0-9a-f-]{36})(?<text>[\s\S]+)?\n$/,
     extract: ({ groups: { phase, requestId, text } }) => {
       const segments = text?.split('\t') || [];
       return {
         message: `${phase}${segments.join('\t')}`,
         requestId,
+        phase,
         level: 'DEBUG',
       };
     },
   },
   {
+    name: 'report',
     /* REPORT may contain a `Status` field indicating an error occurred */
     pattern: /^(?<phase>REPORT) RequestId: (?<requestId>[0-9a-f-]{36})(?<text>[\s\S]+)\n$/,
     extract: ({ groups: { phase, requestId, text } }) => {
       const segments = text.split('\t');
       segments.shift();
 
-      let level = 'DEBUG';
-      const status = segments.find((segment) => segment.startsWith('Status: '));
-      if (status) {
-        level = 'ERROR';
-      }
+      const status = parseStatus(segments);
       return {
         message: `${phase} ${segments.join('\t')}`,
         requestId,
-        level,
+        phase,
+        level: status !== 'success' ? 'ERROR' : 'DEBUG',
+        metrics: parseReportMetrics(segments),
+        status,
       };
     },
   },
   {
+    name: 'init-report',
+    /* INIT_REPORT is logged if initialization failed, or ran during the invocation */
+    pattern: /^INIT_REPORT (?<text>[\s\S]+)\n$/,
+    extract: ({ groups: { text } }) => {
+      const segments = text.trimEnd().split('\t');
+      const status = parseStatus(segments);
+      return {
+        message: `INIT_REPORT ${segments.join('\t')}`,
+        phase: 'INIT_REPORT',
+        level: status !== 'success' ? 'ERROR' : 'DEBUG',
+        status,
+      };
+    },
+  },
+  {
+    name: 'runtime-error',
     /* AWS uses this format to report `killed` services */
     pattern: /^RequestId: (?<requestId>[0-9a-f-]{36})\s+Error: (?<text>[\s\S]+)\n$/,
     extract: ({ groups: { requestId, text } }) => ({
@@ -71,28 +434,185 @@ const MESSAGE_EXTRACTORS = [
     }),
   },
   {
+    name: 'standard',
     /* standard whitespace pattern [timestamp=*Z, request_id="*-*", event] */
-    pattern: /^(?<timestamp>\S+Z)\t(?<requestId>[0-9a-f-]{36})\t(?<text>[\s\S]+)\n$/,
+    /* errors thrown outside of an invocation are logged with request id `undefined` */
+    pattern: /^(?<timestamp>\S+Z)\t(?<requestId>[0-9a-f-]{36}|undefined)\t(?<text>[\s\S]+)\n$/,
     extract: ({ groups: { timestamp, requestId, text } }) => {
-      let [level, message] = text.split('\t');
-      if (message === undefined) {
-        [level, message] = (['INFO', level]);
-      }
+      const index = text.indexOf('\t');
       return {
-        level, message, requestId, timestamp,
+        level: index === -1 ? 'INFO' : text.substring(0, index),
+        message: index === -1 ? text : text.substring(index + 1),
+        requestId: requestId === 'undefined' ? undefined : requestId,
+        timestamp,
       };
     },
   },
+  {
+    name: 'python',
+    /* Python runtime log format [level, timestamp=*Z, request_id="*-*", event] */
+    pattern: /^\[(?<level>[A-Z]+)\]\t(?<timestamp>\S+Z)\t(?<requestId>[0-9a-f-]{36})\t(?<text>[\s\S]+)\n$/,
+    extract: ({
+      groups: {
+        level, timestamp, requestId, text,
+      },
+    }) => ({
+      level: PYTHON_LEVELS[level] ?? level,
+      message: text,
+      requestId,
+      timestamp,
+    }),
+  },
+  {
+    name: 'json',
+    /* Lambda JSON log format, either application logs or platform records */
+    pattern: /^\{[\s\S]*\}\n?$/,
+    extract: ([text]) => extractJSON(text),
+  },
+  {
+    name: 'error',
+    /* errors logged by a runtime without any prefix */
+    test: ({ message }) => extractError(message),
+    extract: (error, { message }) => ({
+      level: 'ERROR',
+      message,
+      error,
+    }),
+  },
 ];
 
+/**
+ * Registered extractors, in the order they are tried.
+ *
+ * @type {Extractor[]}
+ */
+let extractors = [...MESSAGE_EXTRACTORS];
+
+/**
+ * Configuration last passed to `configureExtractors` and names of the extractors it declared.
+ */
+let lastConfig;
+let configuredNames = [];
+
+/**
+ * Register an extractor. Extractors are tried in order of descending priority,
+ * extractors with the same priority in the order they were registered. The built-in
+ * extractors have priority 0.
+ *
+ * @param {Extractor} extractor extractor
+ * @throws {Error} if the extractor is invalid
+ */
+export function registerExtractor(extractor) {
+  const {
+    name, pattern, test, extract,
+  } = extractor;
+  const label = name ? `Extractor ${name}` : 'Extractor';
+  if (typeof extract !== 'function') {
+    throw new Error(`${label} needs an extract function`);
+  }
+  if (!(pattern instanceof RegExp) && typeof test !== 'function') {
+    throw new Error(`${label} needs either a pattern or a test function`);
+  }
+  extractors = extractors
+    .filter((e) => !name || e.name !== name)
+    .concat(extractor)
+    .sort((e1, e2) => (e2.priority ?? 0) - (e1.priority ?? 0));
+}
+
+/**
+ * Unregister an extractor by name.
+ *
+ * @param {string} name name of extractor
+ * @returns {boolean} whether an extractor was removed
+ */
+export function unregisterExtractor(name) {
+  const count = extractors.length;
+  extractors = extractors.filter((e) => e.name !== name);
+  return extractors.length !== count;
+}
+
+/**
+ * Reset extractors to the built-in ones.
+ */
+export function resetExtractors() {
+  extractors = [...MESSAGE_EXTRACTORS];
+  lastConfig = undefined;
+  configuredNames = [];
+}
+
+/**
+ * Create an extractor from a configuration entry. The pattern is matched against
+ * the message without its trailing newline, and may contain the named groups
+ * `level`, `message`, `requestId` and `timestamp`. If no `message` group is
+ * present, the entire message is used.
+ *
+ * @param {Object} config configuration entry
+ * @param {string} config.name name
+ * @param {string} config.pattern regular expression
+ * @param {string} [config.flags] regular expression flags
+ * @param {string} [config.level='INFO'] level if the pattern has no `level` group
+ * @param {number} [config.priority] priority
+ * @param {string[]} [config.logGroups] log groups this extractor is restricted to
+ * @returns {Extractor} extractor
+ */
+export function createRegexExtractor({
+  name, pattern, flags, level = 'INFO', priority, logGroups,
+}) {
+  const regex = new RegExp(pattern, flags);
+  return {
+    name,
+    priority,
+    logGroups,
+    test: ({ message }) => message.trimEnd().match(regex),
+    extract: (match) => {
+      const groups = match.groups ?? {};
+      return {
+        level: groups.level?.toUpperCase() ?? level.toUpperCase(),
+        message: groups.message ?? match[0],
+        requestId: groups.requestId,
+        timestamp: groups.timestamp,
+      };
+    },
+  };
+}
+
+/**
+ * Register extractors declared in configuration, a JSON array of entries as accepted
+ * by `createRegexExtractor`. Entries without a name are named after their index.
+ * Registering the same configuration again does nothing, a different configuration
+ * replaces the extractors previously declared.
+ *
+ * @param {string} [config] JSON configuration
+ * @throws {Error} if the configuration is invalid
+ */
+export function configureExtractors(config) {
+  if (!config || config === lastConfig) {
+    return;
+  }
+  const entries = JSON.parse(config);
+  if (!Array.isArray(entries)) {
+    throw new Error('Extractor configuration must be an array');
+  }
+  configuredNames.forEach((name) => unregisterExtractor(name));
+  configuredNames = entries.map((entry, index) => {
+    const extractor = createRegexExtractor({ name: `config-${index}`, ...entry });
+    registerExtractor(extractor);
+    return extractor.name;
+  });
+  lastConfig = config;
+}
+
 /**
  * Extract fields from log event, either by using `extractedFields` available with
  * filter pattern from CloudWatch, or by manually extracting using regular expressions.
+ * If the message reports an error or a failure, it is added as `error` or `failure` and
+ * the level becomes `ERROR`.
  *
  * @param {LogEvent} logEvent log event
+ * @param {string} [logGroup] log group the event belongs to, used to select extractors
  * @returns {ExtractedFields} extracted fields or `null`
  */
-export function extractFields(logEvent) {
+export function extractFields(logEvent, logGroup) {
   const { extractedFields } = logEvent;
   if (extractedFields) {
     const { event, request_id: requestId, timestamp } = extractedFields;
@@ -110,17 +630,21 @@ export function extractFields(logEvent) {
       // filter is: [timestamp=*Z, request_id="*-*", level=%WARN|ERROR%, event]
       message = event;
     }
-    return {
+    return withFailure(withError({
       level,
       message,
       requestId,
       timestamp,
-    };
+    }));
   }
-  for (const { pattern, extract } of MESSAGE_EXTRACTORS) {
-    const match = logEvent.message.match(pattern);
-    if (match) {
-      return extract(match);
+  for (const {
+    pattern, test, extract, logGroups,
+  } of extractors) {
+    const applies = !logGroups || logGroups.some((p) => matchesPattern(p, logGroup));
+    const match = applies && (pattern ? logEvent.message.match(pattern) : test(logEvent));
+    const fields = match && extract(match, logEvent);
+    if (fields) {
+      return withFailure(withError(fields));
     }
   }
   return null;
@@ -0,0 +1,114 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * @typedef Failure
+ * @property {string} type normalized failure type, one of `FAILURE_TYPES`
+ */
+
+/**
+ * @typedef DataDogEvent
+ * @property {string} title title
+ * @property {string} text text
+ * @property {string} alert_type alert type
+ * @property {number} date_happened timestamp in seconds
+ * @property {string} aggregation_key key events are aggregated by
+ * @property {string} source_type_name source type
+ * @property {string[]} tags tags
+ */
+
+/**
+ * Failure types and how they are described in an event title.
+ */
+export const FAILURE_TYPES = {
+  init_failure: 'failed to initialize',
+  timeout: 'timed out',
+  out_of_memory: 'ran out of memory',
+  runtime_exit: 'exited unexpectedly',
+};
+
+/**
+ * Error types the runtimes report when the function code can not be loaded.
+ */
+const INIT_ERROR_TYPES = [
+  'Runtime.ImportModuleError',
+  'Runtime.HandlerNotFound',
+  'Runtime.MalformedHandlerName',
+  'Runtime.UserCodeSyntaxError',
+];
+
+/**
+ * Maximum length of an event text accepted by the events API.
+ */
+const MAX_EVENT_TEXT = 4000;
+
+/**
+ * Classifiers for failures, tried in order. Every classifier tests the fields
+ * extracted from a log event.
+ *
+ * @type {{type: string, test: function(ExtractedFields): boolean}[]}
+ */
+const FAILURE_CLASSIFIERS = [
+  {
+    type: 'init_failure',
+    test: ({ phase, status, error }) => (phase === 'INIT_REPORT' && status !== 'success')
+      || INIT_ERROR_TYPES.includes(error?.kind),
+  },
+  {
+    type: 'timeout',
+    test: ({ phase, status, message }) => (phase === 'REPORT' && status === 'timeout')
+      || /^Task timed out after /.test(message),
+  },
+  {
+    type: 'out_of_memory',
+    test: ({ message }) => /Runtime\.OutOfMemory|^Runtime exited with error: signal: killed/.test(message),
+  },
+  {
+    type: 'runtime_exit',
+    test: ({ phase, status, message }) => (phase === 'REPORT' && status === 'error')
+      || /^Runtime exited with error: /.test(message),
+  },
+];
+
+/**
+ * Classify the failure reported by a log event, if any.
+ *
+ * @param {ExtractedFields} fields fields extracted from the log event
+ * @returns {Failure|null} failure or `null`
+ */
+export function classifyFailure(fields) {
+  const classifier = FAILURE_CLASSIFIERS.find(({ test }) => test(fields));
+  return classifier ? { type: classifier.type } : null;
+}
+
+/**
+ * Create a DataDog event for a failure.
+ *
+ * @param {ExtractedFields} fields fields extracted from the log event, including the failure
+ * @param {number} timestamp timestamp of the log event in milliseconds
+ * @param {string} funcName function name, e.g. `/services/func/v1`
+ * @param {string[]} tags tags
+ * @returns {DataDogEvent} event
+ */
+export function createFailureEvent(fields, timestamp, funcName, tags) {
+  const { failure: { type }, message, requestId } = fields;
+  const text = message.trimEnd();
+  return {
+    title: `${funcName} ${FAILURE_TYPES[type]}`,
+    text: text.length > MAX_EVENT_TEXT ? `${text.substring(0, MAX_EVENT_TEXT - 3)}...` : text,
+    alert_type: 'error',
+    date_happened: Math.floor(timestamp / 1000),
+    aggregation_key: `${funcName}:${requestId ?? type}`,
+    source_type_name: 'amazon lambda',
+    tags: [...tags, `failure_type:${type}`],
+  };
+}
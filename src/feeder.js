@@ -0,0 +1,346 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { DataDogLogger } from './datadog.js';
+import { resolve } from './alias.js';
+import { resolveCredentials } from './credentials.js';
+import { parseDedupeMode } from './dedupe.js';
+import { createDLQMessages, sendToDLQ } from './dlq.js';
+import { configureExtractors } from './extract-fields.js';
+import { parseContinuationPatterns } from './multiline.js';
+import { createRedactor } from './redactor.js';
+import { findRoute, loadRoutes, resolveDestination } from './routes.js';
+import { createSampler, parseSamplingRules } from './sampling.js';
+import { createSink, parseSinkConfig, routesTo } from './sinks.js';
+import {
+  getLogGroupTags, mergeTags, parseTagRules, parseTags,
+} from './tags.js';
+
+/**
+ * @typedef CloudWatchInput
+ * @property {string} [messageType] message type, e.g. `DATA_MESSAGE`
+ * @property {string} [owner] id of the account owning the log group
+ * @property {string} logGroup log group name, e.g. `/aws/lambda/services--func`
+ * @property {string} logStream log stream name
+ * @property {LogEvent[]} logEvents log events
+ */
+
+/**
+ * @typedef FeedResult
+ * @property {string} sink name of the sink
+ * @property {LogEvent[]} rejected log events that could not be converted
+ * @property {number} sent number of entries sent
+ * @property {ChunkOutcome[]} chunks outcome of every chunk sent
+ * @property {number} redactions number of values redacted
+ */
+
+/**
+ * @typedef FunctionInfo
+ * @property {string} name function name, e.g. `services--func`
+ * @property {string} version function version, e.g. `356` or `$LATEST`
+ * @property {{major?: string, full?: string}} [alias] aliases of that version
+ */
+
+/**
+ * Describe the function that produced the log events of some input, from its
+ * log group and stream.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {CloudWatchInput} input input
+ * @returns {Promise<FunctionInfo>} function information
+ */
+export async function describeFunction(context, input) {
+  const [,,, name] = input.logGroup.split('/');
+  const [, version] = input.logStream.match(/\d{4}\/\d{2}\/\d{2}\/[a-z-]*\[(\d+|\$LATEST)\]\w+/);
+
+  let alias;
+  if (version !== '$LATEST') {
+    alias = await resolve(context, name, version, input.owner);
+  }
+  return { name, version, alias };
+}
+
+/**
+ * Create a DataDog logger for the log group and stream of some input.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {CloudWatchInput} input input
+ * @param {Object} [opts] options shared with the other sinks
+ * @param {import('./redactor.js').Redactor} [opts.redactor] redactor applied to messages
+ * @param {RegExp[]} [opts.continuations] patterns of continuation lines
+ * @returns {Promise<DataDogLogger>} logger
+ * @throws {Promise<Error>} if the routing table is invalid or the API key of the
+ * destination can not be resolved
+ */
+export async function createLogger(context, input, { redactor, continuations } = {}) {
+  const {
+    invocation: { deadline },
+    env: {
+      DATADOG_LOG_LEVEL: level = 'info',
+      DATADOG_LOG_FORMAT: format,
+      DATADOG_RETRIES: retries,
+      DATADOG_RETRY_DELAY: retryDelay,
+      DATADOG_REPORT_METRICS: reportMetrics,
+      DATADOG_FAILURE_EVENTS: failureEvents,
+      DATADOG_REPORT_LOGS: reportLogs,
+      DATADOG_TAGS: globalTags,
+      DATADOG_TAG_RULES: tagRules,
+      DATADOG_SAMPLING: sampling,
+      DATADOG_DEDUPE: dedupeMode,
+    },
+    func: {
+      fqn,
+    },
+    runtime: {
+      region,
+      accountId,
+    },
+    log,
+  } = context;
+
+  let rules = [];
+  try {
+    rules = parseTagRules(tagRules);
+  } catch (e) {
+    log.error(`Unable to parse tag rules: ${e.message}`);
+  }
+
+  const { name: funcName, version: funcVersion, alias } = await describeFunction(context, input);
+  const route = findRoute(await loadRoutes(context.env), input.logGroup, funcName);
+  const {
+    apiKey, refreshApiKey, apiUrl, metricsUrl, tags: routeTags,
+  } = await resolveDestination(context, route);
+
+  const tags = mergeTags(
+    [`aws_account:${input.owner ?? accountId}`, `region:${region}`],
+    parseTags(globalTags),
+    routeTags,
+    getLogGroupTags(rules, input.logGroup),
+  );
+
+  let samplingRules = [];
+  try {
+    samplingRules = parseSamplingRules(sampling);
+  } catch (e) {
+    log.error(`Unable to parse sampling rules: ${e.message}`);
+  }
+
+  let dedupe = null;
+  try {
+    dedupe = parseDedupeMode(dedupeMode);
+  } catch (e) {
+    log.error(`Unable to configure deduping: ${e.message}`);
+  }
+
+  const [packageName, serviceName] = funcName.split('--');
+  const arn = fqn.split(':');
+
+  return new DataDogLogger({
+    apiKey,
+    refreshApiKey,
+    funcName: `/${packageName}/${serviceName}/${alias?.major ?? alias?.full ?? funcVersion}`,
+    version: alias?.full,
+    alias,
+    logGroup: input.logGroup,
+    service: `${arn.slice(0, 6).join(':')}:${funcName}`,
+    logStream: input.logStream,
+    log,
+    apiUrl,
+    level,
+    format,
+    retries: Number.parseInt(retries, 10),
+    retryDelay: Number.parseInt(retryDelay, 10),
+    deadline,
+    metricsUrl,
+    reportMetrics: reportMetrics === 'true',
+    failureEvents: failureEvents === 'true',
+    reportLogs: reportLogs !== 'false',
+    redactor,
+    tags,
+    continuations,
+    sampler: createSampler(samplingRules, funcName),
+    dedupe,
+  });
+}
+
+/**
+ * Create the sinks an input is routed to. DataDog receives all log groups, unless the
+ * sink configuration contains an entry of type `datadog` restricting it. If `OTLP_API_URL`
+ * is set, an OTLP sink is added, unless the sink configuration contains one.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {CloudWatchInput} input input
+ * @returns {Promise<Sink[]>} sinks
+ * @throws {Error} if the sink, redaction or routing configuration is invalid
+ */
+export async function createSinks(context, input) {
+  const { env, log } = context;
+  const { logGroup, logStream } = input;
+
+  const configs = parseSinkConfig(env.LOG_SINKS);
+  const datadog = configs.find(({ type }) => type === 'datadog') ?? { type: 'datadog' };
+  if (env.OTLP_API_URL && !configs.some(({ type }) => type === 'otlp')) {
+    configs.push({ type: 'otlp', url: env.OTLP_API_URL, encoding: env.OTLP_ENCODING });
+  }
+
+  const redactor = createRedactor({
+    detectors: env.REDACT_DETECTORS,
+    rules: env.REDACT_RULES,
+    action: env.REDACT_ACTION,
+    salt: env.REDACT_SALT,
+  });
+
+  try {
+    configureExtractors(env.DATADOG_EXTRACTORS);
+  } catch (e) {
+    log.error(`Unable to configure extractors: ${e.message}`);
+  }
+
+  let continuations;
+  try {
+    continuations = parseContinuationPatterns(env.MULTILINE_PATTERNS);
+  } catch (e) {
+    log.error(`Unable to parse multi-line patterns: ${e.message}`);
+  }
+
+  const sinks = [];
+  if (routesTo(datadog, logGroup)) {
+    sinks.push(await createLogger(context, input, { redactor, continuations }));
+  }
+  const others = configs
+    .filter(({ type }) => type !== 'datadog')
+    .filter((config) => routesTo(config, logGroup));
+  if (!others.length) {
+    return sinks;
+  }
+  const func = await describeFunction(context, input);
+  others.forEach((config) => sinks.push(createSink(config, {
+    logGroup,
+    logStream,
+    log,
+    func,
+    redactor,
+    continuations,
+    getCredentials: () => resolveCredentials(context),
+  })));
+  return sinks;
+}
+
+/**
+ * Feed the log events of some input to all sinks it is routed to. Every sink reports
+ * its own result, a sink that fails altogether reports a single failed chunk.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {CloudWatchInput} input input
+ * @param {string} [sinkName] only feed the sink with that name
+ * @returns {Promise<FeedResult[]>} result of every sink
+ */
+export async function feed(context, input, sinkName) {
+  const { log } = context;
+
+  const sinks = (await createSinks(context, input))
+    .filter(({ name }) => !sinkName || name === sinkName);
+
+  return Promise.all(sinks.map(async (sink) => {
+    let result;
+    try {
+      result = await sink.sendEntries(input.logEvents);
+    } catch (e) {
+      log.warn(`Unable to send to ${sink.name}: ${e.message}`);
+      result = {
+        rejected: [],
+        sent: 0,
+        chunks: [{ logEvents: input.logEvents, ok: false, error: e }],
+      };
+    }
+    log.info(`Received ${input.logEvents.length} event(s) for [${input.logGroup}][${input.logStream}], sent to ${sink.name}: ${result.sent}`);
+    return { sink: sink.name, ...result };
+  }));
+}
+
+/**
+ * Number of payloads received per message type, kept across warm invocations.
+ */
+export const MESSAGE_TYPE_COUNTS = new Map();
+
+/**
+ * Count a payload of some message type.
+ *
+ * @param {string} messageType message type
+ * @returns {number} number of payloads of that type received so far
+ */
+function countMessageType(messageType) {
+  const count = (MESSAGE_TYPE_COUNTS.get(messageType) ?? 0) + 1;
+  MESSAGE_TYPE_COUNTS.set(messageType, count);
+  return count;
+}
+
+/**
+ * Deliver a CloudWatch payload. Control messages are acknowledged and payloads of unknown
+ * type ignored. Log events of data messages are fed to all sinks, events that are not
+ * accepted are sent to the DLQ. If feeding fails altogether, the entire input is sent
+ * to the DLQ before the error is rethrown.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {CloudWatchInput} input input
+ * @param {Object} [opts] options
+ * @param {boolean} [opts.acknowledge=false] whether to report an input that could not be
+ * fed as `rejected` once it is in the DLQ, instead of rethrowing the error, so a stream
+ * does not retry it as well
+ * @returns {Promise<'acknowledged'|'ignored'|'delivered'|'rejected'>} outcome
+ * @throws {Error} if feeding fails or the DLQ is not available
+ */
+export async function deliver(context, input, { acknowledge = false } = {}) {
+  const { log } = context;
+
+  const { messageType = 'DATA_MESSAGE' } = input;
+  const count = countMessageType(messageType);
+  if (messageType === 'CONTROL_MESSAGE') {
+    log.info(`Acknowledged control message for [${input.logGroup}][${input.logStream}] (${count} so far)`);
+    return 'acknowledged';
+  }
+  if (messageType !== 'DATA_MESSAGE') {
+    log.warn(`Ignoring payload with unknown message type: ${messageType} (${count} so far)`);
+    return 'ignored';
+  }
+
+  let results;
+  try {
+    results = await feed(context, input);
+  } catch (e) {
+    try {
+      await sendToDLQ(context, {
+        ...input,
+        reason: e.message,
+        attempt: 1,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (e2) {
+      log.error(`Unable to send to DLQ: ${e2.message}`);
+      throw e;
+    }
+    if (!acknowledge) {
+      throw e;
+    }
+    log.warn(`Unable to feed [${input.logGroup}][${input.logStream}], sent to DLQ: ${e.message}`);
+    return 'rejected';
+  }
+
+  results.forEach(({ sink, chunks }) => {
+    const failed = chunks.filter(({ ok }) => !ok);
+    if (failed.length) {
+      log.warn(`Failed to send ${failed.length} of ${chunks.length} chunk(s) to ${sink}`);
+    }
+  });
+  await Promise.all(createDLQMessages(input, results, 1)
+    .map((message) => sendToDLQ(context, message)));
+  return 'delivered';
+}
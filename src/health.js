@@ -0,0 +1,147 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { Response } from '@adobe/fetch';
+import { HEALTHCHECK_PATH } from '@adobe/helix-status';
+import { probeAliases } from './alias.js';
+import { countDLQMessages } from './dlq.js';
+import { loadRoutes, resolveDestination } from './routes.js';
+import { loadSecrets } from './secrets.js';
+import { fetchContext } from './utils.js';
+
+/**
+ * @typedef CheckResult
+ * @property {'OK'|'failed'} status status
+ * @property {number} latency time the check took in milliseconds
+ * @property {string} [error] error message, if the check failed
+ */
+
+/**
+ * Time in milliseconds a check may take before it is considered failed.
+ */
+const CHECK_TIMEOUT = 10_000;
+
+/**
+ * Validate the API key of a destination with DataDog.
+ *
+ * @param {import('./routes.js').Destination} destination destination
+ * @returns {Promise<void>}
+ * @throws {Promise<Error>} if the API key is not valid
+ */
+async function validateApiKey({ apiKey, metricsUrl }) {
+  const { fetch } = fetchContext;
+  const resp = await fetch(`${metricsUrl}/api/v1/validate`, {
+    headers: { 'DD-API-KEY': apiKey },
+  });
+  if (!resp.ok) {
+    throw new Error(`Failed to validate API key with status ${resp.status}: ${await resp.text()}`);
+  }
+}
+
+/**
+ * Dependency checks, by name. Every check throws if the dependency is not available.
+ *
+ * @type {Object<string, function(UniversalContext): Promise<Object|void>>}
+ */
+const DEPENDENCY_CHECKS = {
+  datadog: async (context) => {
+    const routes = await loadRoutes(context.env);
+    const destinations = routes.map((route, index) => [route.name ?? `route ${index}`, route]);
+    if (context.env.DATADOG_API_KEY || !routes.length) {
+      destinations.unshift(['default', null]);
+    }
+    const failures = (await Promise.all(destinations.map(async ([name, route]) => {
+      try {
+        await validateApiKey(await resolveDestination(context, route));
+        return null;
+      } catch (e) {
+        return `${name}: ${e.message}`;
+      }
+    }))).filter((failure) => failure);
+    if (failures.length) {
+      throw new Error(failures.join('\n'));
+    }
+  },
+  dlq: async (context) => ({ messages: await countDLQMessages(context) }),
+  // `func.name` lacks the package, e.g. `helix3--`, so take the Lambda name from the ARN
+  aliases: async (context) => probeAliases(context, context.func.fqn.split(':')[6]),
+};
+
+/**
+ * Run a check, measuring its latency. A check that does not finish in time is failed.
+ *
+ * @param {function(): Promise<Object|void>} check check
+ * @returns {Promise<CheckResult>} result, including details returned by the check
+ */
+async function runCheck(check) {
+  const start = Date.now();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT} ms`)), CHECK_TIMEOUT);
+  });
+  let result;
+  try {
+    const details = await Promise.race([check(), timeout]);
+    result = { status: 'OK', latency: Date.now() - start, ...details };
+  } catch (e) {
+    result = { status: 'failed', latency: Date.now() - start, error: e.message };
+  }
+  clearTimeout(timer);
+  return result;
+}
+
+/**
+ * Run all dependency checks. If secrets are configured, they are loaded first and
+ * reported as a check of their own.
+ *
+ * @param {UniversalContext} context universal context
+ * @returns {Promise<Object<string, CheckResult>>} result of every check
+ */
+export async function checkDependencies(context) {
+  const results = {};
+  let { env } = context;
+  if (env.DATADOG_API_KEY_ARN || env.SECRETS_ARN) {
+    results.secrets = await runCheck(async () => {
+      env = { ...env, ...await loadSecrets(context) };
+    });
+  }
+  const checked = { ...context, env };
+  const checks = await Promise.all(Object.entries(DEPENDENCY_CHECKS)
+    .map(async ([name, check]) => [name, await runCheck(() => check(checked))]));
+  return Object.assign(results, Object.fromEntries(checks));
+}
+
+/**
+ * Wrapper adding the result of the dependency checks to the health check of `helixStatus`,
+ * which has to be applied before. If any check fails, the health check fails as well.
+ *
+ * @param {function(Request, UniversalContext): Promise<Response>} func function to wrap
+ * @returns {function(Request, UniversalContext): Promise<Response>} wrapped function
+ */
+export function dependencyStatus(func) {
+  return async (request, context) => {
+    const resp = await func(request, context);
+    if (context.pathInfo?.suffix !== HEALTHCHECK_PATH || !resp.ok) {
+      return resp;
+    }
+    const body = await resp.json();
+    const checks = await checkDependencies(context);
+    const failed = Object.values(checks).some(({ status }) => status !== 'OK');
+    return new Response(JSON.stringify({
+      ...body,
+      status: failed ? 'failed' : body.status,
+      checks,
+    }), {
+      status: failed ? 502 : resp.status,
+      headers: resp.headers,
+    });
+  };
+}
@@ -0,0 +1,57 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { promisify } from 'node:util';
+import { gzip } from 'node:zlib';
+import { BatchSink } from './batch-sink.js';
+import { fetchContext } from './utils.js';
+
+const gzipAsync = promisify(gzip);
+
+/**
+ * Sink posting entries as JSON array to a generic HTTP collector.
+ */
+export class HttpSink extends BatchSink {
+  /**
+   * Creates an instance of HttpSink.
+   *
+   * @param {SinkConfig & {url: string, headers?: Object}} config sink configuration
+   * with the collector URL and additional request headers
+   * @param {Object} opts options, see `BatchSink`
+   */
+  constructor(config, opts) {
+    super(config, opts);
+    this._url = config.url;
+    this._headers = config.headers ?? {};
+  }
+
+  /**
+   * Send entries to the collector.
+   *
+   * @param {SinkEntry[]} entries entries
+   * @returns {Promise<Response>} HTTP answer
+   * @throws {Promise<Error>} if an error occurs
+   */
+  async send(entries) {
+    const { fetch } = fetchContext;
+    const resp = await fetch(this._url, {
+      method: 'POST',
+      headers: {
+        ...this._headers,
+        'content-type': 'application/json',
+        'content-encoding': 'gzip',
+      },
+      body: await gzipAsync(JSON.stringify(entries)),
+    });
+    await this.checkResponse(resp);
+    return resp;
+  }
+}
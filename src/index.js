@@ -9,17 +9,19 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
-import util from 'util';
-import zlib from 'zlib';
 import { Response } from '@adobe/fetch';
 import wrap from '@adobe/helix-shared-wrap';
 import { helixStatus } from '@adobe/helix-status';
-import { DataDogLogger } from './datadog.js';
-import { resolve } from './alias.js';
 import { sendToDLQ } from './dlq.js';
-import { resetConnections } from './utils.js';
+import { deliver } from './feeder.js';
+import { dependencyStatus } from './health.js';
+import { handleReplay } from './replay.js';
+import { loadSecrets } from './secrets.js';
+import { getSiteUrls } from './sites.js';
+import { getStreamHandler } from './streams.js';
+import { decodePayload, resetConnections } from './utils.js';
 
-const gunzip = util.promisify(zlib.gunzip);
+export { MESSAGE_TYPE_COUNTS } from './feeder.js';
 
 /**
  * Gets input to this function.
@@ -31,9 +33,7 @@ async function getInput(request, context) {
   const { invocation: { event } } = context;
 
   if (event?.awslogs?.data) {
-    const payload = Buffer.from(event.awslogs.data, 'base64');
-    const uncompressed = await gunzip(payload);
-    return JSON.parse(uncompressed.toString());
+    return decodePayload(event.awslogs.data);
   }
   if (request.method === 'POST' && request.headers.get('content-type') === 'application/json') {
     const json = await request.json();
@@ -51,23 +51,55 @@ async function getInput(request, context) {
 async function run(request, context) {
   const {
     invocation: { event },
+    pathInfo,
+    log,
+  } = context;
+
+  try {
+    context.env = { ...context.env, ...await loadSecrets(context) };
+  } catch (e) {
+    log.error(`Unable to load secrets: ${e.message}`);
+  }
+
+  const {
     env: {
       DATADOG_API_KEY: apiKey,
-      DATADOG_API_URL: apiUrl,
-      DATADOG_LOG_LEVEL: level = 'info',
+      DATADOG_ROUTES: routes,
+      DATADOG_ROUTES_FILE: routesFile,
     },
-    func: {
-      fqn,
-    },
-    log,
   } = context;
-
-  if (!apiKey) {
+  if (!apiKey && !routes && !routesFile) {
     const msg = 'No DATADOG_API_KEY set';
     log.error(msg);
     return new Response(msg, { status: 500 });
   }
 
+  try {
+    getSiteUrls(context.env.DATADOG_SITE);
+  } catch (e) {
+    log.error(e.message);
+    return new Response(e.message, { status: 500 });
+  }
+
+  if (pathInfo?.suffix === '/replay') {
+    try {
+      return await handleReplay(request, context);
+      /* c8 ignore next 3 */
+    } finally {
+      resetConnections();
+    }
+  }
+
+  const handler = getStreamHandler(request, context);
+  if (handler) {
+    try {
+      return await handler(request, context);
+      /* c8 ignore next 3 */
+    } finally {
+      resetConnections();
+    }
+  }
+
   let input;
 
   try {
@@ -76,42 +108,23 @@ async function run(request, context) {
       log.info('No AWS logs payload in event');
       return new Response('', { status: 204 });
     }
-
-    const [,,, funcName] = input.logGroup.split('/');
-    const [, funcVersion] = input.logStream.match(/\d{4}\/\d{2}\/\d{2}\/[a-z-]*\[(\d+|\$LATEST)\]\w+/);
-
-    let alias;
-    if (funcVersion !== '$LATEST') {
-      alias = await resolve(context, funcName, funcVersion);
-    }
-    const [packageName, serviceName] = funcName.split('--');
-    const arn = fqn.split(':');
-
-    const logger = new DataDogLogger({
-      apiKey,
-      funcName: `/${packageName}/${serviceName}/${alias?.major ?? alias?.full ?? funcVersion}`,
-      version: alias?.full,
-      alias,
-      service: `${arn.slice(0, 6).join(':')}:${funcName}`,
-      logStream: input.logStream,
-      log,
-      apiUrl,
-      level,
-    });
-    const { rejected, sent } = await logger.sendEntries(input.logEvents);
-    log.info(`Received ${input.logEvents.length} event(s) for [${input.logGroup}][${input.logStream}], sent: ${sent}`);
-    if (rejected.length) {
-      await sendToDLQ(context, rejected);
-    }
-    return new Response('', { status: 202 });
+    const outcome = await deliver(context, input);
+    return new Response('', { status: outcome === 'delivered' ? 202 : 204 });
   } catch (e) {
     log.error(e.message);
     log.debug('Unexpected problem', e);
 
-    try {
-      await sendToDLQ(context, input ?? { data: event.awslogs.data });
-    } catch (e2) {
-      log.error(`Unable to send to DLQ: ${e2.message}`);
+    if (!input) {
+      try {
+        await sendToDLQ(context, {
+          data: event.awslogs.data,
+          reason: e.message,
+          attempt: 1,
+          timestamp: new Date().toISOString(),
+        });
+      } catch (e2) {
+        log.error(`Unable to send to DLQ: ${e2.message}`);
+      }
     }
     throw e;
     /* c8 ignore next 3 */
@@ -121,4 +134,5 @@ async function run(request, context) {
 }
 
 export const main = wrap(run)
-  .with(helixStatus);
+  .with(helixStatus)
+  .with(dependencyStatus);
@@ -0,0 +1,81 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * @typedef InvocationAttributes
+ * @property {number} [duration] duration in milliseconds, from the REPORT line
+ * @property {boolean} [coldStart] whether the invocation was a cold start, known if
+ * it was preceded by INIT_START or if there is a REPORT line
+ * @property {string} [status] status from the REPORT line, e.g. `success` or `timeout`
+ * @property {boolean} timeout whether the invocation timed out
+ */
+
+/**
+ * Correlate the lines of an invocation within a batch. Lines without request id between
+ * START and END get the request id of that invocation, and all lines of an invocation get
+ * the attributes known from its START, END and REPORT lines and timeout messages.
+ * Invocations without any of those lines in the batch are left alone.
+ *
+ * @param {Array<import('./extract-fields.js').ExtractedFields|null>} fieldsList fields
+ * extracted from the log events of a batch, in order
+ * @returns {Array<import('./extract-fields.js').ExtractedFields|null>} fields, including
+ * request id and `invocation` attributes where known
+ */
+export function correlateInvocations(fieldsList) {
+  const invocations = new Map();
+  const get = (requestId) => {
+    if (!invocations.has(requestId)) {
+      invocations.set(requestId, {
+        duration: undefined, coldStart: undefined, status: undefined, timeout: false,
+      });
+    }
+    return invocations.get(requestId);
+  };
+
+  let initStart = false;
+  let current;
+  const correlated = fieldsList.map((fields) => {
+    if (!fields) {
+      return fields;
+    }
+    const { phase, requestId = current } = fields;
+    if (phase === 'INIT_START') {
+      initStart = true;
+    } else if (phase === 'START') {
+      current = requestId;
+      if (initStart) {
+        get(requestId).coldStart = true;
+        initStart = false;
+      }
+    } else if (phase === 'END') {
+      current = undefined;
+    } else if (phase === 'REPORT') {
+      const invocation = get(requestId);
+      invocation.duration = fields.metrics.duration;
+      invocation.status = fields.status;
+      invocation.coldStart ||= fields.metrics.initDuration !== undefined;
+      invocation.timeout ||= fields.status === 'timeout';
+    } else if (requestId && fields.failure?.type === 'timeout') {
+      get(requestId).timeout = true;
+    }
+    return requestId === fields.requestId ? fields : { ...fields, requestId };
+  });
+
+  invocations.forEach((invocation, requestId) => {
+    invocations.set(requestId, Object.fromEntries(Object.entries(invocation)
+      .filter(([, value]) => value !== undefined)));
+  });
+  return correlated.map((fields) => {
+    const invocation = fields?.requestId && invocations.get(fields.requestId);
+    return invocation ? { ...fields, invocation } : fields;
+  });
+}
@@ -0,0 +1,52 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * @typedef MetricSeries
+ * @property {string} metric metric name
+ * @property {number} type metric type, `3` is a gauge
+ * @property {{timestamp: number, value: number}[]} points points, timestamps in seconds
+ * @property {string} unit unit
+ * @property {string[]} tags tags
+ */
+
+/**
+ * Metric names and units for the metrics found in a REPORT line.
+ */
+const REPORT_METRICS = {
+  duration: { metric: 'helix.lambda.duration', unit: 'millisecond' },
+  billedDuration: { metric: 'helix.lambda.billed_duration', unit: 'millisecond' },
+  memorySize: { metric: 'helix.lambda.memory_size', unit: 'megabyte' },
+  maxMemoryUsed: { metric: 'helix.lambda.max_memory_used', unit: 'megabyte' },
+  initDuration: { metric: 'helix.lambda.init_duration', unit: 'millisecond' },
+};
+
+const GAUGE = 3;
+
+/**
+ * Create metric series for the DataDog series API from the metrics of a REPORT line.
+ * An invocation is considered a cold start if it reports an init duration.
+ *
+ * @param {import('./extract-fields.js').ReportMetrics} metrics REPORT metrics
+ * @param {number} timestamp timestamp of the REPORT line in milliseconds
+ * @param {string[]} tags tags to add to every series
+ * @returns {MetricSeries[]} series
+ */
+export function createSeries(metrics, timestamp, tags) {
+  const coldStart = metrics.initDuration !== undefined;
+  return Object.entries(metrics).map(([name, value]) => ({
+    ...REPORT_METRICS[name],
+    type: GAUGE,
+    points: [{ timestamp: Math.floor(timestamp / 1000), value }],
+    tags: [...tags, `cold_start:${coldStart}`],
+  }));
+}
@@ -0,0 +1,97 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { extractFields } from './extract-fields.js';
+
+/**
+ * Patterns of continuation lines: indented lines as found in stack traces and
+ * pretty-printed objects, closing brackets and Java's `Caused by:` lines.
+ *
+ * @type {RegExp[]}
+ */
+export const CONTINUATION_PATTERNS = [
+  /^\s+\S/,
+  /^[}\]]/,
+  /^Caused by: /,
+];
+
+/**
+ * Parse the patterns of continuation lines, a JSON array of regular expressions.
+ * An empty array disables merging.
+ *
+ * @param {string} [config] JSON configuration
+ * @returns {RegExp[]} patterns, defaults to `CONTINUATION_PATTERNS`
+ * @throws {Error} if the configuration is invalid
+ */
+export function parseContinuationPatterns(config) {
+  if (!config) {
+    return CONTINUATION_PATTERNS;
+  }
+  const patterns = JSON.parse(config);
+  if (!Array.isArray(patterns)) {
+    throw new Error('Multi-line patterns must be an array');
+  }
+  return patterns.map((pattern) => new RegExp(pattern));
+}
+
+/**
+ * Join a text and its continuation, on separate lines. The result ends with a
+ * newline if the text does.
+ *
+ * @param {string} text text
+ * @param {string} continuation continuation
+ * @returns {string} joined text
+ */
+function join(text, continuation) {
+  const joined = `${text.replace(/\n$/, '')}\n${continuation.replace(/\n$/, '')}`;
+  return text.endsWith('\n') ? `${joined}\n` : joined;
+}
+
+/**
+ * Merge continuation events into the event preceding them. A continuation event
+ * matches one of the patterns, but none of the extractors, so it has no request id
+ * of its own: Lambda logs one invocation at a time, and the event it continues
+ * carries the request id of both. The merged event keeps the earliest timestamp.
+ *
+ * @param {LogEvent[]} logEvents log events
+ * @param {RegExp[]} patterns patterns of continuation lines
+ * @param {string} [logGroup] log group the events belong to, used to select extractors
+ * @returns {LogEvent[]} log events, with continuations merged
+ */
+export function mergeContinuations(logEvents, patterns, logGroup) {
+  if (!patterns.length) {
+    return logEvents;
+  }
+  const merged = [];
+  logEvents.forEach((logEvent) => {
+    const head = merged[merged.length - 1];
+    const { message, extractedFields } = logEvent;
+    if (!head || extractedFields || !patterns.some((pattern) => pattern.test(message))
+      || extractFields(logEvent, logGroup)) {
+      merged.push(logEvent);
+      return;
+    }
+    const event = {
+      ...head,
+      timestamp: Math.min(head.timestamp, logEvent.timestamp),
+    };
+    if (head.extractedFields) {
+      event.extractedFields = {
+        ...head.extractedFields,
+        event: join(head.extractedFields.event, message),
+      };
+    } else {
+      event.message = join(head.message, message);
+    }
+    merged[merged.length - 1] = event;
+  });
+  return merged;
+}
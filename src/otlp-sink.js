@@ -0,0 +1,80 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { promisify } from 'node:util';
+import { gzip } from 'node:zlib';
+import { BatchSink } from './batch-sink.js';
+import { createLogsRequest, encodeLogsRequest } from './otlp.js';
+import { fetchContext } from './utils.js';
+
+const gzipAsync = promisify(gzip);
+
+/**
+ * Instrumentation scope reported with every log record.
+ */
+const SCOPE = { name: 'helix-datadog-feeder' };
+
+/**
+ * Sink exporting entries to an OpenTelemetry collector via OTLP/HTTP.
+ */
+export class OtlpSink extends BatchSink {
+  /**
+   * Creates an instance of OtlpSink.
+   *
+   * @param {SinkConfig & {url?: string, encoding?: 'protobuf'|'json', headers?: Object}} config
+   * sink configuration with the collector base URL, the encoding and additional request headers
+   * @param {Object} opts options, see `BatchSink`
+   * @param {FunctionInfo} opts.func function that produced the log events
+   */
+  constructor(config, opts) {
+    super(config, opts);
+    this._url = `${config.url ?? 'http://localhost:4318'}/v1/logs`;
+    this._json = config.encoding === 'json';
+    this._headers = config.headers ?? {};
+
+    const { func: { name, version, alias } } = opts;
+    this._resource = {
+      'service.name': name,
+      'service.version': alias?.full ?? version,
+      'cloud.provider': 'aws',
+      'cloud.platform': 'aws_lambda',
+      'faas.name': name,
+      'faas.version': version,
+      'faas.instance': this._logStream,
+      'aws.lambda.alias': alias?.major ?? alias?.full,
+      'aws.log.group.names': [this._logGroup],
+      'aws.log.stream.names': [this._logStream],
+    };
+  }
+
+  /**
+   * Export entries to the collector.
+   *
+   * @param {SinkEntry[]} entries entries
+   * @returns {Promise<Response>} HTTP answer
+   * @throws {Promise<Error>} if an error occurs
+   */
+  async send(entries) {
+    const request = createLogsRequest(entries, this._resource, SCOPE);
+    const { fetch } = fetchContext;
+    const resp = await fetch(this._url, {
+      method: 'POST',
+      headers: {
+        ...this._headers,
+        'content-type': this._json ? 'application/json' : 'application/x-protobuf',
+        'content-encoding': 'gzip',
+      },
+      body: await gzipAsync(this._json ? JSON.stringify(request) : encodeLogsRequest(request)),
+    });
+    await this.checkResponse(resp);
+    return resp;
+  }
+}
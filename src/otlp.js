@@ -0,0 +1,235 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * @typedef OtlpAttribute
+ * @property {string} key key
+ * @property {{stringValue: string}|{arrayValue: {values: Object[]}}} value value
+ */
+
+/**
+ * @typedef OtlpLogRecord
+ * @property {string} timeUnixNano time of the event in nanoseconds
+ * @property {string} observedTimeUnixNano time the event was observed in nanoseconds
+ * @property {number} severityNumber OpenTelemetry severity number
+ * @property {string} severityText log level
+ * @property {{stringValue: string}} body message
+ * @property {OtlpAttribute[]} attributes attributes
+ */
+
+/**
+ * OpenTelemetry severity numbers of our log levels.
+ */
+const SEVERITY_NUMBERS = {
+  TRACE: 1,
+  SILLY: 2,
+  DEBUG: 5,
+  VERBOSE: 6,
+  INFO: 9,
+  WARN: 13,
+  ERROR: 17,
+  FATAL: 21,
+};
+
+/**
+ * Return the OpenTelemetry severity number of a log level.
+ *
+ * @param {string} level log level
+ * @returns {number} severity number, `0` (unspecified) for unknown levels
+ */
+export function toSeverityNumber(level) {
+  return SEVERITY_NUMBERS[level] ?? 0;
+}
+
+/**
+ * Convert attributes to their OTLP representation. Attributes whose value is
+ * `undefined` are skipped, arrays are converted to array values.
+ *
+ * @param {Object<string, string|string[]>} attributes attributes
+ * @returns {OtlpAttribute[]} OTLP attributes
+ */
+export function toAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => ({
+      key,
+      value: Array.isArray(value)
+        ? { arrayValue: { values: value.map((v) => ({ stringValue: String(v) })) } }
+        : { stringValue: String(value) },
+    }));
+}
+
+/**
+ * Create an OTLP logs export request in its JSON representation.
+ *
+ * @param {import('./batch-sink.js').SinkEntry[]} entries entries
+ * @param {Object<string, string|string[]>} resource resource attributes
+ * @param {{name: string, version?: string}} scope instrumentation scope
+ * @returns {Object} export request
+ */
+export function createLogsRequest(entries, resource, scope) {
+  const observed = `${BigInt(Date.now()) * 1000000n}`;
+  return {
+    resourceLogs: [{
+      resource: {
+        attributes: toAttributes(resource),
+      },
+      scopeLogs: [{
+        scope,
+        logRecords: entries.map(({
+          timestamp, level, message, requestId, error, failure,
+        }) => ({
+          timeUnixNano: `${BigInt(timestamp) * 1000000n}`,
+          observedTimeUnixNano: observed,
+          severityNumber: toSeverityNumber(level),
+          severityText: level,
+          body: { stringValue: message },
+          attributes: toAttributes({
+            'faas.invocation_id': requestId,
+            'exception.type': error?.kind,
+            'exception.message': error?.message,
+            'exception.stacktrace': error?.stack,
+            'failure.type': failure?.type,
+          }),
+        })),
+      }],
+    }],
+  };
+}
+
+/**
+ * Protobuf wire types.
+ */
+const VARINT = 0;
+const FIXED64 = 1;
+const LENGTH_DELIMITED = 2;
+
+/**
+ * Encode an unsigned integer as protobuf varint.
+ *
+ * @param {number} value value
+ * @returns {Buffer} encoded value
+ */
+function varint(value) {
+  const bytes = [];
+  let rest = value;
+  while (rest > 0x7f) {
+    bytes.push((rest % 0x80) + 0x80);
+    rest = Math.floor(rest / 0x80);
+  }
+  bytes.push(rest);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encode the key of a field.
+ *
+ * @param {number} field field number
+ * @param {number} wireType wire type
+ * @returns {Buffer} encoded key
+ */
+function fieldKey(field, wireType) {
+  return varint(field * 8 + wireType);
+}
+
+/**
+ * Encode a length delimited field, i.e. a string, bytes or an embedded message.
+ *
+ * @param {number} field field number
+ * @param {Buffer|string} value value
+ * @returns {Buffer} encoded field
+ */
+function lengthDelimited(field, value) {
+  const buf = Buffer.from(value);
+  return Buffer.concat([fieldKey(field, LENGTH_DELIMITED), varint(buf.length), buf]);
+}
+
+/**
+ * Encode a fixed64 field.
+ *
+ * @param {number} field field number
+ * @param {string} value value as decimal string
+ * @returns {Buffer} encoded field
+ */
+function fixed64(field, value) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64LE(BigInt(value));
+  return Buffer.concat([fieldKey(field, FIXED64), buf]);
+}
+
+/**
+ * Encode an `AnyValue` message.
+ *
+ * @param {Object} value value
+ * @returns {Buffer} encoded message
+ */
+function encodeAnyValue(value) {
+  if (value.arrayValue) {
+    const values = value.arrayValue.values.map((v) => lengthDelimited(1, encodeAnyValue(v)));
+    return lengthDelimited(5, Buffer.concat(values));
+  }
+  return lengthDelimited(1, value.stringValue);
+}
+
+/**
+ * Encode repeated `KeyValue` messages.
+ *
+ * @param {number} field field number
+ * @param {OtlpAttribute[]} attributes attributes
+ * @returns {Buffer} encoded messages
+ */
+function encodeAttributes(field, attributes) {
+  return Buffer.concat(attributes.map(({ key, value }) => lengthDelimited(
+    field,
+    Buffer.concat([lengthDelimited(1, key), lengthDelimited(2, encodeAnyValue(value))]),
+  )));
+}
+
+/**
+ * Encode a `LogRecord` message.
+ *
+ * @param {OtlpLogRecord} record log record
+ * @returns {Buffer} encoded message
+ */
+function encodeLogRecord(record) {
+  return Buffer.concat([
+    fixed64(1, record.timeUnixNano),
+    fieldKey(2, VARINT),
+    varint(record.severityNumber),
+    lengthDelimited(3, record.severityText),
+    lengthDelimited(5, encodeAnyValue(record.body)),
+    encodeAttributes(6, record.attributes),
+    fixed64(11, record.observedTimeUnixNano),
+  ]);
+}
+
+/**
+ * Encode an OTLP logs export request created by `createLogsRequest` as protobuf
+ * `ExportLogsServiceRequest`.
+ *
+ * @param {Object} request export request
+ * @returns {Buffer} encoded request
+ */
+export function encodeLogsRequest({ resourceLogs }) {
+  const encodeScopeLogs = ({ scope, logRecords }) => Buffer.concat([
+    lengthDelimited(1, Buffer.concat([
+      lengthDelimited(1, scope.name),
+      scope.version ? lengthDelimited(2, scope.version) : Buffer.alloc(0),
+    ])),
+    ...logRecords.map((record) => lengthDelimited(2, encodeLogRecord(record))),
+  ]);
+  const encodeResourceLogs = ({ resource, scopeLogs }) => Buffer.concat([
+    lengthDelimited(1, encodeAttributes(1, resource.attributes)),
+    ...scopeLogs.map((sl) => lengthDelimited(2, encodeScopeLogs(sl))),
+  ]);
+  return Buffer.concat(resourceLogs.map((rl) => lengthDelimited(1, encodeResourceLogs(rl))));
+}
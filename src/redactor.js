@@ -0,0 +1,184 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { createHash } from 'node:crypto';
+import { isIPv6 } from 'node:net';
+
+/**
+ * @typedef RedactionRule
+ * @property {string} name name, shown in masked values
+ * @property {RegExp} pattern global regular expression, if it contains a named group
+ * `secret`, only that group is redacted
+ * @property {'mask'|'hash'|'drop'} [action] action, defaults to the redactor's action
+ * @property {function(string): boolean} [validate] additional check of a match
+ */
+
+/**
+ * @typedef Redaction
+ * @property {string} message redacted message
+ * @property {number} count number of values redacted
+ * @property {boolean} drop whether the entry should be dropped
+ */
+
+/**
+ * Built-in detectors, in the order they are applied.
+ *
+ * @type {RedactionRule[]}
+ */
+export const DETECTORS = [{
+  name: 'bearer',
+  pattern: /\bBearer\s+(?<secret>[\w\-.~+/]+=*)/gi,
+}, {
+  name: 'jwt',
+  pattern: /(?<![\w-])eyJ[\w-]+\.eyJ[\w-]+\.[\w-]+/g,
+}, {
+  name: 'aws-key',
+  pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b|\baws_secret_access_key\W+(?<secret>[A-Za-z0-9/+=]{40})/gi,
+}, {
+  name: 'query-param',
+  pattern: /[?&](?:token|access_token|id_token|refresh_token|api_key|apikey|secret|password|signature|sig)=(?<secret>[^&\s#"']+)/gi,
+}, {
+  name: 'email',
+  pattern: /(?<![\w.+-])[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+}, {
+  name: 'ipv4',
+  pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g,
+}, {
+  name: 'ipv6',
+  pattern: /(?<![\w:.])(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}(?![\w:])/gi,
+  validate: (value) => isIPv6(value),
+}];
+
+const ACTIONS = ['mask', 'hash', 'drop'];
+
+/**
+ * Redacts secrets and personal information from log messages.
+ */
+export class Redactor {
+  /**
+   * Creates an instance of Redactor.
+   *
+   * @param {RedactionRule[]} rules rules, applied in order
+   * @param {Object} [opts] options
+   * @param {'mask'|'hash'|'drop'} [opts.action='mask'] default action
+   * @param {string} [opts.salt=''] salt prepended to values before hashing
+   */
+  constructor(rules, { action = 'mask', salt = '' } = {}) {
+    this._rules = rules;
+    this._action = action;
+    this._salt = salt;
+  }
+
+  /**
+   * Return the replacement of a value.
+   *
+   * @param {string} name rule name
+   * @param {string} action action
+   * @param {string} value value
+   * @returns {string} replacement
+   */
+  replace(name, action, value) {
+    if (action === 'hash') {
+      const hash = createHash('sha256').update(`${this._salt}${value}`).digest('hex');
+      return `[${name}:${hash.substring(0, 16)}]`;
+    }
+    return `[REDACTED:${name}]`;
+  }
+
+  /**
+   * Redact a message.
+   *
+   * @param {string} message message
+   * @returns {Redaction} redaction
+   */
+  redact(message) {
+    let count = 0;
+    let drop = false;
+    const redacted = this._rules.reduce((text, {
+      name, pattern, action = this._action, validate,
+    }) => text.replace(pattern, (...args) => {
+      const [match] = args;
+      const groups = args[args.length - 1];
+      if (validate && !validate(match)) {
+        return match;
+      }
+      count += 1;
+      if (action === 'drop') {
+        drop = true;
+        return match;
+      }
+      const secret = typeof groups === 'object' ? groups.secret : undefined;
+      if (secret === undefined) {
+        return this.replace(name, action, match);
+      }
+      const index = match.lastIndexOf(secret);
+      return `${match.substring(0, index)}${this.replace(name, action, secret)}${match.substring(index + secret.length)}`;
+    }), message);
+    return { message: redacted, count, drop };
+  }
+
+  /**
+   * Redact the message and stack of an error extracted from a message. Values are
+   * not counted again, as they repeat what was redacted in the message itself.
+   *
+   * @param {import('./extract-fields.js').ErrorFields} error error
+   * @returns {import('./extract-fields.js').ErrorFields} redacted error
+   */
+  redactError({ kind, message, stack }) {
+    return {
+      kind,
+      message: this.redact(message).message,
+      stack: stack && this.redact(stack).message,
+    };
+  }
+}
+
+/**
+ * Create a redactor from its configuration.
+ *
+ * @param {Object} config configuration
+ * @param {string} [config.detectors] comma separated names of built-in detectors, or `all`
+ * @param {string} [config.rules] JSON array of custom rules with `name`, `pattern`,
+ * optional `flags` and `action`
+ * @param {string} [config.action='mask'] default action, either `mask`, `hash` or `drop`
+ * @param {string} [config.salt] salt prepended to values before hashing
+ * @returns {Redactor|null} redactor or `null` if no rules are configured
+ * @throws {Error} if the configuration is invalid
+ */
+export function createRedactor({
+  detectors = '', rules, action = 'mask', salt,
+}) {
+  const names = detectors.split(',').map((s) => s.trim()).filter((s) => !!s);
+  const unknown = names.filter((n) => n !== 'all' && !DETECTORS.some(({ name }) => name === n));
+  if (unknown.length) {
+    throw new Error(`Unknown redaction detector(s): ${unknown.join(', ')}`);
+  }
+  const custom = rules ? JSON.parse(rules) : [];
+  if (!Array.isArray(custom)) {
+    throw new Error('Redaction rules must be an array');
+  }
+  const all = [
+    ...DETECTORS.filter(({ name }) => names.includes('all') || names.includes(name)),
+    ...custom.map(({
+      name = 'custom', pattern, flags = '', action: ruleAction,
+    }) => ({
+      name,
+      pattern: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`),
+      action: ruleAction,
+    })),
+  ];
+  [action, ...all.map((rule) => rule.action ?? action)].forEach((a) => {
+    if (!ACTIONS.includes(a)) {
+      throw new Error(`Unknown redaction action: ${a}`);
+    }
+  });
+  return all.length ? new Redactor(all, { action, salt }) : null;
+}
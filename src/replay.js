@@ -0,0 +1,229 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-disable no-await-in-loop */
+
+import { Response } from '@adobe/fetch';
+import {
+  createDLQMessages, deleteFromDLQ, receiveFromDLQ, sendToDLQ,
+} from './dlq.js';
+import { feed } from './feeder.js';
+import { decodePayload, secureEquals } from './utils.js';
+
+/**
+ * Time in milliseconds we keep in reserve before the invocation deadline, so
+ * we stop receiving new messages in time.
+ */
+const DEADLINE_RESERVE = 10000;
+
+/**
+ * Default time in seconds a requeued message stays invisible, so it is not received
+ * again by the same replay.
+ */
+const DEFAULT_REQUEUE_DELAY = 300;
+
+/**
+ * Maximum delay of an SQS message in seconds.
+ */
+const MAX_REQUEUE_DELAY = 900;
+
+/**
+ * Default number of attempts after which a message is no longer requeued.
+ */
+const DEFAULT_MAX_ATTEMPTS = 10;
+
+/**
+ * @typedef ReplayResult
+ * @property {number} received number of messages received
+ * @property {number} replayed number of messages delivered and deleted
+ * @property {number} requeued number of messages that failed again and were requeued
+ * @property {number} dropped number of messages that failed their last attempt and
+ * were deleted
+ * @property {number} skipped number of messages that can not be replayed and were left alone
+ */
+
+/**
+ * @typedef ReplaySettings
+ * @property {number} requeueDelay time in seconds a requeued message stays invisible
+ * @property {number} maxAttempts number of attempts after which a message is dropped
+ */
+
+/**
+ * Return the replay settings configured in `DLQ_REQUEUE_DELAY` and `DLQ_MAX_ATTEMPTS`.
+ *
+ * @param {Object} env environment
+ * @returns {ReplaySettings} settings
+ */
+function getReplaySettings(env) {
+  const delay = Number.parseInt(env.DLQ_REQUEUE_DELAY, 10);
+  const maxAttempts = Number.parseInt(env.DLQ_MAX_ATTEMPTS, 10);
+  return {
+    requeueDelay: Number.isInteger(delay) && delay >= 0
+      ? Math.min(delay, MAX_REQUEUE_DELAY)
+      : DEFAULT_REQUEUE_DELAY,
+    maxAttempts: Number.isInteger(maxAttempts) && maxAttempts > 0
+      ? maxAttempts
+      : DEFAULT_MAX_ATTEMPTS,
+  };
+}
+
+/**
+ * Parse the body of a DLQ message, which either contains a full input object or
+ * the raw awslogs data.
+ *
+ * @param {string} body message body
+ * @returns {Promise<{input: CloudWatchInput, message: Object}|null>} input and
+ * message or `null` if the message can not be replayed
+ */
+async function parseMessage(body) {
+  let message;
+  try {
+    message = JSON.parse(body);
+  } catch {
+    return null;
+  }
+  if (typeof message?.data === 'string') {
+    return { input: await decodePayload(message.data), message };
+  }
+  if (message?.logGroup && Array.isArray(message.logEvents)) {
+    return { input: message, message };
+  }
+  return null;
+}
+
+/**
+ * Replay a single DLQ message. Events that are still not accepted are sent to the DLQ
+ * again, delayed and with an incremented attempt count, then the original message is
+ * deleted. If the message can not be processed at all, it is requeued as a whole.
+ * A message that fails its last attempt is deleted without being requeued. A message
+ * that records the sink that failed is only replayed to that sink.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {import('./dlq.js').DLQMessage} dlqMessage DLQ message
+ * @param {ReplaySettings} settings replay settings
+ * @returns {Promise<'replayed'|'requeued'|'dropped'|'skipped'>} outcome
+ */
+async function replayMessage(context, {
+  MessageId: id, ReceiptHandle: receiptHandle, Body: body,
+}, { requeueDelay, maxAttempts }) {
+  const { log } = context;
+
+  let parsed;
+  try {
+    parsed = await parseMessage(body);
+  } catch (e) {
+    log.warn(`Unable to parse DLQ message ${id}: ${e.message}`);
+  }
+  if (!parsed) {
+    log.warn(`Unable to replay DLQ message ${id}, leaving it on the queue`);
+    return 'skipped';
+  }
+
+  const { input, message } = parsed;
+  const attempt = (message.attempt ?? 0) + 1;
+  let failures;
+  try {
+    failures = createDLQMessages(input, await feed(context, input, message.sink), attempt);
+  } catch (e) {
+    failures = [{
+      ...message,
+      reason: e.message,
+      attempt,
+      timestamp: new Date().toISOString(),
+    }];
+  }
+  if (failures.length && attempt >= maxAttempts) {
+    await deleteFromDLQ(context, receiptHandle);
+    log.error(`Dropping DLQ message ${id} after ${attempt} attempts: ${failures[0].reason}`);
+    return 'dropped';
+  }
+  await Promise.all(failures.map((failure) => sendToDLQ(context, failure, requeueDelay)));
+  await deleteFromDLQ(context, receiptHandle);
+  if (failures.length) {
+    log.warn(`Replaying DLQ message ${id} failed for ${failures.length} part(s) (attempt ${attempt}): ${failures[0].reason}`);
+    return 'requeued';
+  }
+  return 'replayed';
+}
+
+/**
+ * Replay messages in our DLQ to their sinks, until the queue is empty, the maximum
+ * number of messages is reached or the invocation deadline is near.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {number} maxMessages maximum number of messages to receive
+ * @returns {Promise<ReplayResult>} result
+ */
+export async function replayDLQ(context, maxMessages) {
+  const { invocation: { deadline }, env, log } = context;
+  const settings = getReplaySettings(env);
+  const result = {
+    received: 0, replayed: 0, requeued: 0, dropped: 0, skipped: 0,
+  };
+
+  while (result.received < maxMessages) {
+    if (deadline && Date.now() > deadline - DEADLINE_RESERVE) {
+      log.info('Stopping replay, invocation deadline is near');
+      break;
+    }
+    const messages = await receiveFromDLQ(context, Math.min(10, maxMessages - result.received));
+    if (!messages.length) {
+      break;
+    }
+    result.received += messages.length;
+    for (const dlqMessage of messages) {
+      result[await replayMessage(context, dlqMessage, settings)] += 1;
+    }
+  }
+  log.info(`Replayed DLQ: ${JSON.stringify(result)}`);
+  return result;
+}
+
+/**
+ * Check whether a request carries the replay token in its `authorization` header.
+ *
+ * @param {Request} request request
+ * @param {string} token expected token
+ * @returns {boolean} true if authorized
+ */
+function isAuthorized(request, token) {
+  return secureEquals(request.headers.get('authorization'), `Bearer ${token}`);
+}
+
+/**
+ * Handle a request to the replay route. Requires a `POST` request with an
+ * `authorization: Bearer <DLQ_REPLAY_TOKEN>` header. The maximum number of
+ * messages can be passed in the `max` query parameter.
+ *
+ * @param {Request} request request
+ * @param {UniversalContext} context universal context
+ * @returns {Promise<Response>} response
+ */
+export async function handleReplay(request, context) {
+  const { env: { DLQ_REPLAY_TOKEN: token }, log } = context;
+
+  if (!token) {
+    log.warn('Replay requested, but no DLQ_REPLAY_TOKEN set');
+    return new Response('', { status: 404 });
+  }
+  if (!isAuthorized(request, token)) {
+    return new Response('', { status: 401 });
+  }
+  if (request.method !== 'POST') {
+    return new Response('', { status: 405, headers: { allow: 'POST' } });
+  }
+  const max = Number.parseInt(new URL(request.url).searchParams.get('max'), 10);
+  const result = await replayDLQ(context, max > 0 ? max : 100);
+  return new Response(JSON.stringify(result), {
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,142 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { readFile } from 'node:fs/promises';
+import { resolveSecret } from './secrets.js';
+import { getSiteUrls } from './sites.js';
+import { parseTags } from './tags.js';
+import { matchesPattern } from './utils.js';
+
+/**
+ * @typedef Route
+ * @property {string} [name] name, used in messages
+ * @property {string[]} [logGroups] log groups routed to this destination, may contain
+ * `*` wildcards
+ * @property {string[]} [functions] function names routed to this destination, may contain
+ * `*` wildcards, e.g. `helix-services--*`
+ * @property {string} [apiKey] reference to the API key: the ARN of a secret or parameter,
+ * or the name of an environment variable
+ * @property {string} [site] DataDog site, e.g. `datadoghq.eu`, one of `DATADOG_SITES`
+ * @property {string} [apiUrl] log intake base URL, takes precedence over the site
+ * @property {string} [metricsUrl] API base URL for metrics and events, takes precedence
+ * over the site
+ * @property {string[]} tags default tags of this destination
+ */
+
+/**
+ * @typedef Destination
+ * @property {string} apiKey API key
+ * @property {function(): Promise<string>} [refreshApiKey] function obtaining the current
+ * API key, if it is kept in a secret or parameter
+ * @property {string} apiUrl log intake base URL
+ * @property {string} metricsUrl API base URL for metrics and events
+ * @property {string[]} tags default tags
+ */
+
+/**
+ * Parse the routing table.
+ *
+ * @param {string} [config] JSON array of routes
+ * @returns {Route[]} routes
+ * @throws {Error} if the configuration is invalid or a route has an unknown site
+ */
+export function parseRoutes(config) {
+  if (!config) {
+    return [];
+  }
+  const routes = JSON.parse(config);
+  if (!Array.isArray(routes)) {
+    throw new Error('Routes must be an array');
+  }
+  return routes.map((route, index) => {
+    const { logGroups, functions, tags } = route;
+    if (!Array.isArray(logGroups) && !Array.isArray(functions)) {
+      throw new Error(`Route ${route.name ?? index} needs an array of log groups or functions`);
+    }
+    if (route.site) {
+      getSiteUrls(route.site);
+    }
+    return { ...route, tags: parseTags(tags) };
+  });
+}
+
+/**
+ * Load the routing table, either from `DATADOG_ROUTES` or from the JSON file
+ * `DATADOG_ROUTES_FILE` points to.
+ *
+ * @param {Object} env environment
+ * @returns {Promise<Route[]>} routes
+ * @throws {Promise<Error>} if the file can not be read or the configuration is invalid
+ */
+export async function loadRoutes(env) {
+  const { DATADOG_ROUTES: config, DATADOG_ROUTES_FILE: file } = env;
+  if (config || !file) {
+    return parseRoutes(config);
+  }
+  return parseRoutes(await readFile(file, 'utf-8'));
+}
+
+/**
+ * Find the route of a log group: the first route whose log group or function
+ * patterns match.
+ *
+ * @param {Route[]} routes routes
+ * @param {string} logGroup log group name
+ * @param {string} funcName function name, e.g. `helix-services--indexer`
+ * @returns {Route|null} route or `null` if no route matches
+ */
+export function findRoute(routes, logGroup, funcName) {
+  return routes.find(({ logGroups = [], functions = [] }) => logGroups
+    .some((pattern) => matchesPattern(pattern, logGroup))
+    || functions.some((pattern) => matchesPattern(pattern, funcName))) ?? null;
+}
+
+/**
+ * Resolve the destination of a route. The API key of a route without one defaults to
+ * `DATADOG_API_KEY`. Its URLs are derived from its site, or default to `DATADOG_API_URL`
+ * and `DATADOG_METRICS_URL`, which in turn default to the URLs of `DATADOG_SITE`.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {Route|null} route route or `null` for the default destination
+ * @returns {Promise<Destination>} destination
+ * @throws {Promise<Error>} if the API key can not be resolved
+ */
+export async function resolveDestination(context, route) {
+  const { env } = context;
+  const {
+    apiKey: ref, site, tags = [],
+  } = route ?? {};
+
+  const urls = getSiteUrls(site ?? env.DATADOG_SITE);
+  if (!site) {
+    urls.apiUrl = env.DATADOG_API_URL ?? urls.apiUrl;
+    urls.metricsUrl = env.DATADOG_METRICS_URL ?? urls.metricsUrl;
+  }
+  const destination = {
+    apiKey: env.DATADOG_API_KEY,
+    apiUrl: route?.apiUrl ?? urls.apiUrl,
+    metricsUrl: route?.metricsUrl ?? urls.metricsUrl,
+    tags,
+  };
+  if (!ref && env.DATADOG_API_KEY_ARN) {
+    destination.refreshApiKey = () => resolveSecret(context, env.DATADOG_API_KEY_ARN, true);
+  } else if (ref?.startsWith('arn:')) {
+    destination.apiKey = await resolveSecret(context, ref);
+    destination.refreshApiKey = () => resolveSecret(context, ref, true);
+  } else if (ref) {
+    destination.apiKey = env[ref];
+  }
+  if (!destination.apiKey) {
+    const name = route ? `route ${route.name ?? 'without name'}` : 'default destination';
+    throw new Error(`No API key for ${name}`);
+  }
+  return destination;
+}
@@ -0,0 +1,95 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { promisify } from 'node:util';
+import { gzip } from 'node:zlib';
+import aws4 from 'aws4';
+import { BatchSink } from './batch-sink.js';
+import { fetchContext } from './utils.js';
+
+const gzipAsync = promisify(gzip);
+
+/**
+ * Sink archiving entries as gzipped JSON lines in an S3 compatible bucket. Every
+ * batch is stored in its own object, named after the log group, log stream and
+ * the id of its first event, so replaying a batch overwrites the same object.
+ */
+export class S3Sink extends BatchSink {
+  /**
+   * Creates an instance of S3Sink.
+   *
+   * @param {SinkConfig & {bucket: string, region: string, endpoint?: string,
+   * prefix?: string}} config sink configuration with the bucket, its region, an optional
+   * endpoint for S3 compatible services (using path-style URLs) and a key prefix
+   * @param {Object} opts options, see `BatchSink`
+   * @param {function(): Promise<import('./credentials.js').Credentials>} opts.getCredentials
+   * function resolving the AWS credentials
+   */
+  constructor(config, opts) {
+    super(config, opts);
+    this._bucket = config.bucket;
+    this._region = config.region;
+    this._endpoint = config.endpoint;
+    this._prefix = config.prefix ?? '';
+    this._getCredentials = opts.getCredentials;
+  }
+
+  /**
+   * Return the object key for some entries.
+   *
+   * @param {SinkEntry[]} entries entries
+   * @param {string} id id of the first log event
+   * @returns {string} key
+   */
+  createKey(entries, id) {
+    const date = new Date(entries[0].timestamp).toISOString().substring(0, 10).replace(/-/g, '/');
+    const sanitize = (s) => s.replace(/^\/+/, '').replace(/[^\w\-./]/g, '_');
+    return `${this._prefix}${sanitize(this._logGroup)}/${date}/${sanitize(this._logStream)}/${id}.ndjson.gz`;
+  }
+
+  /**
+   * Store entries in the bucket.
+   *
+   * @param {SinkEntry[]} entries entries
+   * @param {LogEvent[]} logEvents log events of those entries
+   * @returns {Promise<Response>} HTTP answer
+   * @throws {Promise<Error>} if an error occurs
+   */
+  async send(entries, logEvents) {
+    const credentials = await this._getCredentials();
+    const key = this.createKey(entries, logEvents[0].id ?? logEvents[0].timestamp);
+    const endpoint = this._endpoint
+      ? new URL(this._endpoint)
+      : new URL(`https://${this._bucket}.s3.${this._region}.amazonaws.com`);
+    const path = this._endpoint ? `/${this._bucket}/${key}` : `/${key}`;
+
+    const { fetch } = fetchContext;
+    const req = aws4.sign({
+      host: endpoint.host,
+      service: 's3',
+      region: this._region,
+      method: 'PUT',
+      path,
+      headers: {
+        'content-type': 'application/x-ndjson',
+        'content-encoding': 'gzip',
+      },
+      body: await gzipAsync(entries.map((entry) => JSON.stringify(entry)).join('\n')),
+    }, credentials);
+    const resp = await fetch(`${endpoint.protocol}//${req.host}${req.path}`, {
+      method: req.method,
+      headers: req.headers,
+      body: req.body,
+    });
+    await this.checkResponse(resp);
+    return resp;
+  }
+}
@@ -0,0 +1,142 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { createHash } from 'crypto';
+import { matchesPattern } from './utils.js';
+
+/**
+ * @typedef SamplingRule
+ * @property {string[]} [functions] function names this rule applies to, may contain
+ * `*` wildcards, defaults to all functions
+ * @property {string[]} [levels] levels this rule applies to, defaults to all levels
+ * @property {number} [rate] share of invocations whose entries are kept, between 0 and 1
+ * @property {number} [maxEntries] maximum number of entries per invocation
+ */
+
+/**
+ * Parse the sampling rules.
+ *
+ * @param {string} [config] JSON array of rules
+ * @returns {SamplingRule[]} rules
+ * @throws {Error} if the configuration is invalid
+ */
+export function parseSamplingRules(config) {
+  if (!config) {
+    return [];
+  }
+  const rules = JSON.parse(config);
+  if (!Array.isArray(rules)) {
+    throw new Error('Sampling rules must be an array');
+  }
+  return rules.map(({
+    functions, levels, rate, maxEntries,
+  }) => {
+    const validRate = typeof rate === 'number' && rate >= 0 && rate <= 1;
+    const validMax = Number.isInteger(maxEntries) && maxEntries > 0;
+    if (!validRate && !validMax) {
+      throw new Error('Sampling rule needs a rate between 0 and 1 or a positive maximum number of entries');
+    }
+    return {
+      functions,
+      levels: levels?.map((level) => level.toUpperCase()),
+      rate: validRate ? rate : undefined,
+      maxEntries: validMax ? maxEntries : undefined,
+    };
+  });
+}
+
+/**
+ * Samples entries by level and caps the number of entries per invocation. Decisions
+ * depend on the request id only, so all entries of an invocation with the same level
+ * are either kept or dropped, and an invocation kept at a lower rate is kept at any
+ * higher rate. Entries without request id are always kept.
+ */
+export class Sampler {
+  /**
+   * Creates an instance of Sampler.
+   *
+   * @param {SamplingRule[]} rules rules applying to the function, the first rule with
+   * a rate for a level and the first rule with a maximum number of entries win
+   */
+  constructor(rules) {
+    this._rules = rules.filter(({ rate }) => rate !== undefined);
+    this._maxEntries = rules.find(({ maxEntries }) => maxEntries !== undefined)?.maxEntries;
+  }
+
+  /**
+   * Maximum number of entries per invocation, if any.
+   *
+   * @returns {number|undefined} maximum number of entries
+   */
+  get maxEntries() {
+    return this._maxEntries;
+  }
+
+  /**
+   * Return the rate entries of some level are kept with.
+   *
+   * @param {string} level log level
+   * @returns {number} rate
+   */
+  getRate(level) {
+    const rule = this._rules.find(({ levels }) => !levels || levels.includes(level));
+    return rule ? rule.rate : 1;
+  }
+
+  /**
+   * Decide whether to keep an entry.
+   *
+   * @param {string} level log level
+   * @param {string} [requestId] request id
+   * @returns {boolean} whether to keep the entry
+   */
+  keep(level, requestId) {
+    const rate = this.getRate(level);
+    if (rate >= 1 || !requestId) {
+      return true;
+    }
+    const hash = createHash('sha256').update(requestId).digest();
+    return hash.readUInt32BE(0) / 2 ** 32 < rate;
+  }
+}
+
+/**
+ * Create a sampler for a function.
+ *
+ * @param {SamplingRule[]} rules rules
+ * @param {string} funcName function name, e.g. `helix-services--indexer`
+ * @returns {Sampler|null} sampler or `null` if no rule applies to the function
+ */
+export function createSampler(rules, funcName) {
+  const applicable = rules.filter(({ functions }) => !functions
+    || functions.some((pattern) => matchesPattern(pattern, funcName)));
+  return applicable.length ? new Sampler(applicable) : null;
+}
+
+/**
+ * Create a synthetic log event summarizing the entries of an invocation that exceeded
+ * the maximum number of entries. The event has the standard format of the node runtime,
+ * so it can be replayed from the DLQ like any other event.
+ *
+ * @param {string} requestId request id of the invocation
+ * @param {number} timestamp timestamp of the last entry of the invocation
+ * @param {number} total total number of entries of the invocation
+ * @param {number} maxEntries maximum number of entries per invocation
+ * @returns {import('./datadog.js').LogEvent} log event
+ */
+export function createSummaryEvent(requestId, timestamp, total, maxEntries) {
+  const time = new Date(timestamp).toISOString();
+  return {
+    id: `${requestId}-capped`,
+    timestamp,
+    message: `${time}\t${requestId}\tWARN\tDropped ${total - maxEntries} of ${total} entries, exceeding the maximum of ${maxEntries} entries per invocation\n`,
+  };
+}
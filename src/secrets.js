@@ -0,0 +1,138 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import aws4 from 'aws4';
+import { resolveCredentials } from './credentials.js';
+import { fetchContext } from './utils.js';
+
+/**
+ * Secret cache, by ARN, kept across warm invocations.
+ */
+export const SECRET_CACHE = new Map();
+
+/**
+ * Default time in seconds a secret is cached.
+ */
+const DEFAULT_TTL = 300;
+
+/**
+ * Actions retrieving a secret, per service, and how to find the value in their response.
+ */
+const SECRET_ACTIONS = {
+  secretsmanager: {
+    target: 'secretsmanager.GetSecretValue',
+    params: (arn) => ({ SecretId: arn }),
+    value: ({ SecretString: value }) => value,
+  },
+  ssm: {
+    target: 'AmazonSSM.GetParameter',
+    params: (arn) => ({ Name: arn, WithDecryption: true }),
+    value: ({ Parameter: { Value: value } }) => value,
+  },
+};
+
+/**
+ * Fetch a secret from Secrets Manager or a parameter from SSM Parameter Store.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {string} arn ARN of the secret or parameter
+ * @returns {Promise<string>} value
+ * @throws {Promise<Error>} if the ARN is not supported, AWS credentials are not
+ * available or the value can not be retrieved
+ */
+async function fetchSecret(context, arn) {
+  const [, , service, region] = arn.split(':');
+  const action = SECRET_ACTIONS[service];
+  if (!action || !region) {
+    throw new Error(`Unsupported secret ARN: ${arn}`);
+  }
+  const credentials = await resolveCredentials(context);
+
+  const { fetch } = fetchContext;
+  const opts = {
+    host: `${service}.${region}.amazonaws.com`,
+    service,
+    region,
+    method: 'POST',
+    path: '/',
+    headers: {
+      'content-type': 'application/x-amz-json-1.1',
+      'x-amz-target': action.target,
+    },
+    body: JSON.stringify(action.params(arn)),
+  };
+  const req = aws4.sign(opts, credentials);
+  const resp = await fetch(`https://${req.host}${req.path}`, {
+    method: req.method,
+    headers: req.headers,
+    body: req.body,
+  });
+  if (!resp.ok) {
+    throw Error(`Failed to retrieve ${arn} with status: ${resp.status}\n${await resp.text()}`);
+  }
+  return action.value(await resp.json());
+}
+
+/**
+ * Resolve a secret, from the cache if it has not expired yet.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {string} arn ARN of the secret or parameter
+ * @param {boolean} [refresh=false] whether to bypass the cache, e.g. after the value
+ * has been rotated
+ * @returns {Promise<string>} value
+ * @throws {Promise<Error>} if the value can not be retrieved
+ */
+export async function resolveSecret(context, arn, refresh = false) {
+  const cached = SECRET_CACHE.get(arn);
+  if (!refresh && cached && cached.expiry > Date.now()) {
+    return cached.value;
+  }
+  const ttl = Number.parseInt(context.env.SECRETS_TTL, 10);
+  const value = await fetchSecret(context, arn);
+  SECRET_CACHE.set(arn, {
+    value,
+    expiry: Date.now() + (Number.isInteger(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL) * 1000,
+  });
+  return value;
+}
+
+/**
+ * Load the secrets configured in the environment. `DATADOG_API_KEY_ARN` contains the
+ * API key, `SECRETS_ARN` a JSON object with further environment variables, e.g. the
+ * AWS credentials used for the DLQ. Values loaded take precedence over the ones in the
+ * environment.
+ *
+ * @param {UniversalContext} context universal context
+ * @returns {Promise<Object>} environment variables loaded
+ * @throws {Promise<Error>} if a secret can not be retrieved or is not valid
+ */
+export async function loadSecrets(context) {
+  const {
+    env: {
+      DATADOG_API_KEY_ARN: apiKeyArn,
+      SECRETS_ARN: settingsArn,
+    },
+  } = context;
+
+  const loaded = {};
+  if (settingsArn) {
+    const settings = JSON.parse(await resolveSecret(context, settingsArn));
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(`${settingsArn} must contain a JSON object`);
+    }
+    Object.assign(loaded, settings);
+  }
+  if (apiKeyArn) {
+    loaded.DATADOG_API_KEY = await resolveSecret(context, apiKeyArn);
+  }
+  return loaded;
+}
@@ -0,0 +1,67 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { HttpSink } from './http-sink.js';
+import { OtlpSink } from './otlp-sink.js';
+import { S3Sink } from './s3-sink.js';
+import { matchesPattern } from './utils.js';
+
+const SINK_TYPES = {
+  http: HttpSink,
+  otlp: OtlpSink,
+  s3: S3Sink,
+};
+
+/**
+ * Parse the sink configuration.
+ *
+ * @param {string} [config] JSON array of sink configurations
+ * @returns {SinkConfig[]} sink configurations
+ * @throws {Error} if the configuration is invalid
+ */
+export function parseSinkConfig(config) {
+  if (!config) {
+    return [];
+  }
+  const sinks = JSON.parse(config);
+  if (!Array.isArray(sinks)) {
+    throw new Error('Sink configuration must be an array');
+  }
+  sinks.forEach(({ type }) => {
+    if (type !== 'datadog' && !SINK_TYPES[type]) {
+      throw new Error(`Unknown sink type: ${type}`);
+    }
+  });
+  return sinks;
+}
+
+/**
+ * Check whether a sink configuration applies to a log group.
+ *
+ * @param {SinkConfig} config sink configuration
+ * @param {string} logGroup log group name
+ * @returns {boolean} true if the log group is routed to this sink
+ */
+export function routesTo({ logGroups }, logGroup) {
+  return !logGroups || logGroups.some((pattern) => matchesPattern(pattern, logGroup));
+}
+
+/**
+ * Create a sink other than DataDog from its configuration.
+ *
+ * @param {SinkConfig} config sink configuration
+ * @param {Object} opts options passed to the sink constructor
+ * @returns {Sink} sink
+ */
+export function createSink(config, opts) {
+  const SinkType = SINK_TYPES[config.type];
+  return new SinkType(config, opts);
+}
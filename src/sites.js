@@ -0,0 +1,50 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * @typedef SiteURLs
+ * @property {string} apiUrl log intake base URL, serving `/api/v2/logs`
+ * @property {string} metricsUrl API base URL, serving `/api/v2/series`, `/api/v1/events`
+ * and `/api/v1/validate`
+ */
+
+/**
+ * DataDog sites and their domains.
+ */
+export const DATADOG_SITES = {
+  'datadoghq.com': 'datadoghq.com',
+  'datadoghq.eu': 'datadoghq.eu',
+  us3: 'us3.datadoghq.com',
+  us5: 'us5.datadoghq.com',
+  ap1: 'ap1.datadoghq.com',
+  'ddog-gov.com': 'ddog-gov.com',
+};
+
+/**
+ * Return the URLs of a DataDog site. Sites are given either by their name or their domain,
+ * e.g. `us5` or `us5.datadoghq.com`.
+ *
+ * @param {string} [site='datadoghq.com'] site
+ * @returns {SiteURLs} URLs
+ * @throws {Error} if the site is unknown
+ */
+export function getSiteUrls(site = 'datadoghq.com') {
+  const domain = DATADOG_SITES[site]
+    ?? Object.values(DATADOG_SITES).find((value) => value === site);
+  if (!domain) {
+    throw new Error(`Unknown DataDog site: ${site}, expected one of ${Object.keys(DATADOG_SITES).join(', ')}`);
+  }
+  return {
+    apiUrl: `https://http-intake.logs.${domain}`,
+    metricsUrl: `https://api.${domain}`,
+  };
+}
@@ -0,0 +1,167 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-await-in-loop */
+
+import { Response } from '@adobe/fetch';
+import { sendToDLQ } from './dlq.js';
+import { deliver } from './feeder.js';
+import { decodePayload, secureEquals } from './utils.js';
+
+/**
+ * Decode and deliver a single stream record carrying a CloudWatch payload. A record
+ * that can not be decoded is sent to the DLQ as is, since retrying it would not help.
+ * A record that can not be fed is acknowledged once it is in the DLQ, so the stream
+ * only retries records the DLQ did not take, and no record ends up there twice.
+ *
+ * @param {UniversalContext} context universal context
+ * @param {string} data base64 encoded record data
+ * @returns {Promise<string>} outcome
+ * @throws {Error} if the record can neither be delivered nor sent to the DLQ
+ */
+async function processRecord(context, data) {
+  const { log } = context;
+
+  let input;
+  try {
+    input = await decodePayload(data);
+  } catch (e) {
+    log.warn(`Unable to decode record: ${e.message}`);
+    await sendToDLQ(context, {
+      data,
+      reason: e.message,
+      attempt: 1,
+      timestamp: new Date().toISOString(),
+    });
+    return 'rejected';
+  }
+  return deliver(context, input, { acknowledge: true });
+}
+
+/**
+ * Create a JSON response.
+ *
+ * @param {Object} body body
+ * @param {number} [status=200] status
+ * @returns {Response} response
+ */
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
+
+/**
+ * Handle a Kinesis Data Streams event. Records are processed in order, and processing
+ * stops at the first record that fails, since Lambda retries the batch starting at
+ * that record.
+ *
+ * @param {Request} request request
+ * @param {UniversalContext} context universal context
+ * @returns {Promise<Response>} response with the batch item failures
+ */
+async function handleKinesis(request, context) {
+  const { invocation: { event: { Records: records } }, log } = context;
+
+  const batchItemFailures = [];
+  for (const { kinesis: { data, sequenceNumber } } of records) {
+    try {
+      await processRecord(context, data);
+    } catch (e) {
+      log.warn(`Unable to process Kinesis record ${sequenceNumber}: ${e.message}`);
+      batchItemFailures.push({ itemIdentifier: sequenceNumber });
+      break;
+    }
+  }
+  log.info(`Processed ${records.length} Kinesis record(s), failures: ${batchItemFailures.length}`);
+  return jsonResponse({ batchItemFailures });
+}
+
+/**
+ * Handle a Firehose data transformation event. Records are passed on unchanged,
+ * records that can not be processed are marked as failed, so Firehose delivers them
+ * to its error output.
+ *
+ * @param {Request} request request
+ * @param {UniversalContext} context universal context
+ * @returns {Promise<Response>} response with the result of every record
+ */
+async function handleFirehoseTransformation(request, context) {
+  const { invocation: { event: { records } }, log } = context;
+
+  const results = [];
+  for (const { recordId, data } of records) {
+    let result = 'Ok';
+    try {
+      await processRecord(context, data);
+    } catch (e) {
+      log.warn(`Unable to process Firehose record ${recordId}: ${e.message}`);
+      result = 'ProcessingFailed';
+    }
+    results.push({ recordId, result, data });
+  }
+  log.info(`Processed ${records.length} Firehose record(s), failures: ${results.filter(({ result }) => result !== 'Ok').length}`);
+  return jsonResponse({ records: results });
+}
+
+/**
+ * Handle a Firehose HTTP endpoint delivery request. If `FIREHOSE_ACCESS_KEY` is set,
+ * the request must carry it. A request is only acknowledged if all of its records
+ * were processed, otherwise Firehose retries it as a whole.
+ *
+ * @param {Request} request request
+ * @param {UniversalContext} context universal context
+ * @returns {Promise<Response>} response in the format Firehose expects
+ */
+async function handleFirehoseRequest(request, context) {
+  const { env: { FIREHOSE_ACCESS_KEY: accessKey }, log } = context;
+  const requestId = request.headers.get('x-amz-firehose-request-id');
+
+  if (accessKey && !secureEquals(request.headers.get('x-amz-firehose-access-key'), accessKey)) {
+    return jsonResponse({ requestId, timestamp: Date.now(), errorMessage: 'Invalid access key' }, 401);
+  }
+  try {
+    const { records } = await request.json();
+    for (const { data } of records) {
+      await processRecord(context, data);
+    }
+    log.info(`Processed ${records.length} Firehose record(s) of request ${requestId}`);
+    return jsonResponse({ requestId, timestamp: Date.now() });
+  } catch (e) {
+    log.warn(`Unable to process Firehose request ${requestId}: ${e.message}`);
+    return jsonResponse({ requestId, timestamp: Date.now(), errorMessage: e.message }, 500);
+  }
+}
+
+/**
+ * Return the handler for an invocation by a stream, i.e. a Kinesis event, a Firehose
+ * data transformation event or a Firehose HTTP endpoint delivery request.
+ *
+ * @param {Request} request request
+ * @param {UniversalContext} context universal context
+ * @returns {function(Request, UniversalContext): Promise<Response>|null} handler
+ * or `null` if this is no invocation by a stream
+ */
+export function getStreamHandler(request, context) {
+  const { invocation: { event } } = context;
+
+  if (event?.Records?.[0]?.eventSource === 'aws:kinesis') {
+    return handleKinesis;
+  }
+  if (event?.deliveryStreamArn && Array.isArray(event.records)) {
+    return handleFirehoseTransformation;
+  }
+  if (request.method === 'POST' && request.headers.has('x-amz-firehose-request-id')) {
+    return handleFirehoseRequest;
+  }
+  return null;
+}
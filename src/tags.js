@@ -0,0 +1,82 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { matchesPattern } from './utils.js';
+
+/**
+ * @typedef TagRule
+ * @property {Array<string|RegExp>} logGroups log groups this rule applies to, strings
+ * may contain `*` wildcards
+ * @property {string[]} tags tags added to entries of those log groups
+ */
+
+/**
+ * Parse tags, given either as comma separated list or array of `key:value` strings.
+ *
+ * @param {string|string[]} [tags] tags
+ * @returns {string[]} tags
+ */
+export function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : (tags ?? '').split(',');
+  return list.map((tag) => tag.trim()).filter((tag) => !!tag);
+}
+
+/**
+ * Parse the tag rules.
+ *
+ * @param {string} [config] JSON array of rules with `logGroups` and `tags`
+ * @returns {TagRule[]} rules
+ * @throws {Error} if the configuration is invalid
+ */
+export function parseTagRules(config) {
+  if (!config) {
+    return [];
+  }
+  const rules = JSON.parse(config);
+  if (!Array.isArray(rules)) {
+    throw new Error('Tag rules must be an array');
+  }
+  return rules.map(({ logGroups, tags }) => {
+    if (!Array.isArray(logGroups)) {
+      throw new Error('Tag rule needs an array of log groups');
+    }
+    return { logGroups, tags: parseTags(tags) };
+  });
+}
+
+/**
+ * Merge lists of tags. A tag in a later list replaces the tag with the same key in
+ * earlier lists, keeping its position.
+ *
+ * @param {...string[]} lists lists of tags
+ * @returns {string[]} merged tags
+ */
+export function mergeTags(...lists) {
+  const merged = new Map();
+  lists.flat().forEach((tag) => {
+    const [key] = tag.split(':');
+    merged.set(key, tag);
+  });
+  return [...merged.values()];
+}
+
+/**
+ * Return the tags of all rules that apply to a log group.
+ *
+ * @param {TagRule[]} rules rules
+ * @param {string} logGroup log group name
+ * @returns {string[]} tags
+ */
+export function getLogGroupTags(rules, logGroup) {
+  return mergeTags(...rules
+    .filter(({ logGroups }) => logGroups.some((pattern) => matchesPattern(pattern, logGroup)))
+    .map(({ tags }) => tags));
+}
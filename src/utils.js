@@ -9,8 +9,13 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import { timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { gunzip } from 'node:zlib';
 import { context, ALPN_HTTP1_1 } from '@adobe/fetch';
 
+const gunzipAsync = promisify(gunzip);
+
 /**
  * Our global fetch context that limits the number of sockets used.
  */
@@ -23,3 +28,52 @@ export const fetchContext = context({
 const { reset } = fetchContext;
 
 export const resetConnections = async () => reset();
+
+/**
+ * Check whether a value matches a pattern, which is either a regular expression or
+ * a string that may contain `*` wildcards matching any sequence of characters.
+ *
+ * @param {string|RegExp} pattern pattern
+ * @param {string} [value] value to check
+ * @returns {boolean} true if the value matches
+ */
+export function matchesPattern(pattern, value) {
+  if (value === undefined) {
+    return false;
+  }
+  if (pattern instanceof RegExp) {
+    return pattern.test(value);
+  }
+  const regex = pattern.split('*')
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${regex}$`).test(value);
+}
+
+/**
+ * Compare a value with a secret in constant time.
+ *
+ * @param {string} [value] value
+ * @param {string} secret secret
+ * @returns {boolean} true if both are equal
+ */
+export function secureEquals(value, secret) {
+  const actual = Buffer.from(value ?? '');
+  const expected = Buffer.from(secret);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Decode a base64 encoded CloudWatch payload, which is usually gzipped.
+ *
+ * @param {string} data base64 encoded data
+ * @returns {Promise<Object>} payload
+ * @throws {Error} if the data can not be decoded
+ */
+export async function decodePayload(data) {
+  let payload = Buffer.from(data, 'base64');
+  if (payload[0] === 0x1f && payload[1] === 0x8b) {
+    payload = await gunzipAsync(payload);
+  }
+  return JSON.parse(payload.toString());
+}
@@ -15,6 +15,7 @@ import assert from 'assert';
 import sinon from 'sinon';
 import { Nock } from './utils.js';
 import { ALIAS_CACHE, resolve } from '../src/alias.js';
+import { CREDENTIAL_CACHE } from '../src/credentials.js';
 
 describe('Alias Tests', () => {
   let nock;
@@ -26,11 +27,13 @@ describe('Alias Tests', () => {
       toFake: ['Date'],
     });
     ALIAS_CACHE.clear();
+    CREDENTIAL_CACHE.clear();
   });
 
   afterEach(() => {
     clock.restore();
     nock.done();
+    CREDENTIAL_CACHE.clear();
   });
 
   const env = {
@@ -47,6 +50,34 @@ describe('Alias Tests', () => {
     }, 'services--func', '1'));
   });
 
+  it('resolves aliases of a function in another account with the role configured', async () => {
+    nock('https://sts.us-east-1.amazonaws.com')
+      .post('/')
+      .reply(200, `<AssumeRoleResponse><AssumeRoleResult><Credentials>
+        <AccessKeyId>role-key-id</AccessKeyId>
+        <SecretAccessKey>role-secret</SecretAccessKey>
+        <SessionToken>role-token</SessionToken>
+        <Expiration>1970-01-01T01:00:00Z</Expiration>
+      </Credentials></AssumeRoleResult></AssumeRoleResponse>`);
+    const arn = encodeURIComponent('arn:aws:lambda:us-east-1:210987654321:function:services--func');
+    nock('https://lambda.us-east-1.amazonaws.com')
+      .get(`/2015-03-31/functions/${arn}/aliases?FunctionVersion=1`)
+      .matchHeader('authorization', /Credential=role-key-id\//)
+      .reply(200, { Aliases: [{ Name: 'v1' }] })
+      .get('/2015-03-31/functions/services--func/aliases?FunctionVersion=1')
+      .matchHeader('authorization', /Credential=aws-access-key-id\//)
+      .reply(200, { Aliases: [{ Name: 'v2' }] });
+
+    const context = {
+      log: console,
+      env: { ...env, AWS_ACCOUNT_ROLES: '{"210987654321":"arn:aws:iam::210987654321:role/feeder"}' },
+      runtime: { region: 'us-east-1', accountId: '123456789012' },
+    };
+    assert.deepStrictEqual(await resolve(context, 'services--func', '1', '210987654321'), { major: 'v1' });
+    assert.deepStrictEqual(await resolve(context, 'services--func', '1', '123456789012'), { major: 'v2' });
+    assert.deepStrictEqual(await resolve(context, 'services--func', '1', '210987654321'), { major: 'v1' });
+  });
+
   it('returns no alias when fetch fails', async () => {
     nock('https://lambda.us-east-1.amazonaws.com')
       .get('/2015-03-31/functions/services--func/aliases?FunctionVersion=1')
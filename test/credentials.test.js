@@ -0,0 +1,320 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { resolve } from 'path';
+import sinon from 'sinon';
+import { Nock } from './utils.js';
+import { CREDENTIAL_CACHE, parseRoles, resolveCredentials } from '../src/credentials.js';
+
+const ROLE_ARN = 'arn:aws:iam::210987654321:role/helix-datadog-feeder';
+const TOKEN_FILE = resolve(__rootdir, 'test', 'fixtures', 'web-identity-token');
+
+const stsResponse = (action, expiration = '2026-10-19T01:00:00Z') => `<${action}Response>
+  <${action}Result>
+    <Credentials>
+      <AccessKeyId>${action}-key-id</AccessKeyId>
+      <SecretAccessKey>${action}-secret</SecretAccessKey>
+      <SessionToken>${action}-token</SessionToken>
+      <Expiration>${expiration}</Expiration>
+    </Credentials>
+  </${action}Result>
+</${action}Response>`;
+
+const metadataResponse = (name, expiration = '2026-10-19T01:00:00Z') => ({
+  AccessKeyId: `${name}-key-id`,
+  SecretAccessKey: `${name}-secret`,
+  Token: `${name}-token`,
+  Expiration: expiration,
+});
+
+describe('Credentials Tests', () => {
+  let nock;
+  let clock;
+
+  beforeEach(() => {
+    nock = new Nock();
+    clock = sinon.useFakeTimers({
+      now: Date.parse('2026-10-19T00:00:00Z'),
+      toFake: ['Date'],
+    });
+    CREDENTIAL_CACHE.clear();
+  });
+
+  afterEach(() => {
+    clock.restore();
+    nock.done();
+    CREDENTIAL_CACHE.clear();
+  });
+
+  const env = {
+    AWS_ACCESS_KEY_ID: 'aws-access-key-id',
+    AWS_SECRET_ACCESS_KEY: 'aws-secret-access-key',
+    AWS_SESSION_TOKEN: 'aws-session-token',
+  };
+
+  const runtime = { region: 'us-east-1', accountId: '123456789012' };
+
+  const sts = (region = 'us-east-1') => nock(`https://sts.${region}.amazonaws.com`).post('/');
+
+  const imds = () => nock('http://169.254.169.254')
+    .put('/latest/api/token')
+    .matchHeader('x-aws-ec2-metadata-token-ttl-seconds', '21600');
+
+  it('parses roles', () => {
+    assert.deepStrictEqual(parseRoles(), {});
+    assert.deepStrictEqual(parseRoles(`{"210987654321":"${ROLE_ARN}"}`), { 210987654321: ROLE_ARN });
+    assert.throws(() => parseRoles('[]'), /Cross-account roles must be an object/);
+    assert.throws(() => parseRoles('null'), /Cross-account roles must be an object/);
+  });
+
+  it('returns credentials in the environment', async () => {
+    const context = { env: { ...env, AWS_ACCOUNT_ROLES: `{"210987654321":"${ROLE_ARN}"}` }, runtime };
+    const expected = {
+      accessKeyId: 'aws-access-key-id',
+      secretAccessKey: 'aws-secret-access-key',
+      sessionToken: 'aws-session-token',
+    };
+    assert.deepStrictEqual(await resolveCredentials(context), expected);
+    assert.deepStrictEqual(await resolveCredentials(context, '123456789012'), expected);
+    assert.strictEqual(CREDENTIAL_CACHE.size, 0);
+  });
+
+  it('assumes a role with a web identity', async () => {
+    sts('eu-west-1').reply((_, body) => {
+      assert.deepStrictEqual(Object.fromEntries(new URLSearchParams(body)), {
+        Version: '2011-06-15',
+        Action: 'AssumeRoleWithWebIdentity',
+        RoleArn: 'arn:aws:iam::123456789012:role/eks-feeder',
+        RoleSessionName: 'helix-datadog-feeder',
+        WebIdentityToken: 'web-identity-token',
+      });
+      return [200, stsResponse('AssumeRoleWithWebIdentity')];
+    });
+
+    const context = {
+      env: {
+        AWS_REGION: 'eu-west-1',
+        AWS_WEB_IDENTITY_TOKEN_FILE: TOKEN_FILE,
+        AWS_ROLE_ARN: 'arn:aws:iam::123456789012:role/eks-feeder',
+      },
+      runtime,
+    };
+    const expected = {
+      accessKeyId: 'AssumeRoleWithWebIdentity-key-id',
+      secretAccessKey: 'AssumeRoleWithWebIdentity-secret',
+      sessionToken: 'AssumeRoleWithWebIdentity-token',
+      expiration: Date.parse('2026-10-19T01:00:00Z'),
+    };
+    assert.deepStrictEqual(await resolveCredentials(context), expected);
+    assert.deepStrictEqual(await resolveCredentials(context), expected);
+  });
+
+  it('uses the session name configured for a web identity', async () => {
+    sts().reply((_, body) => {
+      assert.strictEqual(new URLSearchParams(body).get('RoleSessionName'), 'my-session');
+      return [200, stsResponse('AssumeRoleWithWebIdentity')];
+    });
+
+    const context = {
+      env: {
+        AWS_WEB_IDENTITY_TOKEN_FILE: TOKEN_FILE,
+        AWS_ROLE_ARN: 'arn:aws:iam::123456789012:role/eks-feeder',
+        AWS_ROLE_SESSION_NAME: 'my-session',
+      },
+      runtime,
+    };
+    await resolveCredentials(context);
+  });
+
+  it('reports a web identity that is not accepted', async () => {
+    sts().reply(403, 'AccessDenied');
+
+    const context = {
+      env: {
+        AWS_WEB_IDENTITY_TOKEN_FILE: TOKEN_FILE,
+        AWS_ROLE_ARN: 'arn:aws:iam::123456789012:role/eks-feeder',
+      },
+    };
+    await assert.rejects(
+      resolveCredentials(context),
+      /Failed to invoke AssumeRoleWithWebIdentity with status: 403\nAccessDenied/,
+    );
+  });
+
+  it('fetches container credentials by relative URI', async () => {
+    nock('http://169.254.170.2')
+      .get('/v2/credentials/abc')
+      .reply(200, metadataResponse('container'));
+
+    const context = { env: { AWS_CONTAINER_CREDENTIALS_RELATIVE_URI: '/v2/credentials/abc' } };
+    assert.deepStrictEqual(await resolveCredentials(context), {
+      accessKeyId: 'container-key-id',
+      secretAccessKey: 'container-secret',
+      sessionToken: 'container-token',
+      expiration: Date.parse('2026-10-19T01:00:00Z'),
+    });
+  });
+
+  it('fetches container credentials by full URI with an authorization token', async () => {
+    nock('http://localhost:8080')
+      .get('/credentials')
+      .matchHeader('authorization', 'container-auth')
+      .reply(200, metadataResponse('container'));
+    nock('http://localhost:8080')
+      .get('/credentials')
+      .matchHeader('authorization', 'web-identity-token')
+      .reply(200, metadataResponse('container'));
+
+    const env1 = {
+      AWS_CONTAINER_CREDENTIALS_FULL_URI: 'http://localhost:8080/credentials',
+      AWS_CONTAINER_AUTHORIZATION_TOKEN: 'container-auth',
+    };
+    assert.strictEqual((await resolveCredentials({ env: env1 })).accessKeyId, 'container-key-id');
+
+    CREDENTIAL_CACHE.clear();
+    const env2 = {
+      AWS_CONTAINER_CREDENTIALS_FULL_URI: 'http://localhost:8080/credentials',
+      AWS_CONTAINER_AUTHORIZATION_TOKEN_FILE: TOKEN_FILE,
+    };
+    assert.strictEqual((await resolveCredentials({ env: env2 })).accessKeyId, 'container-key-id');
+  });
+
+  it('caches credentials without expiration', async () => {
+    const credentials = metadataResponse('container');
+    delete credentials.Expiration;
+    nock('http://169.254.170.2')
+      .get('/v2/credentials/abc')
+      .reply(200, credentials);
+
+    const context = { env: { AWS_CONTAINER_CREDENTIALS_RELATIVE_URI: '/v2/credentials/abc' } };
+    await resolveCredentials(context);
+    clock.tick(24 * 3600_000);
+    assert.deepStrictEqual(await resolveCredentials(context), {
+      accessKeyId: 'container-key-id',
+      secretAccessKey: 'container-secret',
+      sessionToken: 'container-token',
+      expiration: undefined,
+    });
+  });
+
+  it('reports a container credentials endpoint that fails', async () => {
+    nock('http://169.254.170.2')
+      .get('/v2/credentials/abc')
+      .reply(500, 'boom');
+
+    const context = { env: { AWS_CONTAINER_CREDENTIALS_RELATIVE_URI: '/v2/credentials/abc' } };
+    await assert.rejects(
+      resolveCredentials(context),
+      /Failed to fetch container credentials with status: 500\nboom/,
+    );
+  });
+
+  it('fetches instance credentials and renews them before they expire', async () => {
+    imds().twice().reply(200, 'imds-token');
+    nock('http://169.254.169.254')
+      .get('/latest/meta-data/iam/security-credentials/')
+      .twice()
+      .matchHeader('x-aws-ec2-metadata-token', 'imds-token')
+      .reply(200, 'instance-role');
+    nock('http://169.254.169.254')
+      .get('/latest/meta-data/iam/security-credentials/instance-role')
+      .matchHeader('x-aws-ec2-metadata-token', 'imds-token')
+      .reply(200, metadataResponse('instance'));
+    nock('http://169.254.169.254')
+      .get('/latest/meta-data/iam/security-credentials/instance-role')
+      .reply(200, metadataResponse('renewed', '2026-10-19T02:00:00Z'));
+
+    const context = { env: {} };
+    assert.strictEqual((await resolveCredentials(context)).accessKeyId, 'instance-key-id');
+    clock.tick(54 * 60_000);
+    assert.strictEqual((await resolveCredentials(context)).accessKeyId, 'instance-key-id');
+    clock.tick(60_000);
+    assert.strictEqual((await resolveCredentials(context)).accessKeyId, 'renewed-key-id');
+  });
+
+  it('reports missing credentials if the instance metadata service is not available', async () => {
+    const context = { env: {} };
+    const message = /Missing AWS configuration \(no credentials in environment, web identity, container or instance metadata\)/;
+
+    imds().replyWithError('connect EHOSTUNREACH');
+    await assert.rejects(resolveCredentials(context), message);
+
+    imds().reply(403);
+    await assert.rejects(resolveCredentials(context), message);
+
+    imds().reply(200, 'imds-token');
+    nock('http://169.254.169.254')
+      .get('/latest/meta-data/iam/security-credentials/')
+      .reply(404);
+    await assert.rejects(resolveCredentials(context), message);
+
+    imds().reply(200, 'imds-token');
+    nock('http://169.254.169.254')
+      .get('/latest/meta-data/iam/security-credentials/')
+      .reply(200, 'instance-role');
+    nock('http://169.254.169.254')
+      .get('/latest/meta-data/iam/security-credentials/instance-role')
+      .reply(404);
+    await assert.rejects(resolveCredentials(context), message);
+
+    await assert.rejects(
+      resolveCredentials({ env: { AWS_EC2_METADATA_DISABLED: 'true' } }),
+      message,
+    );
+  });
+
+  it('assumes the role configured for another account', async () => {
+    sts().reply(function reply(_, body) {
+      assert.match(this.req.headers.authorization, /Credential=aws-access-key-id\//);
+      assert.deepStrictEqual(Object.fromEntries(new URLSearchParams(body)), {
+        Version: '2011-06-15',
+        Action: 'AssumeRole',
+        RoleArn: ROLE_ARN,
+        RoleSessionName: 'helix-datadog-feeder',
+      });
+      return [200, stsResponse('AssumeRole')];
+    });
+
+    const context = {
+      env: { ...env, AWS_ACCOUNT_ROLES: `{"210987654321":"${ROLE_ARN}"}` },
+      runtime,
+    };
+    const expected = {
+      accessKeyId: 'AssumeRole-key-id',
+      secretAccessKey: 'AssumeRole-secret',
+      sessionToken: 'AssumeRole-token',
+      expiration: Date.parse('2026-10-19T01:00:00Z'),
+    };
+    assert.deepStrictEqual(await resolveCredentials(context, '210987654321'), expected);
+    assert.deepStrictEqual(await resolveCredentials(context, '210987654321'), expected);
+  });
+
+  it('reports a role that returns no credentials', async () => {
+    sts().reply(200, '<AssumeRoleResponse></AssumeRoleResponse>');
+
+    const context = { env: { ...env, AWS_ACCOUNT_ROLES: `{"210987654321":"${ROLE_ARN}"}` } };
+    await assert.rejects(
+      resolveCredentials(context, '210987654321'),
+      /No credentials returned by AssumeRole/,
+    );
+  });
+
+  it('rejects invalid cross-account roles', async () => {
+    const context = { env: { ...env, AWS_ACCOUNT_ROLES: '["no"]' } };
+    await assert.rejects(
+      resolveCredentials(context, '210987654321'),
+      /Cross-account roles must be an object/,
+    );
+  });
+});
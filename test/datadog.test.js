@@ -14,6 +14,8 @@
 import assert from 'assert';
 import { Nock } from './utils.js';
 import { DataDogLogger } from '../src/datadog.js';
+import { createRedactor } from '../src/redactor.js';
+import { Sampler } from '../src/sampling.js';
 
 describe('DataDog Feeder Tests', () => {
   let nock;
@@ -164,7 +166,7 @@ describe('DataDog Feeder Tests', () => {
           ddtags: 'version:1.0.0',
           hostname: 'lambda',
           level: 'INFO',
-          message: '{"inv":{"invocationId":"n/a","functionName":"/services/func/v1"},"message":"Task timed out after 60.07 seconds","level":"info"}',
+          message: '{"inv":{"invocationId":"n/a","functionName":"/services/func/v1"},"message":"Connection established","level":"info"}',
           service: 'arn:aws:lambda:us-east-1:123456789012:function:services--func',
           timestamp: 1668084827204,
         }]);
@@ -183,7 +185,7 @@ describe('DataDog Feeder Tests', () => {
         {
           timestamp: date.getTime(),
           extractedFields: {
-            event: 'Task timed out after 60.07 seconds\n\n',
+            event: 'Connection established\n\n',
           },
         },
       ]),
@@ -230,7 +232,7 @@ describe('DataDog Feeder Tests', () => {
     );
   });
 
-  it('forwards error when posting throws when all delays are consumed', async () => {
+  it('reports error when posting throws when all delays are consumed', async () => {
     nock.datadog()
       .twice()
       .replyWithError('that went wrong');
@@ -239,18 +241,19 @@ describe('DataDog Feeder Tests', () => {
       funcName: '/services/func/v1',
       service: 'aws-lambda',
     });
-    await assert.rejects(
-      async () => logger.sendEntries([{
-        timestamp: Date.now(),
-        extractedFields: {
-          event: 'INFO\tmessage\n',
-        },
-      }]),
-      /that went wrong/,
-    );
+    const { sent, chunks } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tmessage\n',
+      },
+    }]);
+    assert.strictEqual(sent, 0);
+    assert.strictEqual(chunks.length, 1);
+    assert.strictEqual(chunks[0].ok, false);
+    assert.match(chunks[0].error.message, /that went wrong/);
   });
 
-  it('throws when posting returns a bad status code', async () => {
+  it('reports error when posting returns a bad status code', async () => {
     nock.datadog()
       .reply(400, 'input malformed');
     const logger = new DataDogLogger({
@@ -258,18 +261,17 @@ describe('DataDog Feeder Tests', () => {
       funcName: '/services/func/v1',
       service: 'aws-lambda',
     });
-    await assert.rejects(
-      async () => logger.sendEntries([{
-        timestamp: Date.now(),
-        extractedFields: {
-          event: 'INFO\tmessage\n',
-        },
-      }]),
-      /Failed to send logs with status 400: input malformed/,
-    );
+    const { chunks } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tmessage\n',
+      },
+    }]);
+    assert.strictEqual(chunks[0].ok, false);
+    assert.match(chunks[0].error.message, /Failed to send logs with status 400: input malformed/);
   });
 
-  it('throws when posting returns an error other than FetchError', async () => {
+  it('reports error when posting returns an error other than FetchError', async () => {
     nock.datadog()
       .replyWithError(new TypeError('something went wrong'));
     const logger = new DataDogLogger({
@@ -277,14 +279,744 @@ describe('DataDog Feeder Tests', () => {
       funcName: '/services/func/v1',
       service: 'aws-lambda',
     });
-    await assert.rejects(
-      async () => logger.sendEntries([{
+    const { chunks } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tmessage\n',
+      },
+    }]);
+    assert.strictEqual(chunks[0].ok, false);
+    assert.match(String(chunks[0].error), /TypeError: something went wrong/);
+  });
+
+  it('splits entries into chunks respecting the maximum number of entries', async () => {
+    const received = [];
+    nock.datadog()
+      .times(3)
+      .reply((_, body) => {
+        received.push(body.map(({ message }) => JSON.parse(message).message));
+        return [202];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      limits: { maxEntries: 2 },
+    });
+    const { rejected, sent, chunks } = await logger.sendEntries(['a', 'b', 'c', 'd', 'e'].map((text) => ({
+      timestamp: Date.now(),
+      extractedFields: {
+        event: `INFO\t${text}\n`,
+      },
+    })));
+    assert.deepStrictEqual(received, [['a', 'b'], ['c', 'd'], ['e']]);
+    assert.deepStrictEqual(rejected, []);
+    assert.strictEqual(sent, 5);
+    assert.deepStrictEqual(chunks.map(({ ok, status, logEvents }) => ({
+      ok, status, count: logEvents.length,
+    })), [
+      { ok: true, status: 202, count: 2 },
+      { ok: true, status: 202, count: 2 },
+      { ok: true, status: 202, count: 1 },
+    ]);
+  });
+
+  it('splits entries into chunks respecting the maximum payload size', async () => {
+    const received = [];
+    nock.datadog()
+      .twice()
+      .reply((_, body) => {
+        received.push(body.length);
+        return [202];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      limits: { maxPayloadSize: 1500 },
+    });
+    const { sent, chunks } = await logger.sendEntries([1, 2, 3].map((i) => ({
+      timestamp: Date.now(),
+      extractedFields: {
+        event: `INFO\t${String(i).repeat(400)}\n`,
+      },
+    })));
+    assert.deepStrictEqual(received, [2, 1]);
+    assert.strictEqual(sent, 3);
+    assert.strictEqual(chunks.length, 2);
+  });
+
+  it('rejects entries that exceed the maximum entry size', async () => {
+    nock.datadog()
+      .reply((_, body) => {
+        assert.strictEqual(body.length, 1);
+        return [202];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      limits: { maxEntrySize: 500 },
+    });
+    const tooLarge = {
+      timestamp: Date.now(),
+      extractedFields: {
+        event: `INFO\t${'x'.repeat(500)}\n`,
+      },
+    };
+    const { rejected, sent } = await logger.sendEntries([tooLarge, {
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tsmall enough\n',
+      },
+    }]);
+    assert.deepStrictEqual(rejected, [tooLarge]);
+    assert.strictEqual(sent, 1);
+  });
+
+  it('continues sending chunks when one chunk fails', async () => {
+    nock.datadog()
+      .reply(400, 'input malformed')
+      .post('/api/v2/logs')
+      .reply(202);
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      limits: { maxEntries: 1 },
+    });
+    const { sent, chunks } = await logger.sendEntries(['a', 'b'].map((text) => ({
+      timestamp: Date.now(),
+      extractedFields: {
+        event: `INFO\t${text}\n`,
+      },
+    })));
+    assert.strictEqual(sent, 1);
+    assert.deepStrictEqual(chunks.map(({ ok }) => ok), [false, true]);
+  });
+
+  it('retries server errors and throttling until successful', async () => {
+    nock.datadog()
+      .reply(503, 'unavailable')
+      .post('/api/v2/logs')
+      .reply(429, 'slow down', { 'retry-after': '0' })
+      .post('/api/v2/logs')
+      .reply(429, 'slow down', { 'retry-after': new Date(Date.now() - 1000).toUTCString() })
+      .post('/api/v2/logs')
+      .reply(202);
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      retries: 3,
+    });
+    const { sent, chunks } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tmessage\n',
+      },
+    }]);
+    assert.strictEqual(sent, 1);
+    assert.strictEqual(chunks[0].status, 202);
+  });
+
+  it('reports status when retries for a server error are exhausted', async () => {
+    nock.datadog()
+      .twice()
+      .reply(500, 'internal error', { 'retry-after': 'whenever' });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      retryDelay: 2,
+    });
+    const { chunks } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tmessage\n',
+      },
+    }]);
+    assert.strictEqual(chunks[0].ok, false);
+    assert.strictEqual(chunks[0].status, 500);
+    assert.match(chunks[0].error.message, /Failed to send logs with status 500: internal error/);
+  });
+
+  it('does not retry when the invocation deadline is near', async () => {
+    nock.datadog()
+      .reply(503, 'unavailable');
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      retries: 5,
+      deadline: Date.now() + 1000,
+    });
+    const { chunks } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tmessage\n',
+      },
+    }]);
+    assert.strictEqual(chunks[0].status, 503);
+  });
+
+  it('does not retry when retries are disabled', async () => {
+    nock.datadog()
+      .replyWithError('that went wrong');
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      retries: 0,
+    });
+    const { chunks } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tmessage\n',
+      },
+    }]);
+    assert.strictEqual(chunks[0].ok, false);
+    assert.strictEqual(chunks[0].status, undefined);
+  });
+
+  it('sends structured entries with JSON messages promoted to attributes', async () => {
+    nock.datadog()
+      .reply((_, body) => {
+        assert.deepStrictEqual(body, [{
+          ddsource: 'aws-lambda',
+          hostname: 'lambda',
+          inv: {
+            invocationId: 'd12ddc0c-1f6b-51d7-be22-83b52c83d6da',
+            functionName: '/services/func/v1',
+          },
+          level: 'INFO',
+          logStream: '2022/10/28/[356]dbbf94bd5cb34f00aa764103d8ed78f2',
+          message: 'fetched resource',
+          project: 'owner/repo',
+          duration: 42,
+          service: 'aws-lambda',
+          timestamp: 1668084827204,
+        }, {
+          ddsource: 'aws-lambda',
+          hostname: 'lambda',
+          inv: {
+            invocationId: 'd12ddc0c-1f6b-51d7-be22-83b52c83d6da',
+            functionName: '/services/func/v1',
+          },
+          level: 'WARN',
+          logStream: '2022/10/28/[356]dbbf94bd5cb34f00aa764103d8ed78f2',
+          message: '{"status":404}',
+          status: 404,
+          service: 'aws-lambda',
+          timestamp: 1668084827204,
+        }, {
+          ddsource: 'aws-lambda',
+          hostname: 'lambda',
+          inv: {
+            invocationId: 'n/a',
+            functionName: '/services/func/v1',
+          },
+          level: 'ERROR',
+          logStream: '2022/10/28/[356]dbbf94bd5cb34f00aa764103d8ed78f2',
+          message: '{ this is not JSON }',
+          service: 'aws-lambda',
+          timestamp: 1668084827204,
+        }, {
+          ddsource: 'aws-lambda',
+          hostname: 'lambda',
+          inv: {
+            invocationId: 'n/a',
+            functionName: '/services/func/v1',
+          },
+          level: 'INFO',
+          logStream: '2022/10/28/[356]dbbf94bd5cb34f00aa764103d8ed78f2',
+          message: 'plain text',
+          service: 'aws-lambda',
+          timestamp: 1668084827204,
+        }]);
+        return [200];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      logStream: '2022/10/28/[356]dbbf94bd5cb34f00aa764103d8ed78f2',
+      format: 'structured',
+    });
+    const timestamp = new Date('2022-11-10T12:53:47.204Z').getTime();
+    const { sent } = await logger.sendEntries([{
+      timestamp,
+      extractedFields: {
+        request_id: 'd12ddc0c-1f6b-51d7-be22-83b52c83d6da',
+        event: 'INFO\t{"message":"fetched resource","project":"owner/repo","duration":42,"level":"debug","service":"other"}\n',
+      },
+    }, {
+      timestamp,
+      extractedFields: {
+        request_id: 'd12ddc0c-1f6b-51d7-be22-83b52c83d6da',
+        event: 'WARN\t{"status":404}\n',
+      },
+    }, {
+      timestamp,
+      extractedFields: {
+        event: 'ERROR\t{ this is not JSON }\n',
+      },
+    }, {
+      timestamp,
+      extractedFields: {
+        event: 'plain text\n',
+      },
+    }]);
+    assert.strictEqual(sent, 4);
+  });
+
+  it('sends structured entries without log stream', async () => {
+    nock.datadog()
+      .reply((_, body) => {
+        assert.deepStrictEqual(body, [{
+          ddsource: 'aws-lambda',
+          hostname: 'lambda',
+          inv: {
+            invocationId: 'n/a',
+            functionName: '/services/func/v1',
+          },
+          level: 'INFO',
+          message: 'plain text',
+          service: 'aws-lambda',
+          timestamp: 1668084827204,
+        }]);
+        return [200];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      format: 'structured',
+    });
+    await logger.sendEntries([{
+      timestamp: new Date('2022-11-10T12:53:47.204Z').getTime(),
+      extractedFields: {
+        event: 'plain text\n',
+      },
+    }]);
+  });
+
+  it('submits REPORT lines as metrics', async () => {
+    nock('https://api.datadoghq.com')
+      .post('/api/v2/series')
+      .reply((_, body) => {
+        assert.deepStrictEqual(body.series.map(({ metric, points, tags }) => ({
+          metric, points, tags,
+        })), [{
+          metric: 'helix.lambda.duration',
+          points: [{ timestamp: 1668084827, value: 26.25 }],
+          tags: ['function_name:services--func', 'major_version:v1', 'version:1.0.0', 'alias:v1', 'cold_start:false'],
+        }, {
+          metric: 'helix.lambda.max_memory_used',
+          points: [{ timestamp: 1668084827, value: 70 }],
+          tags: ['function_name:services--func', 'major_version:v1', 'version:1.0.0', 'alias:v1', 'cold_start:false'],
+        }]);
+        return [202];
+      });
+    nock.datadog()
+      .reply((_, body) => {
+        assert.strictEqual(body.length, 1);
+        return [202];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'arn:aws:lambda:us-east-1:123456789012:function:services--func',
+      alias: { major: 'v1', full: '1.0.0' },
+      level: 'debug',
+      reportMetrics: true,
+    });
+    const { sent } = await logger.sendEntries([{
+      timestamp: new Date('2022-11-10T12:53:47.204Z').getTime(),
+      message: 'REPORT RequestId: 2c17c779-5002-4479-8cf4-7b037c1463a4\tDuration: 26.25 ms\tMax Memory Used: 70 MB\t\n',
+    }]);
+    assert.strictEqual(sent, 1);
+  });
+
+  it('drops REPORT log lines when disabled, and ignores metric failures', async () => {
+    nock('https://www.example.com')
+      .post('/api/v2/series')
+      .reply(403, 'forbidden');
+    nock.datadog()
+      .reply((_, body) => {
+        assert.deepStrictEqual(body.map(({ level }) => level), ['INFO']);
+        return [202];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      level: 'debug',
+      metricsUrl: 'https://www.example.com',
+      reportMetrics: true,
+      reportLogs: false,
+    });
+    const { rejected, sent } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      message: 'REPORT RequestId: 2c17c779-5002-4479-8cf4-7b037c1463a4\tDuration: 26.25 ms\tInit Duration: 145.09 ms\t\n',
+    }, {
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tmessage\n',
+      },
+    }]);
+    assert.deepStrictEqual(rejected, []);
+    assert.strictEqual(sent, 1);
+  });
+
+  it('redacts messages and drops entries before sending', async () => {
+    nock.datadog()
+      .reply((_, body) => {
+        assert.strictEqual(body.length, 1);
+        assert.strictEqual(JSON.parse(body[0].message).message, 'login by [REDACTED:email] from [REDACTED:ipv4]');
+        return [202];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'arn:aws:lambda:us-east-1:123456789012:function:services--func',
+      redactor: createRedactor({
+        detectors: 'email,ipv4',
+        rules: JSON.stringify([{ name: 'password', pattern: 'password=', action: 'drop' }]),
+      }),
+    });
+    const { sent, rejected, redactions } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tlogin by jane@example.com from 10.0.0.1\n',
+      },
+    }, {
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tpassword=hunter2\n',
+      },
+    }, {
+      timestamp: Date.now(),
+      message: 'no known pattern\n',
+    }]);
+    assert.strictEqual(sent, 1);
+    assert.strictEqual(rejected.length, 1);
+    assert.strictEqual(redactions, 3);
+  });
+
+  it('sends errors reported in messages as error attributes', async () => {
+    nock.datadog()
+      .reply((_, body) => {
+        assert.deepStrictEqual(body[0].error, {
+          kind: 'TypeError',
+          message: 'x is not a function',
+          stack: 'TypeError: x is not a function\n    at Runtime.handler (/var/task/index.js:3:9)',
+        });
+        assert.strictEqual(body[0].level, 'ERROR');
+        return [202];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      format: 'structured',
+    });
+    const { sent } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      message: '2024-11-24T14:44:34.542Z\t8c8b67c9-9ca3-4659-be83-30071e3045be\tERROR\tInvoke Error \t{"errorType":"TypeError","errorMessage":"x is not a function","stack":["TypeError: x is not a function","    at Runtime.handler (/var/task/index.js:3:9)"]}\n',
+    }]);
+    assert.strictEqual(sent, 1);
+  });
+
+  it('redacts errors reported in messages', async () => {
+    nock.datadog()
+      .reply((_, body) => {
+        const { error, level } = JSON.parse(body[0].message);
+        assert.deepStrictEqual(error, {
+          kind: 'Error',
+          message: 'no account for [REDACTED:email]',
+          stack: 'Error: no account for [REDACTED:email]\n    at Runtime.handler (/var/task/index.js:3:9)',
+        });
+        assert.strictEqual(level, 'error');
+        return [202];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      redactor: createRedactor({ detectors: 'email' }),
+    });
+    const { sent, redactions } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tError: no account for jane@example.com\n    at Runtime.handler (/var/task/index.js:3:9)\n',
+      },
+    }]);
+    assert.strictEqual(sent, 1);
+    assert.strictEqual(redactions, 1);
+  });
+
+  it('posts one event per failed invocation', async () => {
+    nock('https://api.datadoghq.com')
+      .post('/api/v1/events')
+      .reply((_, body) => {
+        assert.deepStrictEqual(body, {
+          title: '/services/func/v1 timed out',
+          text: 'Task timed out after 3.00 seconds',
+          alert_type: 'error',
+          date_happened: 1668084827,
+          aggregation_key: '/services/func/v1:3dca290b-7b88-47c9-8dbd-84f107ecf9e1',
+          source_type_name: 'amazon lambda',
+          tags: ['function_name:services--func', 'version:1.0.0', 'alias:1.0.0', 'failure_type:timeout'],
+        });
+        return [202];
+      })
+      .post('/api/v1/events')
+      .reply(403, 'forbidden');
+    nock.datadog()
+      .reply((_, body) => {
+        assert.deepStrictEqual(body.map(({ message }) => JSON.parse(message).failure), [
+          { type: 'timeout' }, { type: 'timeout' }, { type: 'out_of_memory' },
+        ]);
+        return [202];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'arn:aws:lambda:us-east-1:123456789012:function:services--func',
+      version: '1.0.0',
+      alias: { full: '1.0.0' },
+      failureEvents: true,
+    });
+    const timestamp = new Date('2022-11-10T12:53:47.204Z').getTime();
+    const { sent } = await logger.sendEntries([{
+      timestamp,
+      message: 'RequestId: 3dca290b-7b88-47c9-8dbd-84f107ecf9e1 Error: Task timed out after 3.00 seconds\n',
+    }, {
+      timestamp,
+      message: 'REPORT RequestId: 3dca290b-7b88-47c9-8dbd-84f107ecf9e1\tDuration: 3000.00 ms\tStatus: timeout\n',
+    }, {
+      timestamp,
+      message: 'RequestId: 66ce6204-7c13-50f6-a32c-3db39caefc6b Error: Runtime exited with error: signal: killed\n',
+    }]);
+    assert.strictEqual(sent, 3);
+  });
+
+  it('sends failures as structured attributes', async () => {
+    nock.datadog()
+      .reply((_, body) => {
+        assert.deepStrictEqual(body[0].failure, { type: 'runtime_exit' });
+        assert.strictEqual(body[0].level, 'ERROR');
+        return [202];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      format: 'structured',
+    });
+    await logger.sendEntries([{
+      timestamp: Date.now(),
+      message: 'RequestId: 66ce6204-7c13-50f6-a32c-3db39caefc6b Error: Runtime exited with error: exit status 1\n',
+    }]);
+  });
+
+  it('redacts the text of failure events', async () => {
+    nock('https://api.datadoghq.com')
+      .post('/api/v1/events')
+      .reply((_, body) => {
+        assert.strictEqual(body.text, 'Task timed out after 3.00 seconds for [REDACTED:email]');
+        return [202];
+      });
+    nock.datadog().reply(202);
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      failureEvents: true,
+      redactor: createRedactor({ detectors: 'email' }),
+    });
+    await logger.sendEntries([{
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'Task timed out after 3.00 seconds for jane@example.com\n',
+      },
+    }]);
+  });
+
+  it('samples entries by level and request id', async () => {
+    nock.datadog()
+      .reply((_, body) => {
+        assert.deepStrictEqual(body.map(({ message }) => JSON.parse(message).message), [
+          'warning', 'no request id',
+        ]);
+        return [202];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      sampler: new Sampler([{ levels: ['INFO'], rate: 0 }]),
+    });
+    const { sent, rejected } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      message: '2024-11-24T14:44:34.542Z\t03552aac-6ab8-419f-9136-63431d98ce95\tINFO\tinfo\n',
+    }, {
+      timestamp: Date.now(),
+      message: '2024-11-24T14:44:34.542Z\t03552aac-6ab8-419f-9136-63431d98ce95\tWARN\twarning\n',
+    }, {
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'INFO\tno request id\n',
+      },
+    }]);
+    assert.strictEqual(sent, 2);
+    assert.deepStrictEqual(rejected, []);
+  });
+
+  it('caps entries per invocation and sends a summary entry', async () => {
+    const first = '03552aac-6ab8-419f-9136-63431d98ce95';
+    const second = '2c17c779-5002-4479-8cf4-7b037c1463a4';
+    nock.datadog()
+      .reply((_, body) => {
+        const entries = body.map(({ level, message }) => [level, JSON.parse(message).message]);
+        assert.deepStrictEqual(entries, [
+          ['INFO', 'line 0'],
+          ['INFO', 'line 1'],
+          ['INFO', 'other'],
+          ['WARN', 'Dropped 2 of 4 entries, exceeding the maximum of 2 entries per invocation'],
+        ]);
+        assert.deepStrictEqual(JSON.parse(body[3].message).inv, {
+          invocationId: first,
+          functionName: '/services/func/v1',
+        });
+        assert.strictEqual(body[3].timestamp, 1732459477542);
+        return [202];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      sampler: new Sampler([{ maxEntries: 2 }]),
+    });
+    const { sent, chunks } = await logger.sendEntries([
+      ...[0, 1, 2, 3].map((i) => ({
+        timestamp: 1732459474542 + i * 1000,
+        message: `2024-11-24T14:44:34.542Z\t${first}\tINFO\tline ${i}\n`,
+      })),
+      {
+        timestamp: 1732459474542,
+        message: `2024-11-24T14:44:34.542Z\t${second}\tINFO\tother\n`,
+      },
+    ]);
+    assert.strictEqual(sent, 4);
+    assert.strictEqual(chunks[0].logEvents[3].message, `2024-11-24T14:44:37.542Z\t${first}\tWARN\tDropped 2 of 4 entries, exceeding the maximum of 2 entries per invocation\n`);
+  });
+
+  it('folds duplicate messages into one entry', async () => {
+    const requestId = '03552aac-6ab8-419f-9136-63431d98ce95';
+    nock.datadog()
+      .reply((_, body) => {
+        assert.strictEqual(body.length, 2);
+        assert.deepStrictEqual(body[0].repeat_count, 3);
+        assert.deepStrictEqual(body[0].first_timestamp, 1732459474542);
+        assert.deepStrictEqual(body[0].last_timestamp, 1732459476542);
+        assert.strictEqual(body[0].message, 'retry 0 failed');
+        assert.strictEqual(body[1].repeat_count, undefined);
+        return [503];
+      });
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      format: 'structured',
+      retries: 0,
+      dedupe: 'normalized',
+    });
+    const logEvents = [0, 1, 2].map((i) => ({
+      timestamp: 1732459474542 + i * 1000,
+      message: `2024-11-24T14:44:34.542Z\t${requestId}\tWARN\tretry ${i} failed\n`,
+    }));
+    logEvents.push({
+      timestamp: 1732459477542,
+      message: `2024-11-24T14:44:34.542Z\t${requestId}\tINFO\tdone\n`,
+    });
+    const { sent, chunks } = await logger.sendEntries(logEvents);
+    assert.strictEqual(sent, 0);
+    assert.deepStrictEqual(chunks[0].logEvents, logEvents);
+  });
+
+  it('rejects duplicates of entries that exceed the maximum entry size', async () => {
+    const logger = new DataDogLogger({
+      apiKey: 'foo-id',
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      limits: { maxEntrySize: 100 },
+      dedupe: 'exact',
+    });
+    const logEvents = [0, 1].map((i) => ({
+      timestamp: 1732459474542 + i,
+      extractedFields: {
+        event: `INFO\t${'x'.repeat(100)}\n`,
+      },
+    }));
+    const { sent, rejected } = await logger.sendEntries(logEvents);
+    assert.strictEqual(sent, 0);
+    assert.deepStrictEqual(rejected, logEvents);
+  });
+
+  it('refreshes the API key once after it was rejected', async () => {
+    nock.datadog().matchHeader('DD-API-KEY', 'old-key').reply(403, 'Forbidden');
+    nock.datadog().matchHeader('DD-API-KEY', 'new-key').reply(403, 'Forbidden');
+    nock('https://api.datadoghq.com')
+      .post('/api/v1/events')
+      .matchHeader('DD-API-KEY', 'new-key')
+      .reply(403, 'Forbidden');
+    let refreshed = 0;
+    const logger = new DataDogLogger({
+      apiKey: 'old-key',
+      refreshApiKey: async () => {
+        refreshed += 1;
+        return 'new-key';
+      },
+      funcName: '/services/func/v1',
+      service: 'aws-lambda',
+      failureEvents: true,
+    });
+    const { sent, chunks } = await logger.sendEntries([{
+      timestamp: Date.now(),
+      extractedFields: {
+        event: 'Task timed out after 3.00 seconds\n',
+      },
+    }]);
+    assert.strictEqual(sent, 0);
+    assert.strictEqual(chunks[0].status, 403);
+    assert.strictEqual(refreshed, 1);
+  });
+
+  it('does not post again if the API key can not be refreshed', async () => {
+    nock.datadog().matchHeader('DD-API-KEY', 'api-key').twice().reply(403, 'Forbidden');
+    const refreshApiKeys = [
+      async () => 'api-key',
+      async () => {
+        throw new Error('AccessDeniedException');
+      },
+    ];
+    for (const refreshApiKey of refreshApiKeys) {
+      const logger = new DataDogLogger({
+        apiKey: 'api-key',
+        refreshApiKey,
+        funcName: '/services/func/v1',
+        service: 'aws-lambda',
+      });
+      // eslint-disable-next-line no-await-in-loop
+      const { chunks } = await logger.sendEntries([{
         timestamp: Date.now(),
         extractedFields: {
           event: 'INFO\tmessage\n',
         },
-      }]),
-      /TypeError: something went wrong/,
-    );
+      }]);
+      assert.strictEqual(chunks[0].status, 403);
+    }
   });
 });
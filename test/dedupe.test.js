@@ -0,0 +1,93 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { extractFields } from '../src/extract-fields.js';
+import { dedupeEvents, normalizeMessage, parseDedupeMode } from '../src/dedupe.js';
+
+const FIRST = '03552aac-6ab8-419f-9136-63431d98ce95';
+const SECOND = '2c17c779-5002-4479-8cf4-7b037c1463a4';
+
+function dedupe(messages, mode) {
+  const logEvents = messages.map((message, i) => ({ timestamp: 1000 + i, message }));
+  return dedupeEvents(logEvents, logEvents.map((logEvent) => extractFields(logEvent)), mode);
+}
+
+describe('Dedupe Tests', () => {
+  it('parses the dedupe mode', () => {
+    assert.strictEqual(parseDedupeMode(), null);
+    assert.strictEqual(parseDedupeMode('exact'), 'exact');
+    assert.strictEqual(parseDedupeMode('normalized'), 'normalized');
+    assert.throws(() => parseDedupeMode('fuzzy'), /Unknown dedupe mode: fuzzy/);
+  });
+
+  it('normalizes messages', () => {
+    assert.strictEqual(
+      normalizeMessage(`retry 3 of 5 for ${FIRST} at 2024-11-24T14:44:34.542Z after 1.5s, etag 0x1f2e, sha 9f86d081884c7d65`),
+      'retry <num> of <num> for <uuid> at <time> after <num>s, etag <hex>, sha <hex>',
+    );
+  });
+
+  it('folds identical messages of the same request id and level', () => {
+    const { events, fieldsList, duplicates } = dedupe([
+      `START RequestId: ${FIRST} Version: $LATEST\n`,
+      `2024-11-24T14:44:34.542Z\t${FIRST}\tWARN\tretrying\n`,
+      `2024-11-24T14:44:34.642Z\t${FIRST}\tWARN\tretrying\n`,
+      `2024-11-24T14:44:34.742Z\t${FIRST}\tINFO\tretrying\n`,
+      `2024-11-24T14:44:34.842Z\t${SECOND}\tWARN\tretrying\n`,
+      `2024-11-24T14:44:34.942Z\t${FIRST}\tWARN\tretrying\n`,
+      'no known pattern\n',
+      'no known pattern\n',
+      `START RequestId: ${FIRST} Version: $LATEST\n`,
+    ], 'exact');
+    assert.strictEqual(events.length, 7);
+    assert.deepStrictEqual(fieldsList.map((fields) => fields?.repeat), [
+      undefined,
+      { count: 3, firstTimestamp: 1001, lastTimestamp: 1005 },
+      undefined, undefined, undefined, undefined, undefined,
+    ]);
+    const timestamps = duplicates.get(events[1]).map(({ timestamp }) => timestamp);
+    assert.deepStrictEqual(timestamps, [1002, 1005]);
+    assert.strictEqual(duplicates.size, 1);
+  });
+
+  it('folds normalized messages', () => {
+    const { events, fieldsList } = dedupe([
+      `2024-11-24T14:44:34.542Z\t${FIRST}\tWARN\tretry 1 of 5\n`,
+      `2024-11-24T14:44:34.642Z\t${FIRST}\tWARN\tretry 2 of 5\n`,
+    ], 'normalized');
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(fieldsList[0].message, 'retry 1 of 5');
+    assert.strictEqual(fieldsList[0].repeat.count, 2);
+
+    assert.strictEqual(dedupe([
+      `2024-11-24T14:44:34.542Z\t${FIRST}\tWARN\tretry 1 of 5\n`,
+      `2024-11-24T14:44:34.642Z\t${FIRST}\tWARN\tretry 2 of 5\n`,
+    ], 'exact').events.length, 2);
+  });
+
+  it('keeps the earliest and latest timestamps of events out of order', () => {
+    const logEvents = [3000, 1000, 5000].map((timestamp) => ({
+      timestamp,
+      message: `2024-11-24T14:44:34.542Z\t${FIRST}\tWARN\tretrying\n`,
+    }));
+    const { fieldsList } = dedupeEvents(
+      logEvents,
+      logEvents.map((logEvent) => extractFields(logEvent)),
+      'exact',
+    );
+    assert.deepStrictEqual(fieldsList[0].repeat, {
+      count: 3, firstTimestamp: 1000, lastTimestamp: 5000,
+    });
+  });
+});
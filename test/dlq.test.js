@@ -13,7 +13,9 @@
 /* eslint-env mocha */
 import assert from 'assert';
 import { Nock } from './utils.js';
-import { sendToDLQ } from '../src/dlq.js';
+import {
+  createDLQMessages, deleteFromDLQ, receiveFromDLQ, sendToDLQ,
+} from '../src/dlq.js';
 
 const DEFAULT_ENV = {
   AWS_ACCESS_KEY_ID: 'aws-access-key-id',
@@ -93,4 +95,93 @@ describe('DLQ Tests', () => {
       /Failed to send logs with status: 403/,
     );
   });
+
+  it('receives messages', async () => {
+    nock.sqs('ReceiveMessage')
+      .reply((_, body) => {
+        assert.deepStrictEqual(JSON.parse(body), {
+          QueueUrl: 'https://sqs.us-east-1.amazonaws.com/account-id/helix-datadog-feeder-dlq',
+          MaxNumberOfMessages: 5,
+          VisibilityTimeout: 60,
+        });
+        return [200, {
+          Messages: [{ MessageId: 'id', ReceiptHandle: 'handle', Body: '{}' }],
+        }];
+      });
+    const messages = await receiveFromDLQ(createContext(), 5);
+    assert.deepStrictEqual(messages, [{ MessageId: 'id', ReceiptHandle: 'handle', Body: '{}' }]);
+  });
+
+  it('receives no messages from an empty queue', async () => {
+    nock.sqs('ReceiveMessage')
+      .reply(200, {});
+    const messages = await receiveFromDLQ(createContext());
+    assert.deepStrictEqual(messages, []);
+  });
+
+  it('deletes messages', async () => {
+    nock.sqs('DeleteMessage')
+      .reply((_, body) => {
+        assert.strictEqual(JSON.parse(body).ReceiptHandle, 'handle');
+        return [200, ''];
+      });
+    await deleteFromDLQ(createContext(), 'handle');
+  });
+
+  it('throws when receiving messages fails', async () => {
+    nock.sqs('ReceiveMessage')
+      .reply(400, '{"__type":"com.amazon.coral.service#AccessDeniedException"}');
+    await assert.rejects(
+      async () => receiveFromDLQ(createContext()),
+      /Failed to invoke ReceiveMessage with status: 400/,
+    );
+  });
+
+  it('creates DLQ messages for failed chunks and rejected events', async () => {
+    const input = {
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[356]dbbf94bd5cb34f00aa764103d8ed78f2',
+    };
+    const messages = createDLQMessages(input, [{
+      sink: 'datadog',
+      rejected: [{ message: 'rejected' }],
+      chunks: [
+        { logEvents: [{ message: 'sent' }], ok: true, status: 202 },
+        {
+          logEvents: [{ message: 'failed' }], ok: false, status: 500, error: new Error('boom'),
+        },
+      ],
+    }, {
+      sink: 'archive',
+      rejected: [],
+      chunks: [
+        { logEvents: [{ message: 'sent' }], ok: false, error: new Error('no bucket') },
+      ],
+    }], 2);
+    assert.ok(messages.every(({ timestamp }) => timestamp));
+    assert.deepStrictEqual(messages.map((m) => ({ ...m, timestamp: undefined })), [{
+      ...input,
+      logEvents: [{ message: 'failed' }],
+      sink: 'datadog',
+      reason: 'boom',
+      status: 500,
+      attempt: 2,
+      timestamp: undefined,
+    }, {
+      ...input,
+      logEvents: [{ message: 'rejected' }],
+      sink: 'datadog',
+      reason: 'Rejected: no known pattern or entry too large',
+      attempt: 2,
+      timestamp: undefined,
+    }, {
+      ...input,
+      logEvents: [{ message: 'sent' }],
+      sink: 'archive',
+      reason: 'no bucket',
+      status: undefined,
+      attempt: 2,
+      timestamp: undefined,
+    }]);
+  });
 });
@@ -12,7 +12,14 @@
 
 /* eslint-env mocha */
 import assert from 'assert';
-import { extractFields } from '../src/extract-fields.js';
+import {
+  configureExtractors,
+  createRegexExtractor,
+  extractFields,
+  registerExtractor,
+  resetExtractors,
+  unregisterExtractor,
+} from '../src/extract-fields.js';
 
 describe('Extract Fields Tests', () => {
   it('handles INIT_START', async () => {
@@ -22,6 +29,7 @@ describe('Extract Fields Tests', () => {
     assert.deepStrictEqual(fields, {
       level: 'DEBUG',
       message: 'INIT_START Runtime Version: nodejs:22.v29\tRuntime Version ARN: arn:aws:lambda:us-east-1::runtime:f494bf5385768c1a5f722eae90b6dd3d343c96ba7ec22b34f5c819e3e8511722',
+      phase: 'INIT_START',
     });
   });
 
@@ -32,6 +40,7 @@ describe('Extract Fields Tests', () => {
     assert.deepStrictEqual(fields, {
       level: 'DEBUG',
       message: 'START Version: $LATEST',
+      phase: 'START',
       requestId: '03552aac-6ab8-419f-9136-63431d98ce95',
     });
   });
@@ -43,6 +52,7 @@ describe('Extract Fields Tests', () => {
     assert.deepStrictEqual(fields, {
       level: 'DEBUG',
       message: 'END',
+      phase: 'END',
       requestId: '03552aac-6ab8-419f-9136-63431d98ce95',
     });
   });
@@ -54,7 +64,16 @@ describe('Extract Fields Tests', () => {
     assert.deepStrictEqual(fields, {
       level: 'DEBUG',
       message: 'REPORT Duration: 26.25 ms\tBilled Duration: 27 ms\tMemory Size: 128 MB\tMax Memory Used: 70 MB\tInit Duration: 145.09 ms\t',
+      phase: 'REPORT',
       requestId: '2c17c779-5002-4479-8cf4-7b037c1463a4',
+      metrics: {
+        duration: 26.25,
+        billedDuration: 27,
+        memorySize: 128,
+        maxMemoryUsed: 70,
+        initDuration: 145.09,
+      },
+      status: 'success',
     });
   });
 
@@ -72,6 +91,48 @@ describe('Extract Fields Tests', () => {
     });
   });
 
+  it('handles standard log message containing tabs', async () => {
+    const fields = extractFields({
+      message: '2024-11-24T14:44:34.542Z\t8c8b67c9-9ca3-4659-be83-30071e3045be\tINFO\tname\tvalue\n',
+    });
+    assert.strictEqual(fields.message, 'name\tvalue');
+  });
+
+  it('handles INIT_REPORT', async () => {
+    const fields = extractFields({
+      message: 'INIT_REPORT Init Duration: 9999.61 ms\tPhase: init\tStatus: timeout\n',
+    });
+    assert.deepStrictEqual(fields, {
+      level: 'ERROR',
+      message: 'INIT_REPORT Init Duration: 9999.61 ms\tPhase: init\tStatus: timeout',
+      phase: 'INIT_REPORT',
+      status: 'timeout',
+      failure: { type: 'init_failure' },
+    });
+  });
+
+  it('handles INIT_REPORT of a successful initialization', async () => {
+    const fields = extractFields({
+      message: 'INIT_REPORT Init Duration: 120.50 ms\tPhase: invoke\t\n',
+    });
+    assert.strictEqual(fields.level, 'DEBUG');
+    assert.strictEqual(fields.status, 'success');
+  });
+
+  it('handles platform.initReport', async () => {
+    const fields = extractFields({
+      message: '{"time":"2024-11-24T14:44:34.000Z","type":"platform.initReport","record":{"initializationType":"on-demand","phase":"init","status":"error","errorType":"Runtime.ExitError","metrics":{"durationMs":120.5}}}',
+    });
+    assert.deepStrictEqual(fields, {
+      level: 'ERROR',
+      message: 'INIT_REPORT Init Duration: 120.50 ms\tPhase: init\tStatus: error\tError Type: Runtime.ExitError',
+      phase: 'INIT_REPORT',
+      status: 'error',
+      timestamp: '2024-11-24T14:44:34.000Z',
+      failure: { type: 'init_failure' },
+    });
+  });
+
   it('detects an generic service kill', async () => {
     const fields = extractFields({
       message: 'RequestId: 66ce6204-7c13-50f6-a32c-3db39caefc6b Error: Runtime exited with error: signal: killed Runtime.ExitError\n',
@@ -80,6 +141,7 @@ describe('Extract Fields Tests', () => {
       level: 'ERROR',
       message: 'Runtime exited with error: signal: killed Runtime.ExitError',
       requestId: '66ce6204-7c13-50f6-a32c-3db39caefc6b',
+      failure: { type: 'out_of_memory' },
     });
   });
 
@@ -90,7 +152,17 @@ describe('Extract Fields Tests', () => {
     assert.deepStrictEqual(fields, {
       level: 'ERROR',
       message: 'REPORT Duration: 3000.00 ms\tBilled Duration: 3000 ms\tMemory Size: 128 MB\tMax Memory Used: 70 MB\tInit Duration: 164.66 ms\tStatus: timeout',
+      phase: 'REPORT',
       requestId: '3dca290b-7b88-47c9-8dbd-84f107ecf9e1',
+      metrics: {
+        duration: 3000,
+        billedDuration: 3000,
+        memorySize: 128,
+        maxMemoryUsed: 70,
+        initDuration: 164.66,
+      },
+      status: 'timeout',
+      failure: { type: 'timeout' },
     });
   });
 
@@ -101,7 +173,16 @@ describe('Extract Fields Tests', () => {
     assert.deepStrictEqual(fields, {
       level: 'ERROR',
       message: 'REPORT Duration: 3000.00 ms\tBilled Duration: 3000 ms\tMemory Size: 128 MB\tMax Memory Used: 70 MB\tStatus: error\tError Type: Runtime.OutOfMemory',
+      phase: 'REPORT',
       requestId: '3dca290b-7b88-47c9-8dbd-84f107ecf9e1',
+      metrics: {
+        duration: 3000,
+        billedDuration: 3000,
+        memorySize: 128,
+        maxMemoryUsed: 70,
+      },
+      status: 'error',
+      failure: { type: 'out_of_memory' },
     });
   });
 
@@ -110,10 +191,11 @@ describe('Extract Fields Tests', () => {
       message: '2024-11-20T18:19:35.211Z\tfb732cef-3a5d-533a-ba09-73571cbf8624\tTask timed out after 900.09 seconds\n',
     });
     assert.deepStrictEqual(fields, {
-      level: 'INFO',
+      level: 'ERROR',
       message: 'Task timed out after 900.09 seconds',
       requestId: 'fb732cef-3a5d-533a-ba09-73571cbf8624',
       timestamp: '2024-11-20T18:19:35.211Z',
+      failure: { type: 'timeout' },
     });
   });
 
@@ -123,4 +205,440 @@ describe('Extract Fields Tests', () => {
     });
     assert.strictEqual(fields, null);
   });
+
+  it('handles JSON application log', async () => {
+    const fields = extractFields({
+      message: '{"timestamp":"2024-11-24T14:44:34.542Z","level":"WARN","requestId":"8c8b67c9-9ca3-4659-be83-30071e3045be","message":"Creating S3Client without credentials"}\n',
+    });
+    assert.deepStrictEqual(fields, {
+      level: 'WARN',
+      message: 'Creating S3Client without credentials',
+      requestId: '8c8b67c9-9ca3-4659-be83-30071e3045be',
+      timestamp: '2024-11-24T14:44:34.542Z',
+    });
+  });
+
+  it('handles JSON application log with FATAL level and object message', async () => {
+    const fields = extractFields({
+      message: '{"timestamp":"2024-11-24T14:44:34.542Z","level":"FATAL","message":{"reason":"gone"}}',
+    });
+    assert.deepStrictEqual(fields, {
+      level: 'ERROR',
+      message: '{"reason":"gone"}',
+      requestId: undefined,
+      timestamp: '2024-11-24T14:44:34.542Z',
+    });
+  });
+
+  it('handles platform.initStart', async () => {
+    const fields = extractFields({
+      message: '{"time":"2024-11-24T14:44:34.000Z","type":"platform.initStart","record":{"initializationType":"on-demand","phase":"init","runtimeVersion":"nodejs:22.v29","runtimeVersionArn":"arn:aws:lambda:us-east-1::runtime:f494bf"}}',
+    });
+    assert.deepStrictEqual(fields, {
+      level: 'DEBUG',
+      message: 'INIT_START Runtime Version: nodejs:22.v29\tRuntime Version ARN: arn:aws:lambda:us-east-1::runtime:f494bf',
+      phase: 'INIT_START',
+      timestamp: '2024-11-24T14:44:34.000Z',
+    });
+  });
+
+  it('handles platform.start', async () => {
+    const fields = extractFields({
+      message: '{"time":"2024-11-24T14:44:34.000Z","type":"platform.start","record":{"requestId":"03552aac-6ab8-419f-9136-63431d98ce95","version":"$LATEST"}}',
+    });
+    assert.deepStrictEqual(fields, {
+      level: 'DEBUG',
+      message: 'START Version: $LATEST',
+      phase: 'START',
+      requestId: '03552aac-6ab8-419f-9136-63431d98ce95',
+      timestamp: '2024-11-24T14:44:34.000Z',
+    });
+  });
+
+  it('handles platform.start without version', async () => {
+    const fields = extractFields({
+      message: '{"time":"2024-11-24T14:44:34.000Z","type":"platform.start","record":{"requestId":"03552aac-6ab8-419f-9136-63431d98ce95"}}',
+    });
+    assert.strictEqual(fields.message, 'START');
+  });
+
+  it('handles platform.runtimeDone', async () => {
+    const fields = extractFields({
+      message: '{"time":"2024-11-24T14:44:34.000Z","type":"platform.runtimeDone","record":{"requestId":"03552aac-6ab8-419f-9136-63431d98ce95","status":"success","metrics":{"durationMs":26.25,"producedBytes":0}}}',
+    });
+    assert.deepStrictEqual(fields, {
+      level: 'DEBUG',
+      message: 'END',
+      phase: 'END',
+      requestId: '03552aac-6ab8-419f-9136-63431d98ce95',
+      timestamp: '2024-11-24T14:44:34.000Z',
+    });
+  });
+
+  it('handles platform.report', async () => {
+    const fields = extractFields({
+      message: '{"time":"2024-11-24T14:44:34.000Z","type":"platform.report","record":{"requestId":"2c17c779-5002-4479-8cf4-7b037c1463a4","metrics":{"durationMs":26.25,"billedDurationMs":27,"memorySizeMB":128,"maxMemoryUsedMB":70,"initDurationMs":145.09},"status":"success"}}',
+    });
+    assert.deepStrictEqual(fields, {
+      level: 'DEBUG',
+      message: 'REPORT Duration: 26.25 ms\tBilled Duration: 27 ms\tMemory Size: 128 MB\tMax Memory Used: 70 MB\tInit Duration: 145.09 ms',
+      phase: 'REPORT',
+      requestId: '2c17c779-5002-4479-8cf4-7b037c1463a4',
+      timestamp: '2024-11-24T14:44:34.000Z',
+      metrics: {
+        duration: 26.25,
+        billedDuration: 27,
+        memorySize: 128,
+        maxMemoryUsed: 70,
+        initDuration: 145.09,
+      },
+      status: 'success',
+    });
+  });
+
+  it('handles platform.report with timeout', async () => {
+    const fields = extractFields({
+      message: '{"time":"2024-11-24T14:44:34.000Z","type":"platform.report","record":{"requestId":"3dca290b-7b88-47c9-8dbd-84f107ecf9e1","metrics":{"durationMs":3000,"billedDurationMs":3000,"memorySizeMB":128,"maxMemoryUsedMB":128},"status":"error","errorType":"Runtime.OutOfMemory"}}',
+    });
+    assert.deepStrictEqual(fields, {
+      level: 'ERROR',
+      message: 'REPORT Duration: 3000.00 ms\tBilled Duration: 3000 ms\tMemory Size: 128 MB\tMax Memory Used: 128 MB\tStatus: error\tError Type: Runtime.OutOfMemory',
+      phase: 'REPORT',
+      requestId: '3dca290b-7b88-47c9-8dbd-84f107ecf9e1',
+      timestamp: '2024-11-24T14:44:34.000Z',
+      metrics: {
+        duration: 3000,
+        billedDuration: 3000,
+        memorySize: 128,
+        maxMemoryUsed: 128,
+      },
+      status: 'error',
+      failure: { type: 'out_of_memory' },
+    });
+  });
+
+  it('handles platform.report without status', async () => {
+    const fields = extractFields({
+      message: '{"type":"platform.report","record":{"requestId":"3dca290b-7b88-47c9-8dbd-84f107ecf9e1","metrics":{"durationMs":3,"billedDurationMs":3,"memorySizeMB":128,"maxMemoryUsedMB":70}}}',
+    });
+    assert.strictEqual(fields.level, 'DEBUG');
+    assert.strictEqual(fields.status, 'success');
+  });
+
+  it('handles other platform records', async () => {
+    const fields = extractFields({
+      message: '{"time":"2024-11-24T14:44:34.000Z","type":"platform.logsDropped","record":{"droppedBytes":1024}}',
+    });
+    assert.deepStrictEqual(fields, {
+      level: 'DEBUG',
+      message: 'platform.logsDropped {"droppedBytes":1024}',
+      timestamp: '2024-11-24T14:44:34.000Z',
+    });
+  });
+
+  it('handles other platform records without record', async () => {
+    const fields = extractFields({
+      message: '{"type":"platform.telemetrySubscription"}',
+    });
+    assert.strictEqual(fields.message, 'platform.telemetrySubscription {}');
+  });
+
+  it('returns \'null\' for JSON messages with no known format', async () => {
+    assert.strictEqual(extractFields({ message: '{"foo":"bar"}' }), null);
+    assert.strictEqual(extractFields({ message: '{ this is not JSON }' }), null);
+  });
+
+  describe('Error Extractors', () => {
+    const requestId = '8c8b67c9-9ca3-4659-be83-30071e3045be';
+
+    it('handles Node.js Invoke Error', async () => {
+      const fields = extractFields({
+        message: `2024-11-24T14:44:34.542Z\t${requestId}\tERROR\tInvoke Error \t{"errorType":"TypeError","errorMessage":"x is not a function","stack":["TypeError: x is not a function","    at Runtime.handler (/var/task/index.js:3:9)"]}\n`,
+      });
+      assert.deepStrictEqual(fields, {
+        level: 'ERROR',
+        message: 'Invoke Error \t{"errorType":"TypeError","errorMessage":"x is not a function","stack":["TypeError: x is not a function","    at Runtime.handler (/var/task/index.js:3:9)"]}',
+        requestId,
+        timestamp: '2024-11-24T14:44:34.542Z',
+        error: {
+          kind: 'TypeError',
+          message: 'x is not a function',
+          stack: 'TypeError: x is not a function\n    at Runtime.handler (/var/task/index.js:3:9)',
+        },
+      });
+    });
+
+    it('handles Node.js Uncaught Exception outside of an invocation', async () => {
+      const fields = extractFields({
+        message: '2024-11-24T14:44:34.542Z\tundefined\tERROR\tUncaught Exception \t{"errorType":"Runtime.ImportModuleError","errorMessage":"Cannot find module \'index\'"}\n',
+      });
+      assert.deepStrictEqual(fields, {
+        level: 'ERROR',
+        message: 'Uncaught Exception \t{"errorType":"Runtime.ImportModuleError","errorMessage":"Cannot find module \'index\'"}',
+        requestId: undefined,
+        timestamp: '2024-11-24T14:44:34.542Z',
+        error: {
+          kind: 'Runtime.ImportModuleError',
+          message: 'Cannot find module \'index\'',
+          stack: undefined,
+        },
+        failure: { type: 'init_failure' },
+      });
+    });
+
+    it('ignores Node.js runtime errors that are not valid JSON', async () => {
+      const fields = extractFields({
+        message: `2024-11-24T14:44:34.542Z\t${requestId}\tWARN\tInvoke Error \t{ not JSON }\n`,
+      });
+      assert.strictEqual(fields.level, 'WARN');
+      assert.strictEqual(fields.error, undefined);
+    });
+
+    it('handles Node.js stack traces', async () => {
+      const fields = extractFields({
+        message: `2024-11-24T14:44:34.542Z\t${requestId}\tWARN\tfetch failed\nError: connect ECONNREFUSED\n    at TCPConnectWrap.afterConnect (node:net:1607:16) {\n  code: 'ECONNREFUSED'\n}\n`,
+      });
+      assert.deepStrictEqual(fields.level, 'ERROR');
+      assert.deepStrictEqual(fields.error, {
+        kind: 'Error',
+        message: 'connect ECONNREFUSED',
+        stack: 'Error: connect ECONNREFUSED\n    at TCPConnectWrap.afterConnect (node:net:1607:16) {\n  code: \'ECONNREFUSED\'\n}',
+      });
+    });
+
+    it('handles errors in JSON application logs', async () => {
+      const fields = extractFields({
+        message: `{"timestamp":"2024-11-24T14:44:34.542Z","level":"ERROR","requestId":"${requestId}","message":"Invoke Error","errorType":"Error","stackTrace":["Error","    at Runtime.handler (/var/task/index.js:3:9)"]}\n`,
+      });
+      assert.deepStrictEqual(fields, {
+        level: 'ERROR',
+        message: 'Invoke Error',
+        requestId,
+        timestamp: '2024-11-24T14:44:34.542Z',
+        error: {
+          kind: 'Error',
+          message: '',
+          stack: 'Error\n    at Runtime.handler (/var/task/index.js:3:9)',
+        },
+      });
+    });
+
+    it('handles Python runtime errors', async () => {
+      const fields = extractFields({
+        message: '[ERROR] ValueError: invalid literal for int(): \'a\'\nTraceback (most recent call last):\n  File "/var/task/app.py", line 3, in handler\n    return int(\'a\')\n',
+      });
+      assert.deepStrictEqual(fields, {
+        level: 'ERROR',
+        message: '[ERROR] ValueError: invalid literal for int(): \'a\'\nTraceback (most recent call last):\n  File "/var/task/app.py", line 3, in handler\n    return int(\'a\')\n',
+        error: {
+          kind: 'ValueError',
+          message: 'invalid literal for int(): \'a\'',
+          stack: 'Traceback (most recent call last):\n  File "/var/task/app.py", line 3, in handler\n    return int(\'a\')',
+        },
+      });
+    });
+
+    it('handles Python runtime error objects', async () => {
+      const fields = extractFields({
+        message: `{"errorMessage": "boom", "errorType": "KeyError", "requestId": "${requestId}", "stackTrace": ["  File \\"/var/task/app.py\\", line 3, in handler\\n    raise KeyError('boom')\\n"]}\n`,
+      });
+      assert.deepStrictEqual(fields.error, {
+        kind: 'KeyError',
+        message: 'boom',
+        stack: '  File "/var/task/app.py", line 3, in handler\n    raise KeyError(\'boom\')',
+      });
+      assert.strictEqual(fields.level, 'ERROR');
+    });
+
+    it('handles Python tracebacks in log messages', async () => {
+      const fields = extractFields({
+        message: `[WARNING]\t2024-11-24T14:44:34.542Z\t${requestId}\tretrying\nTraceback (most recent call last):\n  File "/var/task/app.py", line 3, in handler\n    time.sleep(1)\nKeyboardInterrupt\n`,
+      });
+      assert.deepStrictEqual(fields, {
+        level: 'ERROR',
+        message: 'retrying\nTraceback (most recent call last):\n  File "/var/task/app.py", line 3, in handler\n    time.sleep(1)\nKeyboardInterrupt',
+        requestId,
+        timestamp: '2024-11-24T14:44:34.542Z',
+        error: {
+          kind: 'KeyboardInterrupt',
+          message: '',
+          stack: 'Traceback (most recent call last):\n  File "/var/task/app.py", line 3, in handler\n    time.sleep(1)\nKeyboardInterrupt',
+        },
+      });
+    });
+
+    it('handles Python log messages', async () => {
+      const fields = extractFields({
+        message: `[INFO]\t2024-11-24T14:44:34.542Z\t${requestId}\tFound 3 items\n`,
+      });
+      assert.deepStrictEqual(fields, {
+        level: 'INFO',
+        message: 'Found 3 items',
+        requestId,
+        timestamp: '2024-11-24T14:44:34.542Z',
+      });
+    });
+
+    it('handles Java exceptions', async () => {
+      const fields = extractFields({
+        message: 'Exception in thread "main" java.lang.IllegalStateException: not ready\n\tat com.example.Handler.handleRequest(Handler.java:10)\nCaused by: java.io.IOException\n\tat com.example.Client.send(Client.java:42)\n',
+      });
+      assert.deepStrictEqual(fields, {
+        level: 'ERROR',
+        message: 'Exception in thread "main" java.lang.IllegalStateException: not ready\n\tat com.example.Handler.handleRequest(Handler.java:10)\nCaused by: java.io.IOException\n\tat com.example.Client.send(Client.java:42)\n',
+        error: {
+          kind: 'java.lang.IllegalStateException',
+          message: 'not ready',
+          stack: 'java.lang.IllegalStateException: not ready\n\tat com.example.Handler.handleRequest(Handler.java:10)\nCaused by: java.io.IOException\n\tat com.example.Client.send(Client.java:42)',
+        },
+      });
+    });
+
+    it('handles Java exceptions without message', async () => {
+      const fields = extractFields({
+        message: `2024-11-24T14:44:34.542Z\t${requestId}\tINFO\tjava.lang.NullPointerException\n\tat com.example.Handler.handleRequest(Handler.java:10)\n`,
+      });
+      assert.deepStrictEqual(fields.error, {
+        kind: 'java.lang.NullPointerException',
+        message: '',
+        stack: 'java.lang.NullPointerException\n\tat com.example.Handler.handleRequest(Handler.java:10)',
+      });
+    });
+
+    it('handles errors in extracted fields', async () => {
+      const fields = extractFields({
+        extractedFields: {
+          timestamp: '2024-11-24T14:44:34.542Z',
+          request_id: requestId,
+          event: 'INFO\tTypeError: x is not a function\n    at Runtime.handler (/var/task/index.js:3:9)',
+        },
+      });
+      assert.strictEqual(fields.level, 'ERROR');
+      assert.strictEqual(fields.error.kind, 'TypeError');
+    });
+  });
+
+  describe('Extractor Registry', () => {
+    afterEach(() => {
+      resetExtractors();
+    });
+
+    const nginx = {
+      message: '10.0.0.1 - GET /index.html 200\n',
+    };
+
+    it('uses a registered pattern extractor', async () => {
+      registerExtractor({
+        name: 'nginx',
+        pattern: /^(?<ip>\S+) - (?<text>.+)\n$/,
+        extract: ({ groups: { text } }) => ({ level: 'INFO', message: text }),
+      });
+      assert.deepStrictEqual(extractFields(nginx), {
+        level: 'INFO',
+        message: 'GET /index.html 200',
+      });
+    });
+
+    it('uses a registered predicate extractor', async () => {
+      registerExtractor({
+        test: ({ message }) => message.includes(' - ') && message.split(' - '),
+        extract: ([, text], { message }) => ({ level: 'WARN', message: `${text.trim()} (${message.length})` }),
+      });
+      assert.deepStrictEqual(extractFields(nginx), {
+        level: 'WARN',
+        message: 'GET /index.html 200 (31)',
+      });
+    });
+
+    it('tries extractors with higher priority first', async () => {
+      registerExtractor({
+        name: 'override',
+        priority: 10,
+        pattern: /^END /,
+        extract: () => ({ level: 'INFO', message: 'overridden' }),
+      });
+      assert.strictEqual(extractFields({
+        message: 'END RequestId: 03552aac-6ab8-419f-9136-63431d98ce95\n',
+      }).message, 'overridden');
+    });
+
+    it('replaces and unregisters extractors by name', async () => {
+      registerExtractor({
+        name: 'nginx',
+        pattern: /.*/,
+        extract: () => ({ level: 'INFO', message: 'first' }),
+      });
+      registerExtractor({
+        name: 'nginx',
+        pattern: /.*/,
+        extract: () => ({ level: 'INFO', message: 'second' }),
+      });
+      assert.strictEqual(extractFields(nginx).message, 'second');
+      assert.strictEqual(unregisterExtractor('nginx'), true);
+      assert.strictEqual(unregisterExtractor('nginx'), false);
+      assert.strictEqual(extractFields(nginx), null);
+    });
+
+    it('restricts extractors to log groups', async () => {
+      registerExtractor({
+        name: 'nginx',
+        pattern: /.*/,
+        extract: () => ({ level: 'INFO', message: 'matched' }),
+        logGroups: ['/aws/lambda/nginx-*', /^\/aws\/lambda\/proxy$/],
+      });
+      assert.strictEqual(extractFields(nginx, '/aws/lambda/nginx-edge').message, 'matched');
+      assert.strictEqual(extractFields(nginx, '/aws/lambda/proxy').message, 'matched');
+      assert.strictEqual(extractFields(nginx, '/aws/lambda/other'), null);
+      assert.strictEqual(extractFields(nginx), null);
+    });
+
+    it('rejects invalid extractors', async () => {
+      assert.throws(() => registerExtractor({ name: 'bad', pattern: /.*/ }), /Extractor bad needs an extract function/);
+      assert.throws(() => registerExtractor({ extract: () => null }), /Extractor needs either a pattern or a test function/);
+    });
+
+    it('creates extractors from regular expressions', async () => {
+      const extractor = createRegexExtractor({
+        name: 'nginx',
+        pattern: '^(?<requestId>\\S+) (?<level>warn|info) (?<message>.*)$',
+        flags: 'i',
+      });
+      registerExtractor(extractor);
+      assert.deepStrictEqual(extractFields({ message: 'abc warn disk almost full\n' }), {
+        level: 'WARN',
+        message: 'disk almost full',
+        requestId: 'abc',
+        timestamp: undefined,
+      });
+    });
+
+    it('configures extractors from JSON', async () => {
+      configureExtractors(JSON.stringify([{
+        pattern: '^\\d+\\.\\d+\\.\\d+\\.\\d+ - ',
+        level: 'debug',
+      }]));
+      assert.deepStrictEqual(extractFields(nginx), {
+        level: 'DEBUG',
+        message: '10.0.0.1 - ',
+        requestId: undefined,
+        timestamp: undefined,
+      });
+
+      // same configuration is ignored
+      unregisterExtractor('config-0');
+      configureExtractors(JSON.stringify([{
+        pattern: '^\\d+\\.\\d+\\.\\d+\\.\\d+ - ',
+        level: 'debug',
+      }]));
+      assert.strictEqual(extractFields(nginx), null);
+
+      // different configuration replaces previous one
+      configureExtractors(JSON.stringify([{ name: 'all', pattern: '.*' }]));
+      configureExtractors(JSON.stringify([{ name: 'other', pattern: '^other$' }]));
+      assert.strictEqual(extractFields(nginx), null);
+
+      configureExtractors();
+      assert.throws(() => configureExtractors('{}'), /Extractor configuration must be an array/);
+    });
+  });
 });
@@ -0,0 +1,72 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { extractFields } from '../src/extract-fields.js';
+import { classifyFailure, createFailureEvent } from '../src/failures.js';
+
+const REQUEST_ID = '3dca290b-7b88-47c9-8dbd-84f107ecf9e1';
+
+describe('Failures Tests', () => {
+  [
+    ['INIT_REPORT Init Duration: 9999.61 ms\tPhase: init\tStatus: timeout\n', 'init_failure'],
+    ['{"time":"2024-11-24T14:44:34.000Z","type":"platform.initReport","record":{"initializationType":"on-demand","phase":"invoke","status":"error","errorType":"Runtime.ExitError","metrics":{"durationMs":120.5}}}', 'init_failure'],
+    ['2024-11-24T14:44:34.542Z\tundefined\tERROR\tUncaught Exception \t{"errorType":"Runtime.HandlerNotFound","errorMessage":"index.handler is undefined or not exported"}\n', 'init_failure'],
+    [`RequestId: ${REQUEST_ID} Error: Task timed out after 3.00 seconds\n`, 'timeout'],
+    [`REPORT RequestId: ${REQUEST_ID}\tDuration: 3000.00 ms\tBilled Duration: 3000 ms\tMemory Size: 128 MB\tMax Memory Used: 70 MB\tStatus: timeout\n`, 'timeout'],
+    [`RequestId: ${REQUEST_ID} Error: Runtime exited with error: signal: killed\n`, 'out_of_memory'],
+    [`REPORT RequestId: ${REQUEST_ID}\tDuration: 3000.00 ms\tBilled Duration: 3000 ms\tMemory Size: 128 MB\tMax Memory Used: 128 MB\tStatus: error\tError Type: Runtime.OutOfMemory\n`, 'out_of_memory'],
+    [`RequestId: ${REQUEST_ID} Error: Runtime exited with error: exit status 1\n`, 'runtime_exit'],
+    [`REPORT RequestId: ${REQUEST_ID}\tDuration: 12.00 ms\tBilled Duration: 12 ms\tMemory Size: 128 MB\tMax Memory Used: 70 MB\tStatus: error\tError Type: Runtime.ExitError\n`, 'runtime_exit'],
+    ['{"time":"2024-11-24T14:44:34.000Z","type":"platform.initReport","record":{"initializationType":"snap-start","phase":"init","metrics":{"durationMs":120.5}}}', null],
+    [`REPORT RequestId: ${REQUEST_ID}\tDuration: 12.00 ms\tBilled Duration: 12 ms\tMemory Size: 128 MB\tMax Memory Used: 70 MB\t\n`, null],
+    [`2024-11-24T14:44:34.542Z\t${REQUEST_ID}\tERROR\tTypeError: x is not a function\n    at Runtime.handler (/var/task/index.js:3:9)\n`, null],
+  ].forEach(([message, type]) => {
+    it(`classifies ${message.substring(0, 60).trimEnd()} as ${type}`, () => {
+      const fields = extractFields({ message });
+      assert.deepStrictEqual(classifyFailure(fields), type && { type });
+      assert.deepStrictEqual(fields.failure, type ? { type } : undefined);
+      if (type) {
+        assert.strictEqual(fields.level, 'ERROR');
+      }
+    });
+  });
+
+  it('creates failure events', () => {
+    const event = createFailureEvent({
+      message: 'Task timed out after 3.00 seconds\n',
+      requestId: REQUEST_ID,
+      failure: { type: 'timeout' },
+    }, 1666708005982, '/services/func/v1', ['version:1.0.0']);
+    assert.deepStrictEqual(event, {
+      title: '/services/func/v1 timed out',
+      text: 'Task timed out after 3.00 seconds',
+      alert_type: 'error',
+      date_happened: 1666708005,
+      aggregation_key: `/services/func/v1:${REQUEST_ID}`,
+      source_type_name: 'amazon lambda',
+      tags: ['version:1.0.0', 'failure_type:timeout'],
+    });
+  });
+
+  it('truncates the text of failure events', () => {
+    const event = createFailureEvent({
+      message: `INIT_REPORT ${'x'.repeat(5000)}`,
+      failure: { type: 'init_failure' },
+    }, 1666708005982, '/services/func/v1', []);
+    assert.strictEqual(event.title, '/services/func/v1 failed to initialize');
+    assert.strictEqual(event.text.length, 4000);
+    assert.ok(event.text.endsWith('...'));
+    assert.strictEqual(event.aggregation_key, '/services/func/v1:init_failure');
+  });
+});
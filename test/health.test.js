@@ -0,0 +1,183 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import sinon from 'sinon';
+import { Request, Response } from '@adobe/fetch';
+import { Nock } from './utils.js';
+import { checkDependencies, dependencyStatus } from '../src/health.js';
+import { main } from '../src/index.js';
+import { SECRET_CACHE } from '../src/secrets.js';
+
+const DEFAULT_ENV = {
+  AWS_REGION: 'us-east-1',
+  AWS_ACCESS_KEY_ID: 'aws-access-key-id',
+  AWS_SECRET_ACCESS_KEY: 'aws-secret-access-key',
+  DATADOG_API_KEY: 'api-key',
+};
+
+const TEST_CONTEXT = (env = DEFAULT_ENV) => ({
+  invocation: {},
+  runtime: {
+    region: 'us-east-1',
+    accountId: 'account-id',
+  },
+  func: {
+    package: 'helix3',
+    name: 'datadog-feeder',
+    fqn: 'arn:aws:lambda:us-east-1:123456789012:function:helix3--datadog-feeder:1_2_3',
+  },
+  pathInfo: {
+    suffix: '/_status_check/healthcheck.json',
+  },
+  env,
+  log: console,
+});
+
+describe('Health Tests', () => {
+  let nock;
+  beforeEach(() => {
+    nock = new Nock();
+    SECRET_CACHE.clear();
+  });
+
+  afterEach(() => {
+    nock.done();
+  });
+
+  const validate = (url = 'https://api.datadoghq.com') => nock(url)
+    .get('/api/v1/validate');
+  const listAliases = () => nock('https://lambda.us-east-1.amazonaws.com')
+    .get('/2015-03-31/functions/helix3--datadog-feeder/aliases?MaxItems=1');
+
+  it('reports status and latency of every dependency', async () => {
+    validate()
+      .matchHeader('DD-API-KEY', 'api-key')
+      .reply(200, { valid: true });
+    nock.sqs('GetQueueAttributes')
+      .reply((_, body) => {
+        assert.deepStrictEqual(JSON.parse(body), {
+          QueueUrl: 'https://sqs.us-east-1.amazonaws.com/account-id/helix-datadog-feeder-dlq',
+          AttributeNames: ['ApproximateNumberOfMessages'],
+        });
+        return [200, { Attributes: { ApproximateNumberOfMessages: '3' } }];
+      });
+    listAliases().reply(200, { Aliases: [] });
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT());
+    assert.strictEqual(res.status, 200);
+    const { status, checks } = await res.json();
+    assert.strictEqual(status, 'OK');
+    assert.deepStrictEqual(Object.keys(checks).sort(), ['aliases', 'datadog', 'dlq']);
+    Object.values(checks).forEach((check) => {
+      assert.strictEqual(check.status, 'OK');
+      assert.strictEqual(typeof check.latency, 'number');
+    });
+    assert.strictEqual(checks.dlq.messages, 3);
+  });
+
+  it('fails if a dependency is not available', async () => {
+    validate().reply(403, '{"errors":["Forbidden"]}');
+    nock.sqs('GetQueueAttributes')
+      .reply(400, '{"__type":"com.amazonaws.sqs#QueueDoesNotExist"}');
+    listAliases().reply(403, 'AccessDeniedException');
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT());
+    assert.strictEqual(res.status, 502);
+    const { status, checks } = await res.json();
+    assert.strictEqual(status, 'failed');
+    assert.strictEqual(checks.datadog.status, 'failed');
+    assert.strictEqual(checks.datadog.error, 'default: Failed to validate API key with status 403: {"errors":["Forbidden"]}');
+    assert.match(checks.dlq.error, /Failed to invoke GetQueueAttributes with status: 400/);
+    assert.match(checks.aliases.error, /Failed to list aliases for helix3--datadog-feeder: 403/);
+  });
+
+  it('validates the API key of every route and loads secrets first', async () => {
+    nock('https://secretsmanager.us-east-1.amazonaws.com')
+      .post('/')
+      .reply(200, { SecretString: '{"DATADOG_API_KEY_EU":"eu-key"}' });
+    validate('https://api.datadoghq.eu')
+      .matchHeader('DD-API-KEY', 'eu-key')
+      .reply(200, { valid: true });
+    validate('https://api.us5.datadoghq.com')
+      .reply(403, 'Forbidden');
+    nock.sqs('GetQueueAttributes')
+      .reply(200, { Attributes: { ApproximateNumberOfMessages: '0' } });
+    listAliases().reply(200, { Aliases: [] });
+
+    const env = {
+      ...DEFAULT_ENV,
+      SECRETS_ARN: 'arn:aws:secretsmanager:us-east-1:123456789012:secret:settings',
+      DATADOG_ROUTES: JSON.stringify([{
+        logGroups: ['/aws/lambda/*-eu--*'],
+        apiKey: 'DATADOG_API_KEY_EU',
+        site: 'datadoghq.eu',
+      }, {
+        name: 'services',
+        functions: ['helix-services--*'],
+        site: 'us5',
+      }]),
+    };
+    delete env.DATADOG_API_KEY;
+    env.DATADOG_API_KEY_SERVICES = 'services-key';
+    const checks = await checkDependencies(TEST_CONTEXT(env));
+    assert.strictEqual(checks.secrets.status, 'OK');
+    assert.strictEqual(checks.datadog.error, 'services: No API key for route services');
+
+    const json = JSON.parse(env.DATADOG_ROUTES);
+    json[1].apiKey = 'DATADOG_API_KEY_SERVICES';
+    nock('https://secretsmanager.us-east-1.amazonaws.com')
+      .post('/')
+      .reply(400, 'AccessDeniedException');
+    nock.sqs('GetQueueAttributes')
+      .reply(200, { Attributes: { ApproximateNumberOfMessages: '0' } });
+    listAliases().reply(200, { Aliases: [] });
+    SECRET_CACHE.clear();
+    const failed = await checkDependencies(TEST_CONTEXT({
+      ...env,
+      DATADOG_ROUTES: JSON.stringify(json),
+    }));
+    assert.strictEqual(failed.secrets.status, 'failed');
+    assert.match(failed.datadog.error, /^route 0: No API key for route without name\nservices: Failed to validate API key with status 403/);
+  });
+
+  it('fails checks that time out', async () => {
+    const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    try {
+      validate().delay(20_000).reply(200, { valid: true });
+      nock.sqs('GetQueueAttributes')
+        .reply(200, { Attributes: { ApproximateNumberOfMessages: '0' } });
+      listAliases().reply(200, { Aliases: [] });
+
+      const promise = checkDependencies(TEST_CONTEXT());
+      await clock.tickAsync(10_000);
+      const checks = await promise;
+      assert.strictEqual(checks.datadog.error, 'Timed out after 10000 ms');
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('leaves other responses alone', async () => {
+    const resp = new Response('hello', { status: 200 });
+    const func = dependencyStatus(async () => resp);
+    assert.strictEqual(await func(new Request('https://localhost/'), { pathInfo: { suffix: '/' } }), resp);
+    assert.strictEqual(await func(new Request('https://localhost/'), {}), resp);
+
+    const failed = new Response('failed', { status: 502 });
+    assert.strictEqual(await dependencyStatus(async () => failed)(
+      new Request('https://localhost/'),
+      TEST_CONTEXT(),
+    ), failed);
+  });
+});
@@ -18,7 +18,10 @@ import util from 'util';
 import zlib from 'zlib';
 import { Request } from '@adobe/fetch';
 import { ALIAS_CACHE } from '../src/alias.js';
-import { main } from '../src/index.js';
+import { SECRET_CACHE } from '../src/secrets.js';
+import { CREDENTIAL_CACHE } from '../src/credentials.js';
+import { registerExtractor, resetExtractors } from '../src/extract-fields.js';
+import { main, MESSAGE_TYPE_COUNTS } from '../src/index.js';
 import { Nock } from './utils.js';
 
 const gzip = util.promisify(zlib.gzip);
@@ -37,9 +40,13 @@ describe('Index Tests', () => {
   beforeEach(() => {
     nock = new Nock();
     ALIAS_CACHE.clear();
+    SECRET_CACHE.clear();
+    CREDENTIAL_CACHE.clear();
+    MESSAGE_TYPE_COUNTS.clear();
   });
 
   afterEach(() => {
+    resetExtractors();
     nock.done();
   });
 
@@ -57,7 +64,8 @@ describe('Index Tests', () => {
     },
     func: {
       app: 'aws-account-id',
-      fqn: 'arn:aws:lambda:us-east-1:123456789012:function:datadog-feeder:1_2_3',
+      package: 'helix3',
+      fqn: 'arn:aws:lambda:us-east-1:123456789012:function:helix3--datadog-feeder:1_2_3',
       name: 'datadog-feeder',
     },
     env,
@@ -73,8 +81,10 @@ describe('Index Tests', () => {
   it('invokes index with payload', async () => {
     const payload = 'H4sIABDuMmkAA9WWTU8bMRCG7/yKKGc2mRl77HFuSAXUQ9sDnEoQctZOWCnZpLsboEL893pJwleLlCiiEnuyNR8ev/NovPcHnfR1Z7Gu/SSe/17E7qDT/XJ0fnT17fjs7Oj0uHu4cpnflrFqjYiiFRtDqN3GOJ1PTqv5ctHa+/627k/9bBR8/zpOi7usjtVNkcc6y4oyxLuU5jnsrKmin7VxBER9hD5x/8IYdSnWxrHRPgabazYgJmjwGKJBryXPN0nq5ajOq2LRFPPypJg2sapTuotH46PD+tDspWP30Xz5XMfxTSyb14H3T6tVmtBWqSwaEQVs0DKbJARqA1bIOiStEDWhQXEA4thoYeWSGTZKPWVriqR542etZGiMsSAA7ITe+K07sxEoQ8iIz1EPyAw091LAz2GD3mvnCLPcjSTTgHnmxspnYyInzo+EgYfN1+8nP4ZN8I0P88mgM54u6+uinHSws4hlaFdV/LVMVdW9Xm9Yvq043jWVz5sYToo4Da1UrwVaObUytsXud9hjrrXD1Ur4be74rywvhX5Xwu6ruIen3cPhtjQopcSJMCkLioGQWQugFWRHWpAUKbRW2ELabkWDAVa70GB6wLg3DfBXgzphXsYPA2Lr8/4fEysh92XCtN1WCjkNTGQhRieWjAGHWhw5q7mdEAma1GqNehsmMOWSHZhg7KWAxESw6GzMIUOPlJSyIROV64x9O6q851zDZ58Q29xxdxrWEu5Pg0s9VsaSEHB6FdKLZtEqdmiNKCHRWixoSE9fMr/F9h0aiHekgdjuTcNnmhAfxkQr5LtMrH4uDh7+APm1kT9eCQAA';
 
+    // the log group belongs to another account, so its aliases are listed by function ARN
+    const arn = encodeURIComponent('arn:aws:lambda:us-east-1:118435662149:function:helix-services--indexer');
     nock('https://lambda.us-east-1.amazonaws.com')
-      .get('/2015-03-31/functions/helix-services--indexer/aliases?FunctionVersion=663')
+      .get(`/2015-03-31/functions/${arn}/aliases?FunctionVersion=663`)
       .reply(200, {
         Aliases: [{
           Name: 'v4',
@@ -87,7 +97,7 @@ describe('Index Tests', () => {
       .reply((_, body) => {
         assert.deepStrictEqual(body, [{
           ddsource: 'aws-lambda',
-          ddtags: 'version:4.3.47',
+          ddtags: 'version:4.3.47,major_version:v4,alias:v4,aws_account:118435662149,region:us-east-1',
           hostname: 'lambda',
           level: 'INFO',
           service: 'arn:aws:lambda:us-east-1:123456789012:function:helix-services--indexer',
@@ -104,7 +114,7 @@ describe('Index Tests', () => {
           timestamp: 1666708005982,
         }, {
           ddsource: 'aws-lambda',
-          ddtags: 'version:4.3.47',
+          ddtags: 'version:4.3.47,major_version:v4,alias:v4,aws_account:118435662149,region:us-east-1',
           hostname: 'lambda',
           level: 'INFO',
           service: 'arn:aws:lambda:us-east-1:123456789012:function:helix-services--indexer',
@@ -121,7 +131,7 @@ describe('Index Tests', () => {
           timestamp: 1666708006053,
         }, {
           ddsource: 'aws-lambda',
-          ddtags: 'version:4.3.47',
+          ddtags: 'version:4.3.47,major_version:v4,alias:v4,aws_account:118435662149,region:us-east-1',
           hostname: 'lambda',
           level: 'INFO',
           service: 'arn:aws:lambda:us-east-1:123456789012:function:helix-services--indexer',
@@ -138,7 +148,7 @@ describe('Index Tests', () => {
           timestamp: 1666708011188,
         }, {
           ddsource: 'aws-lambda',
-          ddtags: 'version:4.3.47',
+          ddtags: 'version:4.3.47,major_version:v4,alias:v4,aws_account:118435662149,region:us-east-1',
           hostname: 'lambda',
           level: 'INFO',
           service: 'arn:aws:lambda:us-east-1:123456789012:function:helix-services--indexer',
@@ -190,6 +200,7 @@ describe('Index Tests', () => {
       .reply((_, body) => {
         assert.deepStrictEqual(body, [{
           ddsource: 'aws-lambda',
+          ddtags: 'aws_account:account-id,region:us-east-1',
           hostname: 'lambda',
           level: 'INFO',
           service: 'arn:aws:lambda:us-east-1:123456789012:function:services--func',
@@ -252,7 +263,7 @@ describe('Index Tests', () => {
       .reply((_, body) => {
         assert.deepStrictEqual(body, [{
           ddsource: 'aws-lambda',
-          ddtags: 'version:4.3.47',
+          ddtags: 'version:4.3.47,alias:4.3.47,aws_account:account-id,region:us-east-1',
           hostname: 'lambda',
           level: 'INFO',
           service: 'arn:aws:lambda:us-east-1:123456789012:function:services--func',
@@ -316,6 +327,7 @@ describe('Index Tests', () => {
       .reply((_, body) => {
         assert.deepStrictEqual(body, [{
           ddsource: 'aws-lambda',
+          ddtags: 'aws_account:account-id,region:us-east-1',
           hostname: 'lambda',
           level: 'INFO',
           service: 'arn:aws:lambda:us-east-1:123456789012:function:services--func',
@@ -345,8 +357,165 @@ describe('Index Tests', () => {
     );
   });
 
+  it('acknowledges control messages', async () => {
+    const payload = (await gzip(JSON.stringify({
+      messageType: 'CONTROL_MESSAGE',
+      owner: 'CloudwatchLogs',
+      logGroup: '',
+      logStream: '',
+      subscriptionFilters: [],
+      logEvents: [{
+        id: '',
+        timestamp: 1666708005982,
+        message: 'CWL CONTROL MESSAGE: Checking health of destination Firehose.',
+      }],
+    }))).toString('base64');
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload));
+    assert.strictEqual(res.status, 204);
+    assert.strictEqual(MESSAGE_TYPE_COUNTS.get('CONTROL_MESSAGE'), 1);
+  });
+
+  it('ignores payloads with unknown message type', async () => {
+    const payload = (await gzip(JSON.stringify({
+      messageType: 'SOMETHING_ELSE',
+      logGroup: '/aws/lambda/services--func',
+      logStream: 'unknown',
+      logEvents: [],
+    }))).toString('base64');
+
+    const context = TEST_CONTEXT(payload);
+    await main(new Request('https://localhost/'), context);
+    const res = await main(new Request('https://localhost/'), context);
+    assert.strictEqual(res.status, 204);
+    assert.strictEqual(MESSAGE_TYPE_COUNTS.get('SOMETHING_ELSE'), 2);
+  });
+
+  it('uses extractors declared in DATADOG_EXTRACTORS', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: 1666708005982,
+        message: '10.0.0.1 GET /index.html 200\n',
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog()
+      .reply((_, body) => {
+        assert.strictEqual(JSON.parse(body[0].message).message, 'GET /index.html 200');
+        return [202];
+      });
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      DATADOG_EXTRACTORS: JSON.stringify([{
+        name: 'access-log',
+        pattern: '^\\S+ (?<message>.+)$',
+        logGroups: ['/aws/lambda/services--*'],
+      }]),
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('uses extractors declared in DATADOG_EXTRACTORS for sinks other than DataDog', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: 1666708005982,
+        message: 'INFO custom line\n',
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock('https://collector.example.com')
+      .post('/logs')
+      .reply((_, body) => {
+        assert.strictEqual(body[0].message, 'custom line');
+        return [200];
+      });
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      DATADOG_EXTRACTORS: JSON.stringify([{ pattern: '^(?<level>[A-Z]+) (?<message>custom .*)$' }]),
+      LOG_SINKS: JSON.stringify([
+        { type: 'datadog', logGroups: ['/aws/lambda/other--*'] },
+        { type: 'http', name: 'collector', url: 'https://collector.example.com/logs' },
+      ]),
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('ignores invalid DATADOG_EXTRACTORS', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: 1666708005982,
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog()
+      .reply(202);
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      DATADOG_EXTRACTORS: 'not json',
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('replays the DLQ on the replay route', async () => {
+    nock.sqs('ReceiveMessage')
+      .reply((_, body) => {
+        assert.strictEqual(JSON.parse(body).MaxNumberOfMessages, 10);
+        return [200, {}];
+      });
+
+    const context = TEST_CONTEXT(null, {
+      ...DEFAULT_ENV,
+      DLQ_REPLAY_TOKEN: 'replay-token',
+    });
+    context.pathInfo = { suffix: '/replay' };
+    const res = await main(new Request('https://localhost/replay', {
+      method: 'POST',
+      headers: { authorization: 'Bearer replay-token' },
+    }), context);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), {
+      received: 0, replayed: 0, requeued: 0, dropped: 0, skipped: 0,
+    });
+  });
+
+  it('returns error when sending failed chunks to DLQ fails', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog()
+      .reply(400, 'input malformed');
+    nock('https://sqs.us-east-1.amazonaws.com')
+      .post('/')
+      .reply(403, 'forbidden');
+
+    await assert.rejects(
+      async () => main(new Request('https://localhost/'), TEST_CONTEXT(payload)),
+      /Failed to send logs with status: 403/,
+    );
+  });
+
   it('returns error when uncompressing fails', async () => {
-    const payload = 'this is not compressed'.toString('base64');
+    const payload = Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0x01, 0x02]).toString('base64');
 
     nock('https://sqs.us-east-1.amazonaws.com')
       .post('/')
@@ -362,7 +531,19 @@ describe('Index Tests', () => {
 `);
     await assert.rejects(
       async () => main(new Request('https://localhost/'), TEST_CONTEXT(payload)),
-      /incorrect header check/,
+      /unexpected end of file/,
+    );
+  });
+
+  it('returns error when uncompressing fails and DLQ is not available', async () => {
+    const payload = Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0x01, 0x02]).toString('base64');
+
+    nock('https://sqs.us-east-1.amazonaws.com')
+      .post('/')
+      .reply(403, 'forbidden');
+    await assert.rejects(
+      async () => main(new Request('https://localhost/'), TEST_CONTEXT(payload)),
+      /unexpected end of file/,
     );
   });
 
@@ -386,6 +567,144 @@ describe('Index Tests', () => {
     assert.strictEqual(await res.text(), 'No DATADOG_API_KEY set');
   });
 
+  it('loads the API key from Secrets Manager', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    const arn = 'arn:aws:secretsmanager:us-east-1:123456789012:secret:datadog-api-key-AbCdEf';
+    nock('https://secretsmanager.us-east-1.amazonaws.com')
+      .post('/')
+      .reply(200, { SecretString: 'old-key' });
+    nock('https://secretsmanager.us-east-1.amazonaws.com')
+      .post('/')
+      .reply(200, { SecretString: 'new-key' });
+    nock.datadog().matchHeader('DD-API-KEY', 'old-key').reply(403, 'Forbidden');
+    nock.datadog().matchHeader('DD-API-KEY', 'new-key').reply(202);
+
+    const env = { ...DEFAULT_ENV, DATADOG_API_KEY_ARN: arn };
+    delete env.DATADOG_API_KEY;
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, env));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('returns error when the API key can not be loaded', async () => {
+    nock('https://secretsmanager.us-east-1.amazonaws.com')
+      .post('/')
+      .reply(400, 'AccessDeniedException');
+
+    const env = {
+      ...DEFAULT_ENV,
+      DATADOG_API_KEY_ARN: 'arn:aws:secretsmanager:us-east-1:123456789012:secret:datadog-api-key-AbCdEf',
+    };
+    delete env.DATADOG_API_KEY;
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT('', env));
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(await res.text(), 'No DATADOG_API_KEY set');
+  });
+
+  it('routes log groups to the destination in DATADOG_ROUTES', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/helix-pipeline-eu--render',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog({ url: 'https://http-intake.logs.datadoghq.eu' })
+      .matchHeader('DD-API-KEY', 'eu-key')
+      .reply((_, body) => {
+        assert.strictEqual(body[0].ddtags, 'aws_account:account-id,region:us-east-1,env:prod,team:sites');
+        return [202];
+      });
+
+    const env = {
+      ...DEFAULT_ENV,
+      DATADOG_API_KEY_EU: 'eu-key',
+      DATADOG_TAGS: 'env:prod,team:helix',
+      DATADOG_ROUTES: JSON.stringify([{
+        logGroups: ['/aws/lambda/helix-pipeline-eu--*'],
+        apiKey: 'DATADOG_API_KEY_EU',
+        site: 'datadoghq.eu',
+        tags: 'team:sites',
+      }]),
+    };
+    delete env.DATADOG_API_KEY;
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, env));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('sends the input to the DLQ if the routing table is invalid', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock('https://sqs.us-east-1.amazonaws.com')
+      .post('/')
+      .reply((_, body) => {
+        const message = JSON.parse(new URLSearchParams(body).get('MessageBody'));
+        assert.strictEqual(message.reason, 'Routes must be an array');
+        return [200];
+      });
+
+    await assert.rejects(main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      DATADOG_ROUTES_FILE: resolve(__rootdir, 'test', 'fixtures', 'patternless.json'),
+      DATADOG_ROUTES: '{}',
+    })), /Routes must be an array/);
+  });
+
+  it('returns error when DATADOG_SITE is unknown', async () => {
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT('', {
+      ...DEFAULT_ENV,
+      DATADOG_SITE: 'eu1',
+    }));
+    assert.strictEqual(res.status, 500);
+    assert.match(await res.text(), /^Unknown DataDog site: eu1/);
+  });
+
+  it('sends to the intake of DATADOG_SITE', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog({ url: 'https://http-intake.logs.ap1.datadoghq.com' }).reply(202);
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      DATADOG_SITE: 'ap1',
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
   it('returns error when AWS environment is missing', async () => {
     const payload = (await gzip(JSON.stringify({
       logEvents: [{
@@ -407,7 +726,7 @@ describe('Index Tests', () => {
     );
   });
 
-  it('returns error when posting fails', async () => {
+  it('sends failed chunks to DLQ when posting fails', async () => {
     const payload = (await gzip(JSON.stringify({
       logEvents: [{
         timestamp: Date.now(),
@@ -434,7 +753,17 @@ describe('Index Tests', () => {
 
     nock('https://sqs.us-east-1.amazonaws.com')
       .post('/')
-      .reply(200, `<?xml version="1.0"?>
+      .reply((_, body) => {
+        const message = JSON.parse(new URLSearchParams(body).get('MessageBody'));
+        assert.strictEqual(message.logGroup, '/aws/lambda/services--func');
+        assert.strictEqual(message.logStream, '2022/10/28/[356]dbbf94bd5cb34f00aa764103d8ed78f2');
+        assert.strictEqual(message.logEvents.length, 1);
+        assert.match(message.reason, /that went wrong/);
+        assert.strictEqual(message.status, 403);
+        assert.strictEqual(message.sink, 'datadog');
+        assert.strictEqual(message.attempt, 1);
+        assert.ok(message.timestamp);
+        return [200, `<?xml version="1.0"?>
 <SendMessageResponse xmlns="http://queue.amazonaws.com/doc/2012-11-05/">
   <SendMessageResult>
     <MessageId>id</MessageId>
@@ -443,11 +772,429 @@ describe('Index Tests', () => {
     <RequestId>id</RequestId>
   </ResponseMetadata>
 </SendMessageResponse>
-`);
-    await assert.rejects(
-      async () => main(new Request('https://localhost/'), TEST_CONTEXT(payload)),
-      /that went wrong/,
-    );
+`];
+      });
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('fans out to the sinks in LOG_SINKS and sends their failures to DLQ', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog()
+      .reply(202);
+    nock('https://collector.example.com')
+      .post('/logs')
+      .reply(503, 'unavailable');
+    nock('https://sqs.us-east-1.amazonaws.com')
+      .post('/')
+      .reply((_, body) => {
+        const message = JSON.parse(new URLSearchParams(body).get('MessageBody'));
+        assert.strictEqual(message.sink, 'collector');
+        assert.strictEqual(message.status, 503);
+        assert.strictEqual(message.logEvents.length, 1);
+        return [200, '<SendMessageResponse/>'];
+      });
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      LOG_SINKS: JSON.stringify([
+        { type: 'http', name: 'collector', url: 'https://collector.example.com/logs' },
+        {
+          type: 'http', name: 'other', url: 'https://other.example.com/logs', logGroups: ['/aws/lambda/other--*'],
+        },
+      ]),
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('archives to S3 with credentials from the shared provider', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog()
+      .reply(202);
+    nock('http://169.254.170.2')
+      .get('/v2/credentials/abc')
+      .reply(200, {
+        AccessKeyId: 'container-key-id',
+        SecretAccessKey: 'container-secret',
+        Token: 'container-token',
+      });
+    nock('https://archive.s3.us-east-1.amazonaws.com')
+      .matchHeader('authorization', /Credential=container-key-id\//)
+      .put(/\/aws\/lambda\/services--func\//)
+      .reply(200);
+
+    const env = { ...DEFAULT_ENV, AWS_CONTAINER_CREDENTIALS_RELATIVE_URI: '/v2/credentials/abc' };
+    delete env.AWS_ACCESS_KEY_ID;
+    delete env.AWS_SECRET_ACCESS_KEY;
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...env,
+      LOG_SINKS: JSON.stringify([{ type: 's3', bucket: 'archive', region: 'us-east-1' }]),
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('exports to an OpenTelemetry collector if OTLP_API_URL is set', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[356]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock('https://lambda.us-east-1.amazonaws.com')
+      .get('/2015-03-31/functions/services--func/aliases?FunctionVersion=356')
+      .reply(200, {
+        Aliases: [{ Name: 'v4' }, { Name: '4_3_47' }],
+      });
+    nock.datadog()
+      .reply(202);
+    nock('https://otel.example.com')
+      .post('/v1/logs')
+      .reply((_, body) => {
+        const { attributes } = body.resourceLogs[0].resource;
+        assert.deepStrictEqual(attributes[0], { key: 'service.name', value: { stringValue: 'services--func' } });
+        assert.deepStrictEqual(attributes[1], { key: 'service.version', value: { stringValue: '4.3.47' } });
+        return [200];
+      });
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      OTLP_API_URL: 'https://otel.example.com',
+      OTLP_ENCODING: 'json',
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('does not send to DataDog if its sink configuration excludes the log group', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock('https://collector.example.com')
+      .post('/logs')
+      .reply(200);
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      OTLP_API_URL: 'https://otel.example.com',
+      LOG_SINKS: JSON.stringify([
+        { type: 'datadog', logGroups: ['/aws/lambda/other--*'] },
+        { type: 'otlp', logGroups: ['/aws/lambda/other--*'] },
+        { type: 'http', name: 'collector', url: 'https://collector.example.com/logs' },
+      ]),
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('sends all events to DLQ for every sink that throws', async () => {
+    registerExtractor({
+      name: 'broken',
+      priority: 1000,
+      pattern: /message/,
+      extract: () => {
+        throw new Error('broken extractor');
+      },
+    });
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        message: 'broken message\n',
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    const sinks = [];
+    nock('https://sqs.us-east-1.amazonaws.com')
+      .post('/')
+      .twice()
+      .reply((_, body) => {
+        const message = JSON.parse(new URLSearchParams(body).get('MessageBody'));
+        sinks.push(message.sink);
+        assert.strictEqual(message.reason, 'broken extractor');
+        return [200, '<SendMessageResponse/>'];
+      });
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      LOG_SINKS: JSON.stringify([{ type: 'http', url: 'https://collector.example.com/logs' }]),
+    }));
+    assert.strictEqual(res.status, 202);
+    assert.deepStrictEqual(sinks.sort(), ['datadog', 'http']);
+  });
+
+  it('redacts messages as configured in REDACT_DETECTORS', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tcalled with Bearer secret-token\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog()
+      .reply((_, body) => {
+        assert.strictEqual(JSON.parse(body[0].message).message, 'called with Bearer [bearer:930bbdc51b6aed5c]');
+        return [202];
+      });
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      REDACT_DETECTORS: 'bearer',
+      REDACT_ACTION: 'hash',
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('adds tags from DATADOG_TAGS and DATADOG_TAG_RULES', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog()
+      .reply((_, body) => {
+        assert.strictEqual(body[0].ddtags, 'aws_account:account-id,region:us-east-1,env:prod,team:sites,owner:services');
+        return [202];
+      });
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      DATADOG_TAGS: 'env:prod,team:helix',
+      DATADOG_TAG_RULES: JSON.stringify([
+        { logGroups: ['/aws/lambda/services--*'], tags: 'team:sites,owner:services' },
+        { logGroups: ['/aws/lambda/other--*'], tags: 'owner:other' },
+      ]),
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('ignores invalid DATADOG_TAG_RULES', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog()
+      .reply((_, body) => {
+        assert.strictEqual(body[0].ddtags, 'aws_account:account-id,region:us-east-1,env:prod');
+        return [202];
+      });
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      DATADOG_TAGS: 'env:prod',
+      DATADOG_TAG_RULES: '{',
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('samples entries with DATADOG_SAMPLING, ignoring invalid rules', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        message: '2022-10-25T14:26:45.983Z\t8a7ed6b5-5f3d-4a8c-9a34-4d8d5a3a5e6b\tINFO\tsampled\n',
+      }, {
+        timestamp: Date.now(),
+        message: '2022-10-25T14:26:45.983Z\t8a7ed6b5-5f3d-4a8c-9a34-4d8d5a3a5e6b\tERROR\tkept\n',
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog()
+      .reply((_, body) => {
+        assert.deepStrictEqual(body.map(({ level }) => level), ['ERROR']);
+        return [202];
+      });
+    nock.datadog()
+      .reply((_, body) => {
+        assert.deepStrictEqual(body.map(({ level }) => level), ['INFO', 'ERROR']);
+        return [202];
+      });
+
+    let res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      DATADOG_SAMPLING: JSON.stringify([
+        { functions: ['services--*'], levels: ['INFO'], rate: 0 },
+        { functions: ['other--*'], rate: 1 },
+      ]),
+    }));
+    assert.strictEqual(res.status, 202);
+
+    res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      DATADOG_SAMPLING: '{',
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('folds duplicate messages with DATADOG_DEDUPE, ignoring invalid modes', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [1666708005983, 1666708005984].map((timestamp) => ({
+        timestamp,
+        message: '2022-10-25T14:26:45.983Z\t8a7ed6b5-5f3d-4a8c-9a34-4d8d5a3a5e6b\tWARN\tretrying\n',
+      })),
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog()
+      .reply((_, body) => {
+        assert.strictEqual(body.length, 1);
+        assert.strictEqual(JSON.parse(body[0].message).repeat_count, 2);
+        return [202];
+      });
+    nock.datadog()
+      .reply((_, body) => {
+        assert.strictEqual(body.length, 2);
+        return [202];
+      });
+
+    let res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      DATADOG_DEDUPE: 'exact',
+    }));
+    assert.strictEqual(res.status, 202);
+
+    res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      DATADOG_DEDUPE: 'fuzzy',
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('merges continuation lines into the preceding event', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: 1666708005983,
+        message: '2022-10-25T14:26:45.983Z\t8a7ed6b5-5f3d-4a8c-9a34-4d8d5a3a5e6b\tERROR\tError: boom\n',
+      }, {
+        timestamp: 1666708005983,
+        message: '    at Runtime.handler (/var/task/index.js:3:9)\n',
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog()
+      .reply((_, body) => {
+        assert.strictEqual(body.length, 1);
+        assert.strictEqual(JSON.parse(body[0].message).message, 'Error: boom\n    at Runtime.handler (/var/task/index.js:3:9)');
+        return [202];
+      });
+
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      MULTILINE_PATTERNS: '{',
+    }));
+    assert.strictEqual(res.status, 202);
+  });
+
+  it('returns error when LOG_SINKS is invalid', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock('https://sqs.us-east-1.amazonaws.com')
+      .post('/')
+      .reply((_, body) => {
+        const message = JSON.parse(new URLSearchParams(body).get('MessageBody'));
+        assert.strictEqual(message.reason, 'Unknown sink type: kafka');
+        return [200, '<SendMessageResponse/>'];
+      });
+
+    await assert.rejects(main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      LOG_SINKS: JSON.stringify([{ type: 'kafka' }]),
+    })), /Unknown sink type: kafka/);
+  });
+
+  it('does not retry when DATADOG_RETRIES is zero', async () => {
+    const payload = (await gzip(JSON.stringify({
+      logEvents: [{
+        timestamp: Date.now(),
+        extractedFields: {
+          event: 'INFO\tmessage\n',
+        },
+      }],
+      logGroup: '/aws/lambda/services--func',
+      logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    }))).toString('base64');
+
+    nock.datadog()
+      .reply(503, 'service unavailable');
+
+    nock('https://sqs.us-east-1.amazonaws.com')
+      .post('/')
+      .reply((_, body) => {
+        const message = JSON.parse(new URLSearchParams(body).get('MessageBody'));
+        assert.strictEqual(message.status, 503);
+        return [200, `<?xml version="1.0"?>
+<SendMessageResponse xmlns="http://queue.amazonaws.com/doc/2012-11-05/">
+  <SendMessageResult>
+    <MessageId>id</MessageId>
+  </SendMessageResult>
+  <ResponseMetadata>
+    <RequestId>id</RequestId>
+  </ResponseMetadata>
+</SendMessageResponse>
+`];
+      });
+    const res = await main(new Request('https://localhost/'), TEST_CONTEXT(payload, {
+      ...DEFAULT_ENV,
+      DATADOG_RETRIES: '0',
+      DATADOG_RETRY_DELAY: '1',
+    }));
+    assert.strictEqual(res.status, 202);
   });
 
   it('allows definining subscription filter without pattern', async () => {
@@ -462,7 +1209,10 @@ describe('Index Tests', () => {
     nock('https://sqs.us-east-1.amazonaws.com')
       .post('/')
       .reply((_, body) => {
-        const rejected = JSON.parse(new URLSearchParams(body).get('MessageBody'));
+        const message = JSON.parse(new URLSearchParams(body).get('MessageBody'));
+        assert.strictEqual(message.logGroup, input.logGroup);
+        assert.strictEqual(message.attempt, 1);
+        const rejected = message.logEvents;
         assert.strictEqual(rejected.length, 1);
         assert.deepStrictEqual(rejected[0].message, 'This message has no known pattern and will be discarded\n');
         return [200, `<?xml version="1.0"?>
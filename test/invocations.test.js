@@ -0,0 +1,88 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { extractFields } from '../src/extract-fields.js';
+import { correlateInvocations } from '../src/invocations.js';
+
+const FIRST = '03552aac-6ab8-419f-9136-63431d98ce95';
+const SECOND = '2c17c779-5002-4479-8cf4-7b037c1463a4';
+
+function correlate(messages) {
+  return correlateInvocations(messages.map((message) => extractFields({ message })));
+}
+
+describe('Invocations Tests', () => {
+  it('attaches invocation attributes to all lines of an invocation', () => {
+    const fields = correlate([
+      'INIT_START Runtime Version: nodejs:22.v29\tRuntime Version ARN: arn\n',
+      `START RequestId: ${FIRST} Version: $LATEST\n`,
+      `2024-11-24T14:44:34.542Z\t${FIRST}\tINFO\thello\n`,
+      `END RequestId: ${FIRST}\n`,
+      `REPORT RequestId: ${FIRST}\tDuration: 26.25 ms\tBilled Duration: 27 ms\tMemory Size: 128 MB\tMax Memory Used: 70 MB\t\n`,
+      `START RequestId: ${SECOND} Version: $LATEST\n`,
+      `2024-11-24T14:44:35.542Z\t${SECOND}\tINFO\tworld\n`,
+      `REPORT RequestId: ${SECOND}\tDuration: 10.00 ms\tBilled Duration: 10 ms\tMemory Size: 128 MB\tMax Memory Used: 70 MB\t\n`,
+    ]);
+    assert.strictEqual(fields[0].invocation, undefined);
+    fields.slice(1, 5).forEach(({ invocation }) => assert.deepStrictEqual(invocation, {
+      duration: 26.25,
+      coldStart: true,
+      status: 'success',
+      timeout: false,
+    }));
+    fields.slice(5).forEach(({ invocation }) => assert.deepStrictEqual(invocation, {
+      duration: 10,
+      coldStart: false,
+      status: 'success',
+      timeout: false,
+    }));
+  });
+
+  it('fills in the request id of lines between START and END', () => {
+    const fields = correlate([
+      'java.lang.IllegalStateException: before\n\tat com.example.Handler.init(Handler.java:10)\n',
+      `START RequestId: ${FIRST} Version: $LATEST\n`,
+      'java.lang.IllegalStateException: during\n\tat com.example.Handler.handleRequest(Handler.java:10)\n',
+      'no known pattern\n',
+      `END RequestId: ${FIRST}\n`,
+      'java.lang.IllegalStateException: after\n\tat com.example.Handler.handleRequest(Handler.java:10)\n',
+    ]);
+    assert.deepStrictEqual(fields.map((f) => f?.requestId), [
+      undefined, FIRST, FIRST, undefined, FIRST, undefined,
+    ]);
+    assert.strictEqual(fields[3], null);
+    assert.strictEqual(fields[2].invocation, undefined);
+  });
+
+  it('detects timeouts', () => {
+    const fields = correlate([
+      `START RequestId: ${FIRST} Version: $LATEST\n`,
+      `2024-11-24T14:44:37.542Z\t${FIRST}\tTask timed out after 3.00 seconds\n`,
+      `END RequestId: ${FIRST}\n`,
+      `REPORT RequestId: ${SECOND}\tDuration: 3000.00 ms\tBilled Duration: 3000 ms\tMemory Size: 128 MB\tMax Memory Used: 70 MB\tInit Duration: 164.66 ms\tStatus: timeout\n`,
+    ]);
+    assert.deepStrictEqual(fields[0].invocation, { timeout: true });
+    assert.deepStrictEqual(fields[3].invocation, {
+      duration: 3000,
+      coldStart: true,
+      status: 'timeout',
+      timeout: true,
+    });
+  });
+
+  it('leaves invocations without platform lines alone', () => {
+    const fields = correlate([`2024-11-24T14:44:34.542Z\t${FIRST}\tINFO\thello\n`]);
+    assert.strictEqual(fields[0].invocation, undefined);
+  });
+});
@@ -0,0 +1,63 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { createSeries } from '../src/metrics.js';
+
+describe('Metrics Tests', () => {
+  it('creates series for a cold start', async () => {
+    const series = createSeries({
+      duration: 26.25,
+      billedDuration: 27,
+      memorySize: 128,
+      maxMemoryUsed: 70,
+      initDuration: 145.09,
+    }, 1668084827204, ['function_name:services--func']);
+    assert.deepStrictEqual(series, [{
+      metric: 'helix.lambda.duration',
+      unit: 'millisecond',
+      type: 3,
+      points: [{ timestamp: 1668084827, value: 26.25 }],
+      tags: ['function_name:services--func', 'cold_start:true'],
+    }, {
+      metric: 'helix.lambda.billed_duration',
+      unit: 'millisecond',
+      type: 3,
+      points: [{ timestamp: 1668084827, value: 27 }],
+      tags: ['function_name:services--func', 'cold_start:true'],
+    }, {
+      metric: 'helix.lambda.memory_size',
+      unit: 'megabyte',
+      type: 3,
+      points: [{ timestamp: 1668084827, value: 128 }],
+      tags: ['function_name:services--func', 'cold_start:true'],
+    }, {
+      metric: 'helix.lambda.max_memory_used',
+      unit: 'megabyte',
+      type: 3,
+      points: [{ timestamp: 1668084827, value: 70 }],
+      tags: ['function_name:services--func', 'cold_start:true'],
+    }, {
+      metric: 'helix.lambda.init_duration',
+      unit: 'millisecond',
+      type: 3,
+      points: [{ timestamp: 1668084827, value: 145.09 }],
+      tags: ['function_name:services--func', 'cold_start:true'],
+    }]);
+  });
+
+  it('creates series for a warm start', async () => {
+    const series = createSeries({ duration: 3 }, 1668084827204, []);
+    assert.deepStrictEqual(series[0].tags, ['cold_start:false']);
+  });
+});
@@ -0,0 +1,99 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import {
+  CONTINUATION_PATTERNS,
+  mergeContinuations,
+  parseContinuationPatterns,
+} from '../src/multiline.js';
+
+const REQUEST_ID = '8a7ed6b5-5f3d-4a8c-9a34-4d8d5a3a5e6b';
+
+describe('Multi-line Tests', () => {
+  it('merges stack frames into the preceding event', () => {
+    const merged = mergeContinuations([{
+      id: '1',
+      timestamp: 1666708005982,
+      message: `2022-10-25T14:26:45.982Z\t${REQUEST_ID}\tERROR\tError: boom\n`,
+    }, {
+      id: '2',
+      timestamp: 1666708005981,
+      message: '    at Runtime.handler (/var/task/index.js:3:9)\n',
+    }, {
+      id: '3',
+      timestamp: 1666708005983,
+      message: '    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)',
+    }, {
+      id: '4',
+      timestamp: 1666708005984,
+      message: `2022-10-25T14:26:45.984Z\t${REQUEST_ID}\tINFO\tdone\n`,
+    }], CONTINUATION_PATTERNS);
+    assert.deepStrictEqual(merged, [{
+      id: '1',
+      timestamp: 1666708005981,
+      message: `2022-10-25T14:26:45.982Z\t${REQUEST_ID}\tERROR\tError: boom\n    at Runtime.handler (/var/task/index.js:3:9)\n    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)\n`,
+    }, {
+      id: '4',
+      timestamp: 1666708005984,
+      message: `2022-10-25T14:26:45.984Z\t${REQUEST_ID}\tINFO\tdone\n`,
+    }]);
+  });
+
+  it('merges pretty-printed objects into events with extracted fields', () => {
+    const merged = mergeContinuations([{
+      timestamp: 1666708005982,
+      extractedFields: { request_id: REQUEST_ID, event: 'INFO\t{' },
+    }, {
+      timestamp: 1666708005983,
+      message: '  "status": 200',
+    }, {
+      timestamp: 1666708005984,
+      message: '}\n',
+    }], CONTINUATION_PATTERNS);
+    assert.deepStrictEqual(merged, [{
+      timestamp: 1666708005982,
+      extractedFields: { request_id: REQUEST_ID, event: 'INFO\t{\n  "status": 200\n}' },
+    }]);
+  });
+
+  it('does not merge events that have fields of their own', () => {
+    const logEvents = [{
+      timestamp: 1666708005982,
+      message: '    at the start of a batch\n',
+    }, {
+      timestamp: 1666708005983,
+      message: `2022-10-25T14:26:45.983Z\t${REQUEST_ID}\tINFO\tfirst\n`,
+    }, {
+      timestamp: 1666708005984,
+      extractedFields: { request_id: REQUEST_ID, event: '  indented' },
+    }, {
+      timestamp: 1666708005985,
+      message: 'no known pattern\n',
+    }];
+    assert.deepStrictEqual(mergeContinuations(logEvents, CONTINUATION_PATTERNS), logEvents);
+    assert.deepStrictEqual(mergeContinuations(logEvents.slice(0, 2), [/INFO/]), logEvents.slice(0, 2));
+  });
+
+  it('does not merge anything without patterns', () => {
+    const logEvents = [{ message: 'first\n' }, { message: '  second\n' }];
+    assert.strictEqual(mergeContinuations(logEvents, []), logEvents);
+  });
+
+  it('parses patterns', () => {
+    assert.strictEqual(parseContinuationPatterns(), CONTINUATION_PATTERNS);
+    assert.deepStrictEqual(parseContinuationPatterns('["^\\\\.\\\\.\\\\. \\\\d+ more"]'), [/^\.\.\. \d+ more/]);
+    assert.deepStrictEqual(parseContinuationPatterns('[]'), []);
+    assert.throws(() => parseContinuationPatterns('{}'), /Multi-line patterns must be an array/);
+  });
+});
@@ -0,0 +1,120 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import {
+  createLogsRequest, encodeLogsRequest, toAttributes, toSeverityNumber,
+} from '../src/otlp.js';
+
+describe('OTLP Tests', () => {
+  it('maps log levels to severity numbers', () => {
+    assert.deepStrictEqual(
+      ['TRACE', 'SILLY', 'DEBUG', 'VERBOSE', 'INFO', 'WARN', 'ERROR', 'FATAL', 'NOTICE'].map(toSeverityNumber),
+      [1, 2, 5, 6, 9, 13, 17, 21, 0],
+    );
+  });
+
+  it('converts attributes', () => {
+    assert.deepStrictEqual(toAttributes({ a: 'b', c: ['d', 1], e: undefined }), [
+      { key: 'a', value: { stringValue: 'b' } },
+      { key: 'c', value: { arrayValue: { values: [{ stringValue: 'd' }, { stringValue: '1' }] } } },
+    ]);
+  });
+
+  it('creates a logs export request', () => {
+    const request = createLogsRequest([{
+      timestamp: 1666708005983,
+      level: 'INFO',
+      message: 'info message',
+      requestId: '8a7ed6b5-5f3d-4a8c-9a34-4d8d5a3a5e6b',
+    }, {
+      timestamp: 1666708005984,
+      level: 'ERROR',
+      message: 'error message',
+    }], { 'service.name': 'services--func' }, { name: 'test' });
+
+    const [{ resource, scopeLogs: [{ scope, logRecords }] }] = request.resourceLogs;
+    assert.deepStrictEqual(resource, {
+      attributes: [{ key: 'service.name', value: { stringValue: 'services--func' } }],
+    });
+    assert.deepStrictEqual(scope, { name: 'test' });
+    assert.match(logRecords[0].observedTimeUnixNano, /^\d+000000$/);
+    assert.deepStrictEqual(logRecords.map((r) => ({ ...r, observedTimeUnixNano: undefined })), [{
+      timeUnixNano: '1666708005983000000',
+      observedTimeUnixNano: undefined,
+      severityNumber: 9,
+      severityText: 'INFO',
+      body: { stringValue: 'info message' },
+      attributes: [{ key: 'faas.invocation_id', value: { stringValue: '8a7ed6b5-5f3d-4a8c-9a34-4d8d5a3a5e6b' } }],
+    }, {
+      timeUnixNano: '1666708005984000000',
+      observedTimeUnixNano: undefined,
+      severityNumber: 17,
+      severityText: 'ERROR',
+      body: { stringValue: 'error message' },
+      attributes: [],
+    }]);
+  });
+
+  it('adds exception and failure attributes', () => {
+    const request = createLogsRequest([{
+      timestamp: 1666708005984,
+      level: 'ERROR',
+      message: 'Invoke Error',
+      error: { kind: 'TypeError', message: 'x is not a function', stack: 'TypeError: x is not a function' },
+      failure: { type: 'init_failure' },
+    }], {}, { name: 'test' });
+    const [{ scopeLogs: [{ logRecords: [{ attributes }] }] }] = request.resourceLogs;
+    assert.deepStrictEqual(attributes, [
+      { key: 'exception.type', value: { stringValue: 'TypeError' } },
+      { key: 'exception.message', value: { stringValue: 'x is not a function' } },
+      { key: 'exception.stacktrace', value: { stringValue: 'TypeError: x is not a function' } },
+      { key: 'failure.type', value: { stringValue: 'init_failure' } },
+    ]);
+  });
+
+  it('encodes a logs export request as protobuf', () => {
+    const encoded = encodeLogsRequest({
+      resourceLogs: [{
+        resource: {
+          attributes: [{ key: 'a', value: { arrayValue: { values: [{ stringValue: 'b' }] } } }],
+        },
+        scopeLogs: [{
+          scope: { name: 's', version: '1' },
+          logRecords: [{
+            timeUnixNano: '1000000',
+            observedTimeUnixNano: '2000000',
+            severityNumber: 9,
+            severityText: 'INFO',
+            body: { stringValue: 'm' },
+            attributes: [{ key: 'k', value: { stringValue: 'v' } }],
+          }],
+        }],
+      }],
+    });
+    assert.strictEqual(
+      encoded.toString('hex'),
+      '0a450a0e0a0c0a016112072a050a030a016212330a060a017312013112290940420f000000000010091a04494e464f2a030a016d32080a016b12030a01765980841e0000000000',
+    );
+  });
+
+  it('encodes long strings with multi-byte lengths', () => {
+    const encoded = encodeLogsRequest({
+      resourceLogs: [{
+        resource: { attributes: [] },
+        scopeLogs: [{ scope: { name: 'x'.repeat(200) }, logRecords: [] }],
+      }],
+    });
+    assert.strictEqual(encoded.subarray(0, 14).toString('hex'), '0ad3010a0012ce010acb010ac801');
+  });
+});
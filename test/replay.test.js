@@ -0,0 +1,342 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import util from 'util';
+import zlib from 'zlib';
+import { Request } from '@adobe/fetch';
+import { Nock } from './utils.js';
+import { handleReplay, replayDLQ } from '../src/replay.js';
+
+const gzip = util.promisify(zlib.gzip);
+
+const DEFAULT_ENV = {
+  AWS_REGION: 'us-east-1',
+  AWS_ACCESS_KEY_ID: 'aws-access-key-id',
+  AWS_SECRET_ACCESS_KEY: 'aws-secret-access-key',
+  AWS_SESSION_TOKEN: 'aws-session-token',
+  DATADOG_API_KEY: 'api-key',
+  DLQ_REPLAY_TOKEN: 'replay-token',
+};
+
+const SEND_MESSAGE_RESPONSE = `<?xml version="1.0"?>
+<SendMessageResponse xmlns="http://queue.amazonaws.com/doc/2012-11-05/">
+  <SendMessageResult>
+    <MessageId>id</MessageId>
+  </SendMessageResult>
+</SendMessageResponse>
+`;
+
+describe('Replay Tests', () => {
+  let nock;
+  beforeEach(() => {
+    nock = new Nock();
+  });
+
+  afterEach(() => {
+    nock.done();
+  });
+
+  const createContext = (invocation = {}, env = DEFAULT_ENV) => ({
+    invocation,
+    runtime: {
+      region: 'us-east-1',
+      accountId: 'account-id',
+    },
+    func: {
+      fqn: 'arn:aws:lambda:us-east-1:123456789012:function:datadog-feeder:1_2_3',
+      name: 'datadog-feeder',
+    },
+    env,
+    log: console,
+  });
+
+  const input = {
+    messageType: 'DATA_MESSAGE',
+    logGroup: '/aws/lambda/services--func',
+    logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+    logEvents: [{
+      timestamp: 1666708005982,
+      extractedFields: {
+        event: 'INFO\tmessage\n',
+      },
+    }],
+  };
+
+  const nockSendMessage = (verify, delay = '300') => nock('https://sqs.us-east-1.amazonaws.com')
+    .post('/')
+    .matchHeader('content-type', /x-www-form-urlencoded/)
+    .reply((_, body) => {
+      const params = new URLSearchParams(body);
+      assert.strictEqual(params.get('DelaySeconds'), delay);
+      verify(JSON.parse(params.get('MessageBody')));
+      return [200, SEND_MESSAGE_RESPONSE];
+    });
+
+  it('replays messages in both shapes and deletes them', async () => {
+    const data = (await gzip(JSON.stringify(input))).toString('base64');
+    nock.sqs('ReceiveMessage')
+      .reply(200, {
+        Messages: [
+          { MessageId: '1', ReceiptHandle: 'handle-1', Body: JSON.stringify({ data }) },
+          { MessageId: '2', ReceiptHandle: 'handle-2', Body: JSON.stringify(input) },
+        ],
+      });
+    nock.sqs('ReceiveMessage')
+      .reply(200, {});
+    nock.datadog()
+      .twice()
+      .reply(202);
+    const deleted = [];
+    nock.sqs('DeleteMessage')
+      .twice()
+      .reply((_, body) => {
+        deleted.push(JSON.parse(body).ReceiptHandle);
+        return [200, ''];
+      });
+
+    const result = await replayDLQ(createContext(), 100);
+    assert.deepStrictEqual(result, {
+      received: 2, replayed: 2, requeued: 0, dropped: 0, skipped: 0,
+    });
+    assert.deepStrictEqual(deleted, ['handle-1', 'handle-2']);
+  });
+
+  it('replays a message to the sink that failed only', async () => {
+    nock.sqs('ReceiveMessage')
+      .reply(200, {
+        Messages: [{
+          MessageId: '1',
+          ReceiptHandle: 'handle-1',
+          Body: JSON.stringify({ ...input, sink: 'collector', attempt: 1 }),
+        }],
+      });
+    nock.sqs('ReceiveMessage')
+      .reply(200, {});
+    nock('https://collector.example.com')
+      .post('/logs')
+      .reply(200);
+    nock.sqs('DeleteMessage')
+      .reply(200, '');
+
+    const result = await replayDLQ(createContext({}, {
+      ...DEFAULT_ENV,
+      LOG_SINKS: JSON.stringify([{ type: 'http', name: 'collector', url: 'https://collector.example.com/logs' }]),
+    }), 100);
+    assert.deepStrictEqual(result, {
+      received: 1, replayed: 1, requeued: 0, dropped: 0, skipped: 0,
+    });
+  });
+
+  it('requeues only the events of a replayed message that are not accepted', async () => {
+    nock.sqs('ReceiveMessage')
+      .reply(200, {
+        Messages: [{
+          MessageId: '1',
+          ReceiptHandle: 'handle-1',
+          Body: JSON.stringify({
+            ...input,
+            logEvents: [
+              ...input.logEvents,
+              { timestamp: 1666708005982, message: 'no known pattern\n' },
+            ],
+            attempt: 1,
+          }),
+        }],
+      });
+    nock.datadog()
+      .reply((_, body) => {
+        assert.strictEqual(body.length, 1);
+        return [202];
+      });
+    nockSendMessage((message) => {
+      assert.deepStrictEqual(message.logEvents, [{ timestamp: 1666708005982, message: 'no known pattern\n' }]);
+      assert.strictEqual(message.logGroup, input.logGroup);
+      assert.strictEqual(message.attempt, 2);
+    });
+    nock.sqs('DeleteMessage')
+      .reply(200, '');
+
+    const result = await replayDLQ(createContext(), 1);
+    assert.deepStrictEqual(result, {
+      received: 1, replayed: 0, requeued: 1, dropped: 0, skipped: 0,
+    });
+  });
+
+  it('requeues messages that fail again with incremented attempt', async () => {
+    nock.sqs('ReceiveMessage')
+      .reply(200, {
+        Messages: [
+          { MessageId: '1', ReceiptHandle: 'handle-1', Body: JSON.stringify(input) },
+          { MessageId: '2', ReceiptHandle: 'handle-2', Body: JSON.stringify({ ...input, attempt: 2 }) },
+        ],
+      });
+    nock.sqs('ReceiveMessage')
+      .reply(200, { Messages: [] });
+    nock.datadog()
+      .twice()
+      .reply(400, 'input malformed');
+    const attempts = [];
+    nockSendMessage((message) => {
+      assert.strictEqual(message.status, 400);
+      attempts.push(message.attempt);
+    });
+    nockSendMessage((message) => attempts.push(message.attempt));
+    nock.sqs('DeleteMessage')
+      .twice()
+      .reply(200, '');
+
+    const result = await replayDLQ(createContext(), 100);
+    assert.deepStrictEqual(result, {
+      received: 2, replayed: 0, requeued: 2, dropped: 0, skipped: 0,
+    });
+    assert.deepStrictEqual(attempts, [1, 3]);
+  });
+
+  it('delays requeued messages and drops them after the maximum number of attempts', async () => {
+    nock.sqs('ReceiveMessage')
+      .reply(200, {
+        Messages: [
+          { MessageId: '1', ReceiptHandle: 'handle-1', Body: JSON.stringify({ ...input, attempt: 1 }) },
+          { MessageId: '2', ReceiptHandle: 'handle-2', Body: JSON.stringify({ ...input, attempt: 2 }) },
+        ],
+      });
+    nock.sqs('ReceiveMessage')
+      .reply(200, {});
+    nock.datadog()
+      .twice()
+      .reply(400, 'input malformed');
+    nockSendMessage((message) => assert.strictEqual(message.attempt, 2), '900');
+    const deleted = [];
+    nock.sqs('DeleteMessage')
+      .twice()
+      .reply((_, body) => {
+        deleted.push(JSON.parse(body).ReceiptHandle);
+        return [200, ''];
+      });
+
+    const result = await replayDLQ(createContext({}, {
+      ...DEFAULT_ENV,
+      DLQ_REQUEUE_DELAY: '3600',
+      DLQ_MAX_ATTEMPTS: '3',
+    }), 100);
+    assert.deepStrictEqual(result, {
+      received: 2, replayed: 0, requeued: 1, dropped: 1, skipped: 0,
+    });
+    assert.deepStrictEqual(deleted, ['handle-1', 'handle-2']);
+  });
+
+  it('requeues messages without delay if configured', async () => {
+    nock.sqs('ReceiveMessage')
+      .reply(200, {
+        Messages: [{ MessageId: '1', ReceiptHandle: 'handle-1', Body: JSON.stringify(input) }],
+      });
+    nock.datadog()
+      .reply(400, 'input malformed');
+    nockSendMessage((message) => assert.strictEqual(message.attempt, 1), null);
+    nock.sqs('DeleteMessage')
+      .reply(200, '');
+
+    const result = await replayDLQ(createContext({}, { ...DEFAULT_ENV, DLQ_REQUEUE_DELAY: '0' }), 1);
+    assert.strictEqual(result.requeued, 1);
+  });
+
+  it('requeues messages as a whole when processing fails', async () => {
+    nock.sqs('ReceiveMessage')
+      .reply(200, {
+        Messages: [{
+          MessageId: '1',
+          ReceiptHandle: 'handle-1',
+          Body: JSON.stringify({ ...input, logStream: 'unknown' }),
+        }],
+      });
+    nockSendMessage((message) => {
+      assert.strictEqual(message.logStream, 'unknown');
+      assert.deepStrictEqual(message.logEvents, input.logEvents);
+      assert.strictEqual(message.attempt, 1);
+      assert.ok(message.reason);
+    });
+    nock.sqs('DeleteMessage')
+      .reply(200, '');
+
+    const result = await replayDLQ(createContext(), 1);
+    assert.deepStrictEqual(result, {
+      received: 1, replayed: 0, requeued: 1, dropped: 0, skipped: 0,
+    });
+  });
+
+  it('leaves messages that can not be replayed on the queue', async () => {
+    nock.sqs('ReceiveMessage')
+      .reply(200, {
+        Messages: [
+          { MessageId: '1', ReceiptHandle: 'handle-1', Body: 'not json' },
+          { MessageId: '2', ReceiptHandle: 'handle-2', Body: JSON.stringify({ data: 'not compressed' }) },
+          { MessageId: '3', ReceiptHandle: 'handle-3', Body: JSON.stringify([{ message: 'rejected' }]) },
+          { MessageId: '4', ReceiptHandle: 'handle-4', Body: 'null' },
+        ],
+      });
+
+    const result = await replayDLQ(createContext(), 4);
+    assert.deepStrictEqual(result, {
+      received: 4, replayed: 0, requeued: 0, dropped: 0, skipped: 4,
+    });
+  });
+
+  it('stops when the invocation deadline is near', async () => {
+    const result = await replayDLQ(createContext({ deadline: Date.now() + 1000 }), 100);
+    assert.deepStrictEqual(result, {
+      received: 0, replayed: 0, requeued: 0, dropped: 0, skipped: 0,
+    });
+  });
+
+  it('rejects replay requests when no token is configured', async () => {
+    const context = createContext();
+    context.env = { ...DEFAULT_ENV, DLQ_REPLAY_TOKEN: '' };
+    const res = await handleReplay(new Request('https://localhost/replay', { method: 'POST' }), context);
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('rejects unauthorized replay requests', async () => {
+    let res = await handleReplay(new Request('https://localhost/replay', { method: 'POST' }), createContext());
+    assert.strictEqual(res.status, 401);
+
+    res = await handleReplay(new Request('https://localhost/replay', {
+      method: 'POST',
+      headers: { authorization: 'Bearer wrong-token!' },
+    }), createContext());
+    assert.strictEqual(res.status, 401);
+  });
+
+  it('rejects replay requests with wrong method', async () => {
+    const res = await handleReplay(new Request('https://localhost/replay', {
+      headers: { authorization: 'Bearer replay-token' },
+    }), createContext());
+    assert.strictEqual(res.status, 405);
+  });
+
+  it('replays on authorized request', async () => {
+    nock.sqs('ReceiveMessage')
+      .reply((_, body) => {
+        assert.strictEqual(JSON.parse(body).MaxNumberOfMessages, 3);
+        return [200, {}];
+      });
+    const res = await handleReplay(new Request('https://localhost/replay?max=3', {
+      method: 'POST',
+      headers: { authorization: 'Bearer replay-token' },
+    }), createContext());
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), {
+      received: 0, replayed: 0, requeued: 0, dropped: 0, skipped: 0,
+    });
+  });
+});
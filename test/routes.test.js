@@ -0,0 +1,145 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { resolve } from 'path';
+import { Nock } from './utils.js';
+import {
+  findRoute, loadRoutes, parseRoutes, resolveDestination,
+} from '../src/routes.js';
+import { SECRET_CACHE } from '../src/secrets.js';
+
+const ROUTES = JSON.stringify([{
+  name: 'sites-eu',
+  logGroups: ['/aws/lambda/helix-pipeline-eu--*'],
+  apiKey: 'arn:aws:secretsmanager:eu-west-1:123456789012:secret:datadog-sites-eu',
+  site: 'datadoghq.eu',
+  tags: 'team:sites',
+}, {
+  name: 'services',
+  functions: ['helix-services--*'],
+  apiKey: 'DATADOG_API_KEY_SERVICES',
+  apiUrl: 'https://http-intake.logs.us5.datadoghq.com',
+  metricsUrl: 'https://api.us5.datadoghq.com',
+}, {
+  functions: ['helix-admin'],
+}]);
+
+const env = {
+  AWS_ACCESS_KEY_ID: 'aws-access-key-id',
+  AWS_SECRET_ACCESS_KEY: 'aws-secret-access-key',
+  DATADOG_API_KEY: 'api-key',
+  DATADOG_API_KEY_SERVICES: 'services-key',
+  DATADOG_API_URL: 'https://http-intake.logs.example.com',
+};
+
+describe('Routes Tests', () => {
+  let nock;
+  beforeEach(() => {
+    nock = new Nock();
+    SECRET_CACHE.clear();
+  });
+
+  afterEach(() => {
+    nock.done();
+  });
+
+  it('parses routes', () => {
+    assert.deepStrictEqual(parseRoutes(), []);
+    const routes = parseRoutes(ROUTES);
+    assert.deepStrictEqual(routes.map(({ tags }) => tags), [['team:sites'], [], []]);
+  });
+
+  it('rejects invalid routes', () => {
+    assert.throws(() => parseRoutes('{}'), /Routes must be an array/);
+    assert.throws(
+      () => parseRoutes('[{"name":"eu","logGroups":"/aws/lambda/*"}]'),
+      /Route eu needs an array of log groups or functions/,
+    );
+    assert.throws(() => parseRoutes('[{}]'), /Route 0 needs an array/);
+    assert.throws(
+      () => parseRoutes('[{"functions":["*"],"site":"eu1"}]'),
+      /Unknown DataDog site: eu1/,
+    );
+  });
+
+  it('loads routes from the environment or a file', async () => {
+    assert.strictEqual((await loadRoutes({ DATADOG_ROUTES: ROUTES })).length, 3);
+    assert.deepStrictEqual(await loadRoutes({}), []);
+    const routes = await loadRoutes({
+      DATADOG_ROUTES_FILE: resolve(__rootdir, 'test', 'fixtures', 'routes.json'),
+    });
+    assert.deepStrictEqual(routes.map(({ name }) => name), ['sites-eu']);
+    await assert.rejects(loadRoutes({ DATADOG_ROUTES_FILE: '/does/not/exist.json' }), /ENOENT/);
+  });
+
+  it('finds the route of a log group', () => {
+    const routes = parseRoutes(ROUTES);
+    const find = (name) => findRoute(routes, `/aws/lambda/${name}`, name)?.name;
+    assert.strictEqual(find('helix-pipeline-eu--render'), 'sites-eu');
+    assert.strictEqual(find('helix-services--indexer'), 'services');
+    assert.strictEqual(find('helix-pipeline--render'), undefined);
+  });
+
+  it('resolves destinations', async () => {
+    nock('https://secretsmanager.eu-west-1.amazonaws.com')
+      .post('/')
+      .twice()
+      .reply(200, { SecretString: 'eu-key' });
+    nock('https://ssm.us-east-1.amazonaws.com')
+      .post('/')
+      .reply(200, { Parameter: { Value: 'default-key' } });
+
+    const [eu, services, admin] = parseRoutes(ROUTES);
+    const destination = await resolveDestination({ env }, eu);
+    assert.strictEqual(destination.apiKey, 'eu-key');
+    assert.strictEqual(destination.apiUrl, 'https://http-intake.logs.datadoghq.eu');
+    assert.strictEqual(destination.metricsUrl, 'https://api.datadoghq.eu');
+    assert.deepStrictEqual(destination.tags, ['team:sites']);
+    assert.strictEqual(await destination.refreshApiKey(), 'eu-key');
+
+    assert.deepStrictEqual(await resolveDestination({ env }, services), {
+      apiKey: 'services-key',
+      apiUrl: 'https://http-intake.logs.us5.datadoghq.com',
+      metricsUrl: 'https://api.us5.datadoghq.com',
+      tags: [],
+    });
+    assert.deepStrictEqual(await resolveDestination({ env }, admin), {
+      apiKey: 'api-key',
+      apiUrl: 'https://http-intake.logs.example.com',
+      metricsUrl: 'https://api.datadoghq.com',
+      tags: [],
+    });
+    assert.deepStrictEqual(await resolveDestination({
+      env: { DATADOG_API_KEY: 'api-key', DATADOG_SITE: 'us3' },
+    }, null), {
+      apiKey: 'api-key',
+      apiUrl: 'https://http-intake.logs.us3.datadoghq.com',
+      metricsUrl: 'https://api.us3.datadoghq.com',
+      tags: [],
+    });
+    const { refreshApiKey } = await resolveDestination({
+      env: { ...env, DATADOG_API_KEY_ARN: 'arn:aws:ssm:us-east-1:123456789012:parameter/key' },
+    }, null);
+    assert.strictEqual(await refreshApiKey(), 'default-key');
+  });
+
+  it('rejects destinations without API key', async () => {
+    const [, services] = parseRoutes(ROUTES);
+    await assert.rejects(
+      resolveDestination({ env: {} }, services),
+      /No API key for route services/,
+    );
+    await assert.rejects(resolveDestination({ env: {} }, null), /No API key for default destination/);
+  });
+});
@@ -0,0 +1,65 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { randomUUID } from 'crypto';
+import { createSampler, parseSamplingRules } from '../src/sampling.js';
+
+describe('Sampling Tests', () => {
+  it('parses sampling rules', () => {
+    assert.deepStrictEqual(parseSamplingRules(), []);
+    assert.deepStrictEqual(parseSamplingRules(JSON.stringify([
+      { functions: ['helix-services--indexer'], levels: ['info'], rate: 0.1 },
+      { maxEntries: 100, rate: 2 },
+    ])), [{
+      functions: ['helix-services--indexer'], levels: ['INFO'], rate: 0.1, maxEntries: undefined,
+    }, {
+      functions: undefined, levels: undefined, rate: undefined, maxEntries: 100,
+    }]);
+  });
+
+  it('rejects invalid sampling rules', () => {
+    assert.throws(() => parseSamplingRules('{}'), /Sampling rules must be an array/);
+    assert.throws(() => parseSamplingRules('[{"rate":"0.5"}]'), /Sampling rule needs a rate/);
+    assert.throws(() => parseSamplingRules('[{"maxEntries":0}]'), /Sampling rule needs a rate/);
+  });
+
+  it('creates samplers for matching functions only', () => {
+    const rules = parseSamplingRules(JSON.stringify([
+      { functions: ['helix-services--*'], levels: ['DEBUG', 'INFO'], rate: 0 },
+      { functions: ['helix-services--indexer'], maxEntries: 10 },
+      { rate: 1 },
+    ]));
+    assert.strictEqual(createSampler(rules.slice(0, 2), 'helix-admin'), null);
+
+    const sampler = createSampler(rules, 'helix-services--indexer');
+    assert.strictEqual(sampler.maxEntries, 10);
+    assert.strictEqual(sampler.getRate('INFO'), 0);
+    assert.strictEqual(sampler.getRate('ERROR'), 1);
+    assert.strictEqual(sampler.keep('INFO', randomUUID()), false);
+    assert.strictEqual(sampler.keep('INFO'), true);
+    assert.strictEqual(sampler.keep('ERROR', randomUUID()), true);
+    assert.strictEqual(createSampler(rules, 'helix-admin').maxEntries, undefined);
+  });
+
+  it('makes consistent decisions per request id', () => {
+    const sampler = createSampler([{ rate: 0.25 }], 'helix-services--indexer');
+    const requestIds = Array.from({ length: 1000 }, () => randomUUID());
+    const kept = requestIds.filter((requestId) => sampler.keep('INFO', requestId));
+    assert.ok(kept.length > 150 && kept.length < 350, `kept ${kept.length}`);
+    assert.ok(kept.every((requestId) => sampler.keep('DEBUG', requestId)));
+
+    const higher = createSampler([{ rate: 0.5 }], 'helix-services--indexer');
+    assert.ok(kept.every((requestId) => higher.keep('INFO', requestId)));
+  });
+});
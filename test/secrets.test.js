@@ -0,0 +1,131 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import sinon from 'sinon';
+import { Nock } from './utils.js';
+import { SECRET_CACHE, loadSecrets, resolveSecret } from '../src/secrets.js';
+
+const SECRET_ARN = 'arn:aws:secretsmanager:us-east-1:123456789012:secret:datadog-api-key-AbCdEf';
+const PARAMETER_ARN = 'arn:aws:ssm:eu-west-1:123456789012:parameter/helix/datadog-feeder';
+
+describe('Secrets Tests', () => {
+  let nock;
+  let clock;
+
+  beforeEach(() => {
+    nock = new Nock();
+    clock = sinon.useFakeTimers({
+      toFake: ['Date'],
+    });
+    SECRET_CACHE.clear();
+  });
+
+  afterEach(() => {
+    clock.restore();
+    nock.done();
+  });
+
+  const env = {
+    AWS_ACCESS_KEY_ID: 'aws-access-key-id',
+    AWS_SECRET_ACCESS_KEY: 'aws-secret-access-key',
+    AWS_SESSION_TOKEN: 'aws-session-token',
+  };
+
+  const secretsManager = () => nock('https://secretsmanager.us-east-1.amazonaws.com')
+    .post('/')
+    .matchHeader('x-amz-target', 'secretsmanager.GetSecretValue');
+
+  it('resolves secrets and caches them', async () => {
+    secretsManager()
+      .twice()
+      .reply((_, body) => {
+        assert.deepStrictEqual(JSON.parse(body), { SecretId: SECRET_ARN });
+        return [200, { SecretString: 'api-key' }];
+      });
+
+    const context = { env: { ...env, SECRETS_TTL: '60' } };
+    assert.strictEqual(await resolveSecret(context, SECRET_ARN), 'api-key');
+    clock.tick(59_000);
+    assert.strictEqual(await resolveSecret(context, SECRET_ARN), 'api-key');
+    clock.tick(1_000);
+    assert.strictEqual(await resolveSecret(context, SECRET_ARN), 'api-key');
+    assert.strictEqual(await resolveSecret(context, SECRET_ARN), 'api-key');
+  });
+
+  it('refreshes secrets on demand', async () => {
+    secretsManager().reply(200, { SecretString: 'old-key' });
+    secretsManager().reply(200, { SecretString: 'new-key' });
+
+    const context = { env };
+    assert.strictEqual(await resolveSecret(context, SECRET_ARN), 'old-key');
+    assert.strictEqual(await resolveSecret(context, SECRET_ARN, true), 'new-key');
+    assert.strictEqual(await resolveSecret(context, SECRET_ARN), 'new-key');
+  });
+
+  it('resolves SSM parameters', async () => {
+    nock('https://ssm.eu-west-1.amazonaws.com')
+      .post('/')
+      .matchHeader('x-amz-target', 'AmazonSSM.GetParameter')
+      .reply((_, body) => {
+        assert.deepStrictEqual(JSON.parse(body), { Name: PARAMETER_ARN, WithDecryption: true });
+        return [200, { Parameter: { Value: '{"AWS_ACCESS_KEY_ID":"dlq-key-id"}' } }];
+      });
+    secretsManager().reply(200, { SecretString: 'api-key' });
+
+    const loaded = await loadSecrets({
+      env: { ...env, SECRETS_ARN: PARAMETER_ARN, DATADOG_API_KEY_ARN: SECRET_ARN },
+    });
+    assert.deepStrictEqual(loaded, {
+      AWS_ACCESS_KEY_ID: 'dlq-key-id',
+      DATADOG_API_KEY: 'api-key',
+    });
+  });
+
+  it('loads nothing if no secrets are configured', async () => {
+    assert.deepStrictEqual(await loadSecrets({ env }), {});
+  });
+
+  it('rejects settings that are not a JSON object', async () => {
+    secretsManager().reply(200, { SecretString: '["AWS_ACCESS_KEY_ID"]' });
+    secretsManager().reply(200, { SecretString: 'null' });
+
+    await assert.rejects(
+      loadSecrets({ env: { ...env, SECRETS_ARN: SECRET_ARN } }),
+      /must contain a JSON object/,
+    );
+    SECRET_CACHE.clear();
+    await assert.rejects(
+      loadSecrets({ env: { ...env, SECRETS_ARN: SECRET_ARN } }),
+      /must contain a JSON object/,
+    );
+  });
+
+  it('rejects unsupported ARNs and missing credentials', async () => {
+    await assert.rejects(
+      resolveSecret({ env }, 'arn:aws:s3:::bucket/key'),
+      /Unsupported secret ARN: arn:aws:s3:::bucket\/key/,
+    );
+    await assert.rejects(resolveSecret({ env }, 'api-key'), /Unsupported secret ARN/);
+    await assert.rejects(resolveSecret({ env: {} }, SECRET_ARN), /Missing AWS configuration/);
+  });
+
+  it('reports failures to retrieve secrets', async () => {
+    secretsManager().reply(400, 'AccessDeniedException');
+
+    await assert.rejects(
+      resolveSecret({ env }, SECRET_ARN),
+      /Failed to retrieve .* with status: 400\nAccessDeniedException/,
+    );
+  });
+});
@@ -0,0 +1,325 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import zlib from 'zlib';
+import { Nock } from './utils.js';
+import { HttpSink } from '../src/http-sink.js';
+import { OtlpSink } from '../src/otlp-sink.js';
+import { createRedactor } from '../src/redactor.js';
+import { S3Sink } from '../src/s3-sink.js';
+import { createSink, parseSinkConfig, routesTo } from '../src/sinks.js';
+
+const OPTS = {
+  logGroup: '/aws/lambda/services--func',
+  logStream: '2022/10/28/[356]dbbf94bd5cb34f00aa764103d8ed78f2',
+  log: console,
+};
+
+const CREDENTIALS = {
+  accessKeyId: 'aws-access-key-id',
+  secretAccessKey: 'aws-secret-access-key',
+};
+
+const FUNC = {
+  name: 'services--func',
+  version: '356',
+  alias: { major: 'v4', full: '4.3.47' },
+};
+
+const LOG_EVENTS = [{
+  id: '37209189241069143286514917012218437285519593617430085632',
+  timestamp: 1666708005982,
+  message: '2022-10-25T14:26:45.982Z\t8a7ed6b5-5f3d-4a8c-9a34-4d8d5a3a5e6b\tDEBUG\tdebug message\n',
+}, {
+  id: '37209189241069143286514917012218437285519593617430085633',
+  timestamp: 1666708005983,
+  message: '2022-10-25T14:26:45.983Z\t8a7ed6b5-5f3d-4a8c-9a34-4d8d5a3a5e6b\tINFO\tinfo message\n',
+}, {
+  id: '37209189241069143286514917012218437285519593617430085634',
+  timestamp: 1666708005984,
+  message: 'no known pattern\n',
+}];
+
+describe('Sinks Tests', () => {
+  let nock;
+  beforeEach(() => {
+    nock = new Nock();
+  });
+
+  afterEach(() => {
+    nock.done();
+  });
+
+  it('posts entries to an HTTP collector', async () => {
+    nock('https://collector.example.com')
+      .matchHeader('authorization', 'Bearer token')
+      .matchHeader('content-encoding', 'gzip')
+      .post('/logs')
+      .reply((_, body) => {
+        assert.deepStrictEqual(body, [{
+          timestamp: 1666708005983,
+          level: 'INFO',
+          message: 'info message',
+          requestId: '8a7ed6b5-5f3d-4a8c-9a34-4d8d5a3a5e6b',
+          logGroup: OPTS.logGroup,
+          logStream: OPTS.logStream,
+        }, {
+          timestamp: 1666708005985,
+          level: 'INFO',
+          message: 'notice message',
+          logGroup: OPTS.logGroup,
+          logStream: OPTS.logStream,
+        }]);
+        return [200];
+      });
+
+    const sink = createSink({
+      type: 'http',
+      name: 'collector',
+      url: 'https://collector.example.com/logs',
+      headers: { authorization: 'Bearer token' },
+    }, OPTS);
+    assert.ok(sink instanceof HttpSink);
+    assert.strictEqual(sink.name, 'collector');
+
+    const notice = { timestamp: 1666708005985, message: '{"level":"NOTICE","message":"notice message"}\n' };
+    const { rejected, sent, chunks } = await sink.sendEntries([...LOG_EVENTS, notice]);
+    assert.deepStrictEqual(rejected, [LOG_EVENTS[2]]);
+    assert.strictEqual(sent, 2);
+    assert.deepStrictEqual(chunks, [{ logEvents: [LOG_EVENTS[1], notice], ok: true, status: 200 }]);
+  });
+
+  it('reports a failed chunk when the HTTP collector fails', async () => {
+    nock('https://collector.example.com')
+      .post('/logs')
+      .reply(500, 'that went wrong');
+
+    const sink = createSink({ type: 'http', url: 'https://collector.example.com/logs', level: 'debug' }, OPTS);
+    assert.strictEqual(sink.name, 'http');
+
+    const { sent, chunks } = await sink.sendEntries(LOG_EVENTS);
+    assert.strictEqual(sent, 0);
+    assert.strictEqual(chunks.length, 1);
+    assert.deepStrictEqual(chunks[0].logEvents, LOG_EVENTS.slice(0, 2));
+    assert.strictEqual(chunks[0].ok, false);
+    assert.strictEqual(chunks[0].status, 500);
+    assert.strictEqual(chunks[0].error.message, 'Failed to send logs to http with status 500: that went wrong');
+  });
+
+  it('does not send anything if no entry passes the level', async () => {
+    const sink = createSink({ type: 'http', url: 'https://collector.example.com/logs', level: 'unknown' }, OPTS);
+    const { rejected, sent, chunks } = await sink.sendEntries(LOG_EVENTS.slice(0, 1));
+    assert.deepStrictEqual(rejected, []);
+    assert.strictEqual(sent, 0);
+    assert.deepStrictEqual(chunks, []);
+  });
+
+  it('exports entries to an OpenTelemetry collector as protobuf', async () => {
+    nock('http://localhost:4318')
+      .matchHeader('content-type', 'application/x-protobuf')
+      .post('/v1/logs')
+      .reply((_, body) => {
+        const encoded = zlib.gunzipSync(Buffer.from(body, 'hex'));
+        assert.ok(encoded.includes('info message'));
+        assert.ok(encoded.includes('8a7ed6b5-5f3d-4a8c-9a34-4d8d5a3a5e6b'));
+        return [200];
+      });
+
+    const sink = createSink({ type: 'otlp' }, { ...OPTS, func: { ...FUNC, alias: { full: '4.3.47' } } });
+    assert.ok(sink instanceof OtlpSink);
+
+    const { sent } = await sink.sendEntries(LOG_EVENTS);
+    assert.strictEqual(sent, 1);
+  });
+
+  it('exports entries to an OpenTelemetry collector as JSON', async () => {
+    nock('https://otel.example.com')
+      .matchHeader('content-type', 'application/json')
+      .matchHeader('x-api-key', 'key')
+      .post('/v1/logs')
+      .reply((_, body) => {
+        const [{ resource, scopeLogs: [{ scope, logRecords }] }] = body.resourceLogs;
+        assert.deepStrictEqual(resource.attributes.map(({ key }) => key), [
+          'service.name', 'service.version', 'cloud.provider', 'cloud.platform', 'faas.name',
+          'faas.version', 'faas.instance', 'aws.lambda.alias', 'aws.log.group.names', 'aws.log.stream.names',
+        ]);
+        assert.deepStrictEqual(resource.attributes[1].value, { stringValue: '4.3.47' });
+        assert.deepStrictEqual(resource.attributes[7].value, { stringValue: 'v4' });
+        assert.deepStrictEqual(scope, { name: 'helix-datadog-feeder' });
+        assert.strictEqual(logRecords.length, 1);
+        assert.strictEqual(logRecords[0].severityNumber, 9);
+        return [200];
+      });
+
+    const sink = createSink({
+      type: 'otlp', url: 'https://otel.example.com', encoding: 'json', headers: { 'x-api-key': 'key' },
+    }, { ...OPTS, func: FUNC });
+
+    const { sent } = await sink.sendEntries(LOG_EVENTS);
+    assert.strictEqual(sent, 1);
+  });
+
+  it('reports the version as service version if there is no alias', async () => {
+    nock('http://localhost:4318')
+      .post('/v1/logs')
+      .reply((_, body) => {
+        const { attributes } = body.resourceLogs[0].resource;
+        assert.deepStrictEqual(attributes[1], { key: 'service.version', value: { stringValue: '$LATEST' } });
+        assert.ok(!attributes.some(({ key }) => key === 'aws.lambda.alias'));
+        return [500, 'unavailable'];
+      });
+
+    const sink = createSink({ type: 'otlp', encoding: 'json' }, {
+      ...OPTS, func: { name: 'services--func', version: '$LATEST' },
+    });
+    const { chunks } = await sink.sendEntries(LOG_EVENTS);
+    assert.strictEqual(chunks[0].status, 500);
+  });
+
+  it('redacts messages and drops entries before sending', async () => {
+    nock('https://collector.example.com')
+      .post('/logs')
+      .reply((_, body) => {
+        assert.deepStrictEqual(body.map(({ message }) => message), ['login by [REDACTED:email]']);
+        return [200];
+      });
+
+    const sink = createSink({ type: 'http', url: 'https://collector.example.com/logs' }, {
+      ...OPTS,
+      redactor: createRedactor({
+        detectors: 'email',
+        rules: JSON.stringify([{ name: 'password', pattern: 'password=', action: 'drop' }]),
+      }),
+    });
+    const { sent, redactions } = await sink.sendEntries([
+      LOG_EVENTS[0],
+      { timestamp: 1666708005985, message: '{"level":"INFO","message":"login by jane@example.com"}\n' },
+      { timestamp: 1666708005986, message: '{"level":"INFO","message":"password=hunter2"}\n' },
+    ]);
+    assert.strictEqual(sent, 1);
+    assert.strictEqual(redactions, 2);
+  });
+
+  it('sends errors reported in messages, redacted', async () => {
+    const error = {
+      kind: 'Error',
+      message: 'no account for jane@example.com',
+      stack: 'Error: no account for jane@example.com\n    at Runtime.handler (/var/task/index.js:3:9)',
+    };
+    nock('https://collector.example.com')
+      .post('/logs')
+      .reply((_, body) => {
+        assert.deepStrictEqual(body[0].error, error);
+        return [200];
+      })
+      .post('/logs')
+      .reply((_, body) => {
+        assert.deepStrictEqual(body[0].error, {
+          kind: 'Error',
+          message: 'no account for [REDACTED:email]',
+          stack: 'Error: no account for [REDACTED:email]\n    at Runtime.handler (/var/task/index.js:3:9)',
+        });
+        assert.strictEqual(body[0].level, 'ERROR');
+        return [200];
+      });
+
+    const logEvents = [{
+      timestamp: 1666708005985,
+      message: `2022-10-25T14:26:45.985Z\t8a7ed6b5-5f3d-4a8c-9a34-4d8d5a3a5e6b\tINFO\t${error.stack}\n`,
+    }];
+    const config = { type: 'http', url: 'https://collector.example.com/logs' };
+    await createSink(config, OPTS).sendEntries(logEvents);
+    const { redactions } = await createSink(config, {
+      ...OPTS,
+      redactor: createRedactor({ detectors: 'email' }),
+    }).sendEntries(logEvents);
+    assert.strictEqual(redactions, 1);
+  });
+
+  it('does not send anything if all entries are dropped', async () => {
+    const sink = createSink({ type: 'http', url: 'https://collector.example.com/logs' }, {
+      ...OPTS,
+      redactor: createRedactor({ detectors: 'email', action: 'drop' }),
+    });
+    const { sent, chunks, redactions } = await sink.sendEntries([
+      { timestamp: 1666708005985, message: '{"level":"INFO","message":"login by jane@example.com"}\n' },
+    ]);
+    assert.strictEqual(sent, 0);
+    assert.deepStrictEqual(chunks, []);
+    assert.strictEqual(redactions, 1);
+  });
+
+  it('stores entries in an S3 bucket', async () => {
+    nock('https://archive.s3.us-east-1.amazonaws.com')
+      .matchHeader('authorization', /^AWS4-HMAC-SHA256 Credential=aws-access-key-id\/\d+\/us-east-1\/s3\/aws4_request/)
+      .put('/logs/aws/lambda/services--func/2022/10/25/2022/10/28/_356_dbbf94bd5cb34f00aa764103d8ed78f2/37209189241069143286514917012218437285519593617430085633.ndjson.gz')
+      .reply((_, body) => {
+        const lines = zlib.gunzipSync(Buffer.from(body, 'hex')).toString().split('\n');
+        assert.strictEqual(lines.length, 1);
+        assert.strictEqual(JSON.parse(lines[0]).message, 'info message');
+        return [200];
+      });
+
+    const sink = createSink({
+      type: 's3', bucket: 'archive', region: 'us-east-1', prefix: 'logs/',
+    }, { ...OPTS, getCredentials: async () => CREDENTIALS });
+    assert.ok(sink instanceof S3Sink);
+
+    const { sent } = await sink.sendEntries(LOG_EVENTS);
+    assert.strictEqual(sent, 1);
+  });
+
+  it('stores entries in an S3 compatible bucket using path-style URLs', async () => {
+    nock('http://localhost:9000')
+      .put('/archive/aws/lambda/services--func/2022/10/25/2022/10/28/_356_dbbf94bd5cb34f00aa764103d8ed78f2/1666708005983.ndjson.gz')
+      .reply(200);
+
+    const sink = createSink({
+      type: 's3', bucket: 'archive', region: 'us-east-1', endpoint: 'http://localhost:9000',
+    }, { ...OPTS, getCredentials: async () => CREDENTIALS });
+
+    const { sent } = await sink.sendEntries([{ ...LOG_EVENTS[1], id: undefined }]);
+    assert.strictEqual(sent, 1);
+  });
+
+  it('reports a failed chunk when AWS credentials are missing', async () => {
+    const sink = createSink({ type: 's3', bucket: 'archive', region: 'us-east-1' }, {
+      ...OPTS,
+      getCredentials: async () => {
+        throw new Error('Missing AWS configuration (no credentials in environment, web identity, container or instance metadata)');
+      },
+    });
+
+    const { chunks } = await sink.sendEntries(LOG_EVENTS);
+    assert.strictEqual(chunks[0].ok, false);
+    assert.match(chunks[0].error.message, /Missing AWS configuration/);
+  });
+
+  it('parses the sink configuration', () => {
+    assert.deepStrictEqual(parseSinkConfig(undefined), []);
+    assert.deepStrictEqual(parseSinkConfig('[{"type":"datadog"},{"type":"s3"}]'), [
+      { type: 'datadog' },
+      { type: 's3' },
+    ]);
+    assert.throws(() => parseSinkConfig('{"type":"http"}'), /Sink configuration must be an array/);
+    assert.throws(() => parseSinkConfig('[{"type":"kafka"}]'), /Unknown sink type: kafka/);
+    assert.throws(() => parseSinkConfig('[{'), SyntaxError);
+  });
+
+  it('routes log groups to sinks', () => {
+    assert.strictEqual(routesTo({}, '/aws/lambda/services--func'), true);
+    assert.strictEqual(routesTo({ logGroups: ['/aws/lambda/services--*'] }, '/aws/lambda/services--func'), true);
+    assert.strictEqual(routesTo({ logGroups: [/^\/aws\/lambda\/other--/] }, '/aws/lambda/services--func'), false);
+  });
+});
@@ -0,0 +1,38 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { getSiteUrls } from '../src/sites.js';
+
+describe('Sites Tests', () => {
+  [
+    [undefined, 'datadoghq.com'],
+    ['datadoghq.com', 'datadoghq.com'],
+    ['datadoghq.eu', 'datadoghq.eu'],
+    ['us3', 'us3.datadoghq.com'],
+    ['us5.datadoghq.com', 'us5.datadoghq.com'],
+    ['ap1', 'ap1.datadoghq.com'],
+    ['ddog-gov.com', 'ddog-gov.com'],
+  ].forEach(([site, domain]) => {
+    it(`derives the URLs of ${site}`, () => {
+      assert.deepStrictEqual(getSiteUrls(site), {
+        apiUrl: `https://http-intake.logs.${domain}`,
+        metricsUrl: `https://api.${domain}`,
+      });
+    });
+  });
+
+  it('rejects unknown sites', () => {
+    assert.throws(() => getSiteUrls('eu1'), /Unknown DataDog site: eu1, expected one of datadoghq.com, datadoghq.eu, us3, us5, ap1, ddog-gov.com/);
+  });
+});
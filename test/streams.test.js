@@ -0,0 +1,218 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import util from 'util';
+import zlib from 'zlib';
+import { Request } from '@adobe/fetch';
+import { main } from '../src/index.js';
+import { Nock } from './utils.js';
+
+const gzip = util.promisify(zlib.gzip);
+
+const DEFAULT_ENV = {
+  AWS_REGION: 'us-east-1',
+  AWS_ACCESS_KEY_ID: 'aws-access-key-id',
+  AWS_SECRET_ACCESS_KEY: 'aws-secret-access-key',
+  AWS_SESSION_TOKEN: 'aws-session-token',
+  DATADOG_API_KEY: 'api-key',
+};
+
+const SEND_MESSAGE_RESPONSE = `<?xml version="1.0"?>
+<SendMessageResponse xmlns="http://queue.amazonaws.com/doc/2012-11-05/">
+  <SendMessageResult>
+    <MessageId>id</MessageId>
+  </SendMessageResult>
+</SendMessageResponse>
+`;
+
+const createPayload = (logGroup, message = 'message') => ({
+  messageType: 'DATA_MESSAGE',
+  logGroup,
+  logStream: '2022/10/28/[$LATEST]dbbf94bd5cb34f00aa764103d8ed78f2',
+  logEvents: [{
+    timestamp: 1666708005982,
+    extractedFields: {
+      event: `INFO\t${message}\n`,
+    },
+  }],
+});
+
+const encode = async (payload) => (await gzip(JSON.stringify(payload))).toString('base64');
+
+describe('Streams Tests', () => {
+  let nock;
+  beforeEach(() => {
+    nock = new Nock();
+  });
+
+  afterEach(() => {
+    nock.done();
+  });
+
+  const createContext = (event, env = DEFAULT_ENV) => ({
+    invocation: { event },
+    runtime: {
+      region: 'us-east-1',
+      accountId: 'account-id',
+    },
+    func: {
+      fqn: 'arn:aws:lambda:us-east-1:123456789012:function:datadog-feeder:1_2_3',
+      name: 'datadog-feeder',
+    },
+    env,
+    log: console,
+  });
+
+  const createKinesisEvent = (records) => ({
+    Records: records.map((data, i) => ({
+      eventSource: 'aws:kinesis',
+      kinesis: { data, sequenceNumber: `${i + 1}` },
+    })),
+  });
+
+  it('processes Kinesis records of multiple log groups', async () => {
+    const services = [];
+    nock.datadog()
+      .twice()
+      .reply((_, body) => {
+        services.push(body[0].service.split(':').pop());
+        return [202];
+      });
+    nock('https://sqs.us-east-1.amazonaws.com')
+      .post('/')
+      .reply((_, body) => {
+        const message = JSON.parse(new URLSearchParams(body).get('MessageBody'));
+        assert.strictEqual(message.data, 'bm90IGpzb24=');
+        assert.match(message.reason, /JSON/);
+        return [200, SEND_MESSAGE_RESPONSE];
+      });
+
+    const res = await main(new Request('https://localhost/'), createContext(createKinesisEvent([
+      await encode(createPayload('/aws/lambda/services--func1')),
+      await encode({ messageType: 'CONTROL_MESSAGE', logGroup: 'test', logStream: 'test' }),
+      Buffer.from('not json').toString('base64'),
+      await encode(createPayload('/aws/lambda/services--func2')),
+    ])));
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), { batchItemFailures: [] });
+    assert.deepStrictEqual(services, ['services--func1', 'services--func2']);
+  });
+
+  it('reports the first Kinesis record that fails and stops', async () => {
+    nock.datadog()
+      .reply(202)
+      .post('/api/v2/logs')
+      .reply(400, 'bad request');
+    nock('https://sqs.us-east-1.amazonaws.com')
+      .post('/')
+      .reply(403, 'forbidden');
+
+    const res = await main(new Request('https://localhost/'), createContext(createKinesisEvent([
+      await encode(createPayload('/aws/lambda/services--func1')),
+      await encode(createPayload('/aws/lambda/services--func2')),
+      await encode(createPayload('/aws/lambda/services--func3')),
+    ])));
+    assert.deepStrictEqual(await res.json(), { batchItemFailures: [{ itemIdentifier: '2' }] });
+  });
+
+  it('processes Firehose data transformation records', async () => {
+    nock.datadog()
+      .reply(202);
+    nock('https://sqs.us-east-1.amazonaws.com')
+      .post('/')
+      .reply((_, body) => {
+        const message = JSON.parse(new URLSearchParams(body).get('MessageBody'));
+        assert.strictEqual(message.logGroup, '/aws/lambda/services--func2');
+        return [200, SEND_MESSAGE_RESPONSE];
+      })
+      .post('/')
+      .reply(403, 'forbidden');
+
+    const ok = Buffer.from(JSON.stringify(createPayload('/aws/lambda/services--func1'))).toString('base64');
+    const rejected = await encode({ ...createPayload('/aws/lambda/services--func2'), logStream: 'unknown' });
+    const failed = await encode({ ...createPayload('/aws/lambda/services--func3'), logStream: 'unknown' });
+    const res = await main(new Request('https://localhost/'), createContext({
+      invocationId: 'invocation-id',
+      deliveryStreamArn: 'arn:aws:firehose:us-east-1:123456789012:deliverystream/logs',
+      region: 'us-east-1',
+      records: [
+        { recordId: '1', approximateArrivalTimestamp: 1666708005982, data: ok },
+        { recordId: '2', approximateArrivalTimestamp: 1666708005982, data: rejected },
+        { recordId: '3', approximateArrivalTimestamp: 1666708005982, data: failed },
+      ],
+    }));
+    // a record in the DLQ is acknowledged, only one the DLQ did not take is retried
+    assert.deepStrictEqual(await res.json(), {
+      records: [
+        { recordId: '1', result: 'Ok', data: ok },
+        { recordId: '2', result: 'Ok', data: rejected },
+        { recordId: '3', result: 'ProcessingFailed', data: failed },
+      ],
+    });
+  });
+
+  const createFirehoseRequest = async (records, accessKey = 'access-key') => new Request('https://localhost/', {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'x-amz-firehose-request-id': 'request-id',
+      'x-amz-firehose-access-key': accessKey,
+    },
+    body: JSON.stringify({
+      requestId: 'request-id',
+      timestamp: 1666708005982,
+      records: await Promise.all(records.map(async (payload) => ({ data: await encode(payload) }))),
+    }),
+  });
+
+  it('processes Firehose HTTP endpoint requests', async () => {
+    nock.datadog()
+      .twice()
+      .reply(202);
+
+    const res = await main(await createFirehoseRequest([
+      createPayload('/aws/lambda/services--func1'),
+      createPayload('/aws/lambda/services--func2'),
+    ]), createContext({}, { ...DEFAULT_ENV, FIREHOSE_ACCESS_KEY: 'access-key' }));
+    assert.strictEqual(res.status, 200);
+    const { requestId, timestamp } = await res.json();
+    assert.strictEqual(requestId, 'request-id');
+    assert.ok(timestamp);
+  });
+
+  it('rejects Firehose HTTP endpoint requests with an invalid access key', async () => {
+    const res = await main(
+      await createFirehoseRequest([createPayload('/aws/lambda/services--func1')], 'wrong-key'),
+      createContext({}, { ...DEFAULT_ENV, FIREHOSE_ACCESS_KEY: 'access-key' }),
+    );
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual((await res.json()).errorMessage, 'Invalid access key');
+  });
+
+  it('returns an error if a Firehose HTTP endpoint request can not be processed', async () => {
+    nock.datadog()
+      .reply(400, 'bad request');
+    nock('https://sqs.us-east-1.amazonaws.com')
+      .post('/')
+      .reply(403, 'forbidden');
+
+    const res = await main(await createFirehoseRequest([
+      createPayload('/aws/lambda/services--func1'),
+    ]), createContext({}));
+    assert.strictEqual(res.status, 500);
+    const { requestId, errorMessage } = await res.json();
+    assert.strictEqual(requestId, 'request-id');
+    assert.match(errorMessage, /403/);
+  });
+});
@@ -0,0 +1,55 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import {
+  getLogGroupTags, mergeTags, parseTagRules, parseTags,
+} from '../src/tags.js';
+
+describe('Tags Tests', () => {
+  it('parses tags', () => {
+    assert.deepStrictEqual(parseTags(undefined), []);
+    assert.deepStrictEqual(parseTags('env:prod, team:helix,,owner:sites '), ['env:prod', 'team:helix', 'owner:sites']);
+    assert.deepStrictEqual(parseTags(['env:prod', ' ']), ['env:prod']);
+  });
+
+  it('merges tags, later tags replacing earlier ones with the same key', () => {
+    assert.deepStrictEqual(
+      mergeTags(['env:dev', 'region:us-east-1'], ['team:helix', 'env:prod'], ['beta']),
+      ['env:prod', 'region:us-east-1', 'team:helix', 'beta'],
+    );
+  });
+
+  it('parses tag rules', () => {
+    assert.deepStrictEqual(parseTagRules(undefined), []);
+    assert.deepStrictEqual(parseTagRules(JSON.stringify([
+      { logGroups: ['/aws/lambda/helix-services--*'], tags: 'team:helix,owner:sites' },
+      { logGroups: ['/aws/lambda/*--admin'], tags: ['owner:admin'] },
+    ])), [
+      { logGroups: ['/aws/lambda/helix-services--*'], tags: ['team:helix', 'owner:sites'] },
+      { logGroups: ['/aws/lambda/*--admin'], tags: ['owner:admin'] },
+    ]);
+    assert.throws(() => parseTagRules('{}'), /Tag rules must be an array/);
+    assert.throws(() => parseTagRules('[{"tags":"team:helix"}]'), /Tag rule needs an array of log groups/);
+  });
+
+  it('returns the tags of all rules that apply to a log group', () => {
+    const rules = parseTagRules(JSON.stringify([
+      { logGroups: ['/aws/lambda/helix-services--*'], tags: 'team:helix,owner:sites' },
+      { logGroups: ['/aws/lambda/*--admin'], tags: ['owner:admin'] },
+    ]));
+    assert.deepStrictEqual(getLogGroupTags(rules, '/aws/lambda/helix-services--admin'), ['team:helix', 'owner:admin']);
+    assert.deepStrictEqual(getLogGroupTags(rules, '/aws/lambda/helix-services--proxy'), ['team:helix', 'owner:sites']);
+    assert.deepStrictEqual(getLogGroupTags(rules, '/aws/lambda/other--func'), []);
+  });
+});
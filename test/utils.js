@@ -42,6 +42,10 @@ export function Nock() {
     return scope.post('/api/v2/logs');
   };
 
+  nocker.sqs = (action, { region = 'us-east-1' } = {}) => nocker(`https://sqs.${region}.amazonaws.com`)
+    .post('/')
+    .matchHeader('x-amz-target', `AmazonSQS.${action}`);
+
   nocker.done = () => {
     Object.values(scopes).forEach((s) => s.done());
     if (unmatched) {